@@ -1,15 +1,37 @@
 from fastapi import FastAPI, HTTPException, Request
 from fastapi.staticfiles import StaticFiles
-from fastapi.responses import FileResponse
+from fastapi.responses import FileResponse, Response
+from starlette.concurrency import run_in_threadpool
 from pydantic import BaseModel
 import requests
+import asyncio
 import json
+import math
 import os
-from typing import Optional
+import re
+import secrets
+import time
+from typing import List, Optional
 
 # Configuration
 GRAPHDB_URL = "http://localhost:7200"  # Default GraphDB port
 REPOSITORY_ID = "kgsde-proj"
+SAVED_QUERIES_FILE = "saved_queries.json"  # Shared saved-query library
+SESSION_TTL = 8 * 60 * 60  # Seconds an unused credential session stays valid
+UPDATE_TIMEOUT = None  # Seconds to wait for GraphDB to answer an update; None waits until it does
+
+# Credential sessions: token -> endpoint, username, password and expiry time.
+# Kept in memory only, so a restart asks everyone for their password again.
+SESSIONS = {}
+
+# RDF formats for exporting CONSTRUCT/DESCRIBE results: media type and file extension
+RDF_FORMATS = {
+    "turtle": ("text/turtle", "ttl"),
+    "trig": ("application/trig", "trig"),
+    "ntriples": ("application/n-triples", "nt"),
+    "jsonld": ("application/ld+json", "jsonld"),
+    "rdfxml": ("application/rdf+xml", "rdf"),
+}
 
 # FastAPI app
 app = FastAPI(title="GraphDB Query Frontend", version="0.1.0")
@@ -23,6 +45,34 @@ class QueryRequest(BaseModel):
     format: str = "json"
     endpoint: Optional[str] = None
     repository: Optional[str] = None
+    timeout: Optional[int] = None  # milliseconds
+    query_id: Optional[str] = None
+    graph: Optional[str] = None  # named graph of a TriG export
+
+class CancelRequest(BaseModel):
+    query_id: str
+    endpoint: Optional[str] = None
+    repository: Optional[str] = None
+
+class UpdateRequest(BaseModel):
+    sparql: str
+    endpoint: Optional[str] = None
+    repository: Optional[str] = None
+    graphs: List[str] = []
+
+class SavedQuery(BaseModel):
+    id: str
+    name: str
+    sparql: str
+    description: str = ""
+    tags: List[str] = []
+    folder: str = ""
+    chart: Optional[dict] = None
+    created: Optional[str] = None
+    modified: Optional[str] = None
+
+class SavedQueryImport(BaseModel):
+    queries: List[SavedQuery]
 
 class ConnectionRequest(BaseModel):
     endpoint: str
@@ -30,18 +80,82 @@ class ConnectionRequest(BaseModel):
     username: Optional[str] = None
     password: Optional[str] = None
 
-def query_graphdb(sparql_query: str, endpoint: str = None, repository: str = None, username: str = None, password: str = None):
-    """Execute SPARQL query against GraphDB"""
+class SessionRequest(BaseModel):
+    endpoint: str
+    username: str
+    password: str
+
+def session_endpoint(endpoint: str = None):
+    """Endpoint URL as stored with a session"""
+    return (endpoint or GRAPHDB_URL).rstrip("/")
+
+def session_credentials(request: Request, endpoint: str = None):
+    """Username and password of the request's X-Session-Token, else (None, None)
+    
+    A session only authenticates against the endpoint it was created for, so
+    its credentials are never sent to another server.
+    """
+    token = request.headers.get("X-Session-Token")
+    if not token:
+        return None, None
+    
+    session = SESSIONS.get(token)
+    now = time.time()
+    if not session or session["expires"] < now:
+        SESSIONS.pop(token, None)
+        raise HTTPException(status_code=401, detail="Session expired, enter the password in the settings again")
+    
+    if session["endpoint"] != session_endpoint(endpoint):
+        return None, None
+    
+    session["expires"] = now + SESSION_TTL
+    return session["username"], session["password"]
+
+def verify_credentials(endpoint: str, username: str, password: str):
+    """Check a username and password against GraphDB before keeping them"""
+    try:
+        response = requests.get(
+            f"{endpoint}/rest/repositories",
+            auth=(username, password),
+            timeout=30
+        )
+    except requests.exceptions.RequestException as e:
+        raise HTTPException(status_code=502, detail=f"Connection error: {str(e)}")
+    
+    if response.status_code in (401, 403):
+        raise HTTPException(status_code=401, detail="GraphDB rejected the username or password")
+    if response.status_code != 200:
+        raise HTTPException(status_code=502, detail=f"GraphDB error {response.status_code} while checking the credentials")
+
+def session_auth(request: Request, endpoint: str = None):
+    """Basic auth tuple for requests calls, or None without a session"""
+    username, password = session_credentials(request, endpoint)
+    if username and password:
+        return (username, password)
+    return None
+
+def query_graphdb(sparql_query: str, endpoint: str = None, repository: str = None, username: str = None, password: str = None, timeout: float = None, track_alias: str = None, accept: str = None):
+    """Execute SPARQL query against GraphDB; with `accept` the serialized response text is returned"""
     # Use provided endpoint/repository or defaults
     graphdb_url = endpoint or GRAPHDB_URL
     repo_id = repository or REPOSITORY_ID
     sparql_endpoint = f"{graphdb_url}/repositories/{repo_id}"
     
+    # SELECT/ASK answer with SPARQL JSON results, CONSTRUCT/DESCRIBE with RDF/JSON
     headers = {
-        'Accept': 'application/sparql-results+json',
+        'Accept': accept or 'application/sparql-results+json, application/rdf+json;q=0.9',
         'Content-Type': 'application/sparql-query'
     }
     
+    # Tracked queries can be aborted through the GraphDB monitoring API
+    if track_alias:
+        headers['X-GraphDB-Track-Alias'] = track_alias
+    
+    # GraphDB stops evaluating the query itself once its timeout (seconds) expires
+    params = None
+    if timeout:
+        params = {'timeout': math.ceil(timeout)}
+    
     # Add authentication if provided
     auth = None
     if username and password:
@@ -51,12 +165,17 @@ def query_graphdb(sparql_query: str, endpoint: str = None, repository: str = Non
         response = requests.post(
             sparql_endpoint,
             data=sparql_query,
+            params=params,
             headers=headers,
             auth=auth,
-            timeout=30
+            # Without a timeout the query runs until it finishes or the client cancels it
+            timeout=timeout + 5 if timeout else None
         )
         
         if response.status_code == 200:
+            if accept:
+                response.encoding = 'utf-8'
+                return response.text
             return response.json()
         else:
             raise HTTPException(
@@ -66,6 +185,145 @@ def query_graphdb(sparql_query: str, endpoint: str = None, repository: str = Non
     except requests.exceptions.RequestException as e:
         raise HTTPException(status_code=500, detail=f"Connection error: {str(e)}")
 
+def turtle_to_trig(turtle: str, graph: str):
+    """Place Turtle statements in a named graph block, keeping the directives on top"""
+    if not re.fullmatch(r'[^\s<>"{}|^`\\]+:[^\s<>"{}|^`\\]*', graph):
+        raise HTTPException(status_code=400, detail=f"Invalid graph IRI: {graph}")
+    
+    lines = turtle.splitlines()
+    start = 0
+    while start < len(lines) and (not lines[start].strip() or
+                                  lines[start].lstrip().lower().startswith(('@prefix', '@base', 'prefix', 'base'))):
+        start += 1
+    
+    # Statements are indented, except inside multi-line literals whose text must not change
+    directives = [line for line in lines[:start] if line.strip()]
+    statements = []
+    in_long_string = False
+    for line in lines[start:]:
+        statements.append(line if in_long_string else f"  {line}")
+        if line.count('"""') % 2 == 1:
+            in_long_string = not in_long_string
+    
+    while statements and not statements[-1].strip():
+        statements.pop()
+    
+    header = "\n".join(directives) + "\n\n" if directives else ""
+    return header + f"<{graph}> {{\n" + "\n".join(statements) + "\n}\n"
+
+def abort_graphdb_query(track_alias: str, endpoint: str = None, repository: str = None, username: str = None, password: str = None):
+    """Abort a tracked query through the GraphDB monitoring API"""
+    graphdb_url = endpoint or GRAPHDB_URL
+    repo_id = repository or REPOSITORY_ID
+    
+    auth = None
+    if username and password:
+        auth = (username, password)
+    
+    try:
+        response = requests.delete(
+            f"{graphdb_url}/rest/monitor/query",
+            params={'query': track_alias},
+            headers={'X-GraphDB-Repository': repo_id},
+            auth=auth,
+            timeout=10
+        )
+        return response.status_code in (200, 204)
+    except requests.exceptions.RequestException:
+        return False
+
+def update_graphdb(sparql_update: str, endpoint: str = None, repository: str = None, username: str = None, password: str = None):
+    """Execute SPARQL Update against the GraphDB statements endpoint"""
+    graphdb_url = endpoint or GRAPHDB_URL
+    repo_id = repository or REPOSITORY_ID
+    statements_endpoint = f"{graphdb_url}/repositories/{repo_id}/statements"
+    
+    headers = {
+        'Content-Type': 'application/sparql-update'
+    }
+    
+    auth = None
+    if username and password:
+        auth = (username, password)
+    
+    try:
+        response = requests.post(
+            statements_endpoint,
+            data=sparql_update.encode('utf-8'),
+            headers=headers,
+            auth=auth,
+            timeout=(30, UPDATE_TIMEOUT)
+        )
+        
+        # GraphDB answers a successful update with 204 No Content
+        if response.status_code not in (200, 204):
+            raise HTTPException(
+                status_code=response.status_code,
+                detail=f"GraphDB update failed: {response.text}"
+            )
+    except requests.exceptions.ReadTimeout:
+        # The update was sent; the caller reports its outcome as unknown
+        raise
+    except requests.exceptions.RequestException as e:
+        raise HTTPException(status_code=500, detail=f"Connection error: {str(e)}")
+
+def repository_size(graphs: List[str], endpoint: str = None, repository: str = None, username: str = None, password: str = None):
+    """Count statements in the repository and in each given graph"""
+    graphdb_url = endpoint or GRAPHDB_URL
+    repo_id = repository or REPOSITORY_ID
+    size_endpoint = f"{graphdb_url}/repositories/{repo_id}/size"
+    
+    auth = None
+    if username and password:
+        auth = (username, password)
+    
+    def size(context: Optional[str] = None):
+        params = {"context": context} if context else None
+        response = requests.get(size_endpoint, params=params, auth=auth, timeout=30)
+        if response.status_code != 200:
+            raise HTTPException(status_code=response.status_code, detail=f"Failed to count statements: {response.text}")
+        return int(response.text.strip())
+    
+    counts = {"total": size(), "graphs": {}}
+    for graph in graphs:
+        # Only the default graph and concrete IRIs can be counted
+        if graph == "DEFAULT":
+            counts["graphs"][graph] = size("null")
+        elif graph not in ("ALL", "NAMED") and not graph.startswith(("?", "$")):
+            counts["graphs"][graph] = size(f"<{graph}>")
+    return counts
+
+def load_saved_queries():
+    """Read the saved-query library from disk"""
+    if not os.path.exists(SAVED_QUERIES_FILE):
+        return []
+    try:
+        with open(SAVED_QUERIES_FILE, encoding="utf-8") as f:
+            return json.load(f)
+    except (OSError, ValueError) as e:
+        raise HTTPException(status_code=500, detail=f"Failed to read saved queries: {str(e)}")
+
+def write_saved_queries(queries: List[dict]):
+    """Write the saved-query library, replacing the file atomically"""
+    temp_file = f"{SAVED_QUERIES_FILE}.tmp"
+    try:
+        with open(temp_file, "w", encoding="utf-8") as f:
+            json.dump(queries, f, indent=2, ensure_ascii=False)
+        os.replace(temp_file, SAVED_QUERIES_FILE)
+    except OSError as e:
+        raise HTTPException(status_code=500, detail=f"Failed to write saved queries: {str(e)}")
+
+def upsert_saved_queries(queries: List[dict], saved: List[SavedQuery]):
+    """Insert or replace saved queries by id"""
+    index = {query["id"]: i for i, query in enumerate(queries)}
+    for query in saved:
+        if query.id in index:
+            queries[index[query.id]] = query.model_dump()
+        else:
+            index[query.id] = len(queries)
+            queries.append(query.model_dump())
+    return queries
+
 @app.get("/")
 async def root():
     """Serve the main frontend page"""
@@ -74,33 +332,186 @@ async def root():
     else:
         return {"message": "GraphDB Query Frontend API", "docs": "/docs"}
 
+@app.post("/api/session")
+async def create_session(session_request: SessionRequest):
+    """Keep GraphDB credentials on the server and return a token standing in for them"""
+    endpoint = session_endpoint(session_request.endpoint)
+    await run_in_threadpool(
+        verify_credentials,
+        endpoint,
+        session_request.username,
+        session_request.password
+    )
+    
+    now = time.time()
+    for token in [token for token, session in SESSIONS.items() if session["expires"] < now]:
+        del SESSIONS[token]
+    
+    token = secrets.token_urlsafe(32)
+    SESSIONS[token] = {
+        "endpoint": endpoint,
+        "username": session_request.username,
+        "password": session_request.password,
+        "expires": now + SESSION_TTL
+    }
+    return {"success": True, "token": token, "expires_in": SESSION_TTL}
+
+@app.delete("/api/session")
+async def delete_session(request: Request):
+    """Forget the credentials of the request's X-Session-Token"""
+    token = request.headers.get("X-Session-Token")
+    return {"success": bool(token) and SESSIONS.pop(token, None) is not None}
+
 @app.post("/api/query")
-async def execute_query(query_request: QueryRequest):
-    """Execute SPARQL query"""
+async def execute_query(query_request: QueryRequest, request: Request):
+    """Execute SPARQL query, aborting it in GraphDB if the client goes away
+    
+    With an RDF format (see RDF_FORMATS) the graph result is returned as a
+    file serialized by GraphDB instead of JSON.
+    """
     try:
-        results = query_graphdb(
+        username, password = session_credentials(request, query_request.endpoint)
+        rdf_format = RDF_FORMATS.get(query_request.format)
+        if query_request.format != "json" and not rdf_format:
+            raise HTTPException(status_code=400, detail=f"Unsupported format: {query_request.format}")
+        
+        # A named graph for TriG is added around GraphDB's Turtle output
+        wrap_graph = query_request.format == "trig" and query_request.graph
+        accept = None
+        if rdf_format:
+            accept = RDF_FORMATS["turtle"][0] if wrap_graph else rdf_format[0]
+        
+        # Run the blocking GraphDB call in a worker thread so the event loop can
+        # notice a disconnected client and serve cancel requests meanwhile
+        task = asyncio.ensure_future(run_in_threadpool(
+            query_graphdb,
             query_request.sparql,
             query_request.endpoint,
-            query_request.repository
-        )
+            query_request.repository,
+            username,
+            password,
+            timeout=query_request.timeout / 1000 if query_request.timeout else None,
+            track_alias=query_request.query_id,
+            accept=accept
+        ))
+        
+        while not task.done():
+            done, _ = await asyncio.wait({task}, timeout=0.5)
+            if not done and await request.is_disconnected():
+                if query_request.query_id:
+                    await run_in_threadpool(
+                        abort_graphdb_query,
+                        query_request.query_id,
+                        query_request.endpoint,
+                        query_request.repository,
+                        username,
+                        password
+                    )
+                raise HTTPException(status_code=499, detail="Query cancelled by client")
+        
+        results = task.result()
+        if rdf_format:
+            media_type, extension = rdf_format
+            if wrap_graph:
+                results = turtle_to_trig(results, query_request.graph)
+            return Response(
+                content=results,
+                media_type=f"{media_type}; charset=utf-8",
+                headers={"Content-Disposition": f'attachment; filename="results.{extension}"'}
+            )
         return {"success": True, "results": results}
     except HTTPException as e:
         raise e
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
+@app.post("/api/query/cancel")
+async def cancel_query(cancel_request: CancelRequest, request: Request):
+    """Abort a running query in GraphDB"""
+    username, password = session_credentials(request, cancel_request.endpoint)
+    aborted = await run_in_threadpool(
+        abort_graphdb_query,
+        cancel_request.query_id,
+        cancel_request.endpoint,
+        cancel_request.repository,
+        username,
+        password
+    )
+    return {"success": aborted}
+
+@app.post("/api/update")
+async def execute_update(update_request: UpdateRequest, request: Request):
+    """Execute SPARQL Update and report triple counts before and after"""
+    try:
+        username, password = session_credentials(request, update_request.endpoint)
+        try:
+            before = await run_in_threadpool(
+                repository_size,
+                update_request.graphs,
+                update_request.endpoint,
+                update_request.repository,
+                username,
+                password
+            )
+        except (HTTPException, requests.exceptions.RequestException, ValueError):
+            # Counting is informative only; never block the update on it
+            before = None
+        
+        try:
+            await run_in_threadpool(
+                update_graphdb,
+                update_request.sparql,
+                update_request.endpoint,
+                update_request.repository,
+                username,
+                password
+            )
+        except requests.exceptions.ReadTimeout:
+            # GraphDB keeps running the update after we stop waiting, so it
+            # may still be applied: neither a success nor a failure
+            return {"success": True, "outcome": "unknown", "before": before, "after": None}
+        
+        after = None
+        if before is not None:
+            try:
+                after = await run_in_threadpool(
+                    repository_size,
+                    update_request.graphs,
+                    update_request.endpoint,
+                    update_request.repository,
+                    username,
+                    password
+                )
+            except (HTTPException, requests.exceptions.RequestException, ValueError):
+                after = None
+        
+        return {"success": True, "outcome": "applied", "before": before, "after": after}
+    except HTTPException as e:
+        raise e
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
 @app.post("/api/test-connection")
-async def test_connection(connection_request: ConnectionRequest):
-    """Test connection to GraphDB repository"""
+async def test_connection(connection_request: ConnectionRequest, request: Request):
+    """Test connection to GraphDB repository
+    
+    Credentials in the body are tried as entered, otherwise those of the session.
+    """
     try:
+        username, password = connection_request.username, connection_request.password
+        if not (username and password):
+            username, password = session_credentials(request, connection_request.endpoint)
+        
         # Simple test query
         test_query = "SELECT (COUNT(*) as ?count) WHERE { ?s ?p ?o }"
-        result = query_graphdb(
+        result = await run_in_threadpool(
+            query_graphdb,
             test_query,
             connection_request.endpoint,
             connection_request.repository,
-            connection_request.username,
-            connection_request.password
+            username,
+            password,
+            timeout=30
         )
         return {"success": True, "message": "Connection successful", "test_result": result}
     except HTTPException as e:
@@ -109,10 +520,14 @@ async def test_connection(connection_request: ConnectionRequest):
         return {"success": False, "message": str(e)}
 
 @app.get("/api/repositories")
-async def list_repositories(endpoint: str = GRAPHDB_URL):
+def list_repositories(request: Request, endpoint: str = GRAPHDB_URL):
     """List available repositories"""
     try:
-        response = requests.get(f"{endpoint}/rest/repositories")
+        response = requests.get(
+            f"{endpoint}/rest/repositories",
+            auth=session_auth(request, endpoint),
+            timeout=30
+        )
         if response.status_code == 200:
             return {"success": True, "repositories": response.json()}
         else:
@@ -120,6 +535,90 @@ async def list_repositories(endpoint: str = GRAPHDB_URL):
     except requests.exceptions.RequestException as e:
         raise HTTPException(status_code=500, detail=f"Connection error: {str(e)}")
 
+@app.get("/api/namespaces")
+def list_namespaces(request: Request, endpoint: str = GRAPHDB_URL, repository: str = REPOSITORY_ID):
+    """List namespace prefixes declared in a repository"""
+    try:
+        response = requests.get(
+            f"{endpoint}/repositories/{repository}/namespaces",
+            headers={'Accept': 'application/sparql-results+json'},
+            auth=session_auth(request, endpoint),
+            timeout=30
+        )
+        if response.status_code == 200:
+            bindings = response.json().get("results", {}).get("bindings", [])
+            namespaces = {
+                binding["prefix"]["value"]: binding["namespace"]["value"]
+                for binding in bindings
+                if "prefix" in binding and "namespace" in binding
+            }
+            return {"success": True, "namespaces": namespaces}
+        else:
+            raise HTTPException(status_code=response.status_code, detail="Failed to fetch namespaces")
+    except requests.exceptions.RequestException as e:
+        raise HTTPException(status_code=500, detail=f"Connection error: {str(e)}")
+
+@app.get("/api/repository-stats")
+def repository_stats(request: Request, endpoint: str = GRAPHDB_URL, repository: str = REPOSITORY_ID):
+    """Statement, named graph and namespace counts of a repository"""
+    try:
+        username, password = session_credentials(request, endpoint)
+        size = repository_size([], endpoint, repository, username, password)["total"]
+        namespaces = list_namespaces(request, endpoint, repository)["namespaces"]
+        
+        response = requests.get(
+            f"{endpoint}/repositories/{repository}/contexts",
+            headers={'Accept': 'application/sparql-results+json'},
+            auth=session_auth(request, endpoint),
+            timeout=30
+        )
+        if response.status_code != 200:
+            raise HTTPException(status_code=response.status_code, detail="Failed to list named graphs")
+        graphs = len(response.json().get("results", {}).get("bindings", []))
+        
+        return {
+            "success": True,
+            "repository": repository,
+            "size": size,
+            "graphs": graphs,
+            "namespaces": namespaces
+        }
+    except requests.exceptions.RequestException as e:
+        raise HTTPException(status_code=500, detail=f"Connection error: {str(e)}")
+
+@app.get("/api/saved-queries")
+async def list_saved_queries():
+    """List the shared saved-query library"""
+    return {"success": True, "queries": load_saved_queries()}
+
+@app.put("/api/saved-queries/{query_id}")
+async def save_query(query_id: str, saved_query: SavedQuery):
+    """Create or replace a saved query"""
+    if saved_query.id != query_id:
+        raise HTTPException(status_code=400, detail="Query id does not match the URL")
+    
+    queries = upsert_saved_queries(load_saved_queries(), [saved_query])
+    write_saved_queries(queries)
+    return {"success": True, "query": saved_query}
+
+@app.post("/api/saved-queries/import")
+async def import_saved_queries(saved_import: SavedQueryImport):
+    """Add or replace several saved queries at once"""
+    queries = upsert_saved_queries(load_saved_queries(), saved_import.queries)
+    write_saved_queries(queries)
+    return {"success": True, "imported": len(saved_import.queries)}
+
+@app.delete("/api/saved-queries/{query_id}")
+async def delete_saved_query(query_id: str):
+    """Remove a saved query"""
+    queries = load_saved_queries()
+    remaining = [query for query in queries if query.get("id") != query_id]
+    if len(remaining) == len(queries):
+        raise HTTPException(status_code=404, detail="Saved query not found")
+    
+    write_saved_queries(remaining)
+    return {"success": True}
+
 if __name__ == "__main__":
     import uvicorn
     uvicorn.run(app, host="0.0.0.0", port=8000)
\ No newline at end of file
@@ -7,23 +7,53 @@ class GraphDBApp {
             endpoint: 'http://localhost:7200',
             repository: 'kgsde-proj',
             username: '',
-            password: ''
+            timeout: 30000,
+            historyLimit: 50,
+            pageSize: 50,
+            serverPaging: true,
+            csvDelimiter: ',',
+            csvBom: true
         };
         
         // Initialize SPARQL client
         this.sparqlClient = new SPARQLClient(this.config);
         
-        // Results and pagination state
+        // Backend session tokens standing in for GraphDB passwords, keyed by
+        // profile id; kept in memory only, so a reload asks for passwords again
+        this.sessionTokens = new Map();
+        
+        // Schema-aware editor completions
+        this.autocomplete = new SPARQLAutocomplete(this.sparqlClient);
+        
+        // Results state (mirrors the active editor tab)
         this.currentResults = null;
-        this.currentPage = 1;
-        this.pageSize = 50;
+        this.lastExecutedQuery = null;
+        
+        // Abort controller of the running query, if any
+        this.queryController = null;
+        
+        // Paged queries whose total row count is being fetched
+        this.countingQueries = new Set();
+        
+        // Results renderer, created once the DOM is ready
+        this.resultsRenderer = null;
+        
+        // Query history, created once the DOM is ready
+        this.queryHistory = null;
+        
+        // Saved query library, created once the DOM is ready
+        this.queryLibrary = null;
         
-        // Query history
-        this.queryHistory = Storage.get('query-history', []);
+        // Parameter form for query templates, created once the DOM is ready
+        this.queryTemplate = null;
         
         // CodeMirror editor instance
         this.editor = null;
         
+        // Editor tabs and their CodeMirror documents, keyed by tab id
+        this.queryTabs = null;
+        this.tabDocs = new Map();
+        
         this.init();
     }
     
@@ -32,6 +62,8 @@ class GraphDBApp {
             this.initializeUI();
             this.loadSampleQueries();
             this.loadConfig();
+            this.schemaBrowser.restore();
+            this.queryLibrary.sync();
             this.bindEvents();
             this.initialized = true;
             console.log('GraphDB Query Frontend initialized');
@@ -43,8 +75,102 @@ class GraphDBApp {
         // Update connection status
         this.updateConnectionStatus(false);
         
+        // Initialize resource explorer
+        this.resourceExplorer = new ResourceExplorer(this.sparqlClient);
+        
+        // Initialize connection profiles; a stored single connection becomes the first profile
+        const savedConfig = { ...this.config, ...Storage.get('graphdb-config', {}) };
+        this.connectionProfiles = new ConnectionProfiles({
+            initial: {
+                ...Object.fromEntries(ConnectionProfiles.FIELDS.map(field => [field, savedConfig[field]])),
+                prefixes: Storage.get('prefix-mappings', null)
+            },
+            onSwitch: (profile) => this.switchProfile(profile)
+        });
+        
+        // Initialize the repository list and statistics of the settings panel
+        this.repositoryPicker = new RepositoryPicker(this.sparqlClient, {
+            getEndpoint: () => document.getElementById('endpoint').value.trim()
+        });
+        
+        // Initialize prefix mappings (also applied to the SPARQL client), kept with the active profile
+        this.prefixManager = new PrefixManager(this.sparqlClient, {
+            onChange: (prefixes) => this.connectionProfiles.update(this.connectionProfiles.activeId, { prefixes: prefixes })
+        });
+        
+        // Initialize query history browser
+        this.queryHistory = new QueryHistory({
+            limit: this.config.historyLimit,
+            onLoad: (query) => this.loadHistoryQuery(query),
+            onRun: (query) => {
+                this.loadHistoryQuery(query);
+                this.executeQuery();
+            },
+            onChange: () => this.loadSampleQueries()
+        });
+        
+        // Initialize saved query library
+        this.queryLibrary = new QueryLibrary(this.sparqlClient, {
+            getCurrentQuery: () => this.getCurrentQuery(),
+            getCurrentChart: () => this.resultsRenderer.chartSettings,
+            onLoad: (query) => this.loadSavedQuery(query),
+            onChange: () => this.loadSampleQueries()
+        });
+        
+        // Initialize the parameter form for query templates
+        this.queryTemplate = new QueryTemplate({
+            sparqlClient: this.sparqlClient,
+            compactIRI: (iri) => this.prefixManager.compact(iri)
+        });
+        
+        // Initialize visual query builder
+        this.queryBuilder = new QueryBuilder({
+            sparqlClient: this.sparqlClient,
+            onGenerate: (sparql) => {
+                this.setCurrentQuery(sparql);
+                this.updateQueryStats();
+                this.focusEditor();
+                showNotification('Query generated - you can keep editing it by hand', 'success', 3000);
+            }
+        });
+        
+        // Initialize the schema sidebar; names go into the editor, starter queries into new tabs
+        this.schemaBrowser = new SchemaBrowser(this.sparqlClient, {
+            compactIRI: (iri) => this.prefixManager.compact(iri),
+            onInsert: (text) => this.insertAtCursor(text),
+            onQuery: (name, sparql) => {
+                if (!this.queryTabs.add(name, sparql)) {
+                    showNotification('Wait for the running query to finish before opening a new tab', 'warning');
+                    return;
+                }
+                this.focusEditor();
+            }
+        });
+        
+        // Initialize results renderer
+        this.resultsRenderer = new ResultsRenderer({
+            pageSize: this.config.pageSize,
+            onPageChange: (pageInfo) => this.updatePaginationStats(pageInfo),
+            onFetchPage: (page, table) => this.fetchResultsPage(page, null, table),
+            onResourceClick: (iri) => this.resourceExplorer.open(iri),
+            compactIRI: (iri) => this.prefixManager.compact(iri),
+            onChartChange: (chart) => this.setTabChart(chart)
+        });
+        
         // Initialize CodeMirror editor
         this.initializeCodeMirror();
+        
+        // Initialize editor tabs, restoring those of the last session
+        this.queryTabs = new QueryTabs({
+            onSwitch: (tab, previous) => this.showQueryTab(tab, previous),
+            onClose: (tab) => this.tabDocs.delete(tab.id)
+        });
+        
+        if (this.queryTabs.count() === 0) {
+            this.queryTabs.add('Query 1', this.getCurrentQuery());
+        } else {
+            this.showQueryTab(this.queryTabs.getActive(), null);
+        }
     }
     
     initializeCodeMirror() {
@@ -56,6 +182,7 @@ class GraphDBApp {
                 theme: 'default',
                 lineNumbers: true,
                 lineWrapping: true,
+                gutters: ['CodeMirror-linenumbers', 'sparql-errors'],
                 autoCloseBrackets: true,
                 matchBrackets: true,
                 indentUnit: 2,
@@ -64,6 +191,7 @@ class GraphDBApp {
                 extraKeys: {
                     'Ctrl-Enter': () => this.executeQuery(),
                     'Cmd-Enter': () => this.executeQuery(),
+                    'Ctrl-Space': (cm) => this.autocomplete.showHint(cm),
                     'Tab': 'indentMore',
                     'Shift-Tab': 'indentLess'
                 },
@@ -74,7 +202,7 @@ class GraphDBApp {
             const defaultQuery = `# Welcome to GraphDB Query Frontend!
 # Enter your SPARQL query here
 # Try one of the sample queries from the dropdown above
-# Keyboard shortcuts: Ctrl+Enter (execute)
+# Keyboard shortcuts: Ctrl+Enter (execute), Ctrl+Space (autocomplete)
 
 SELECT ?subject ?predicate ?object
 WHERE {
@@ -88,6 +216,7 @@ LIMIT 10`;
             this.editor.on('change', debounce(() => {
                 this.updateQueryStats();
                 this.validateQuerySyntax();
+                this.syncActiveTab();
             }, 300));
             
             // Focus the editor
@@ -136,11 +265,12 @@ LIMIT 10`;
         select.innerHTML = '<option value="">Load Sample Query...</option>';
         
         // Add recent queries section
-        if (this.queryHistory.length > 0) {
+        const history = this.queryHistory.getEntries();
+        if (history.length > 0) {
             const recentGroup = document.createElement('optgroup');
             recentGroup.label = 'Recent Queries';
             
-            this.queryHistory.slice(0, 5).forEach((entry, index) => {
+            history.slice(0, 5).forEach((entry, index) => {
                 const option = document.createElement('option');
                 option.value = entry.query;
                 const status = entry.success ? '✅' : '❌';
@@ -157,6 +287,23 @@ LIMIT 10`;
             select.appendChild(recentGroup);
         }
         
+        // Add saved queries, one group per folder
+        this.queryLibrary.getGrouped().forEach((queries, folder) => {
+            const savedGroup = document.createElement('optgroup');
+            savedGroup.label = folder ? `Saved: ${folder}` : 'Saved Queries';
+            
+            queries.forEach(query => {
+                const option = document.createElement('option');
+                option.value = `saved:${query.id}`;
+                option.textContent = query.name;
+                option.title = [query.description, query.tags.length ? `Tags: ${query.tags.join(', ')}` : '']
+                    .filter(Boolean).join('\n');
+                savedGroup.appendChild(option);
+            });
+            
+            select.appendChild(savedGroup);
+        });
+        
         // Add sample queries section
         if (sampleQueries.length > 0) {
             const sampleGroup = document.createElement('optgroup');
@@ -177,16 +324,198 @@ LIMIT 10`;
     loadConfig() {
         const savedConfig = Storage.get('graphdb-config');
         if (savedConfig) {
+            // Earlier versions stored the password in plain text
+            if ('password' in savedConfig) {
+                delete savedConfig.password;
+                Storage.set('graphdb-config', savedConfig);
+            }
             this.config = { ...this.config, ...savedConfig };
-            this.updateConfigUI();
+            this.queryHistory.setLimit(this.config.historyLimit);
+            this.resultsRenderer.setPageSize(this.config.pageSize);
         }
+        
+        // Connection settings and prefixes come from the active profile
+        this.applyProfile(this.connectionProfiles.getActive());
+        this.remindPassword(this.connectionProfiles.getActive());
+        
+        // Pick up namespaces declared in the repository
+        this.seedPrefixes();
+    }
+    
+    /**
+     * Copy a profile's connection settings and prefixes into the app
+     */
+    applyProfile(profile) {
+        ConnectionProfiles.FIELDS.forEach(field => {
+            this.config[field] = profile[field];
+        });
+        this.sparqlClient.updateConfig(this.config);
+        this.sparqlClient.setSessionToken(this.sessionTokens.get(profile.id));
+        
+        if (profile.prefixes) {
+            this.prefixManager.setPrefixes(profile.prefixes);
+        }
+        this.updateConfigUI();
+    }
+    
+    /**
+     * Switch to another connection profile; refused while a query is running
+     */
+    switchProfile(profile) {
+        if (this.queryController) {
+            showNotification('Wait for the running query to finish before switching connections', 'warning');
+            return false;
+        }
+        
+        this.applyProfile(profile);
+        this.prefixManager.renderEditor();
+        this.repositoryPicker.reset();
+        if (document.getElementById('configPanel').classList.contains('active')) {
+            this.repositoryPicker.loadStats();
+        }
+        this.resultsRenderer.refresh();
+        this.queryBuilder.clearCache();
+        this.autocomplete.invalidate();
+        this.schemaBrowser.invalidate();
+        Storage.set('graphdb-config', this.config);
+        
+        showNotification(`Switched to "${profile.name}"`, 'info', 2000);
+        this.remindPassword(profile);
+        this.updateConnectionStatus(false);
+        this.seedPrefixes();
+        this.checkConnection();
+        return true;
+    }
+    
+    createProfile() {
+        if (this.queryController) {
+            showNotification('Wait for the running query to finish before switching connections', 'warning');
+            return;
+        }
+        
+        // New profiles start as a copy of the active one
+        const active = this.connectionProfiles.getActive();
+        this.connectionProfiles.add({
+            ...active,
+            name: `${active.name} copy`,
+            prefixes: this.prefixManager.getPrefixes()
+        });
+        
+        const nameInput = document.getElementById('profileName');
+        nameInput.focus();
+        nameInput.select();
+    }
+    
+    deleteProfile() {
+        const profile = this.connectionProfiles.getActive();
+        if (this.connectionProfiles.getProfiles().length <= 1) {
+            showNotification('The last connection profile cannot be deleted', 'warning');
+            return;
+        }
+        
+        if (this.queryController) {
+            showNotification('Wait for the running query to finish before switching connections', 'warning');
+            return;
+        }
+        
+        if (confirm(`Delete connection profile "${profile.name}"?`)) {
+            this.connectionProfiles.remove(profile.id);
+            this.endSession(profile.id);
+        }
+    }
+    
+    /**
+     * Exchange a profile's password for a backend session token
+     */
+    async startSession(profile, password) {
+        const result = await this.sparqlClient.createSession(profile.username, password, profile.endpoint);
+        if (!result.success) {
+            return result;
+        }
+        
+        this.endSession(profile.id);
+        this.sessionTokens.set(profile.id, result.token);
+        if (profile.id === this.connectionProfiles.activeId) {
+            this.sparqlClient.setSessionToken(result.token);
+        }
+        return result;
+    }
+    
+    /**
+     * Drop a profile's session token and have the backend forget its password
+     */
+    endSession(profileId) {
+        const token = this.sessionTokens.get(profileId);
+        if (!token) return;
+        
+        this.sessionTokens.delete(profileId);
+        if (this.sparqlClient.sessionToken === token) {
+            this.sparqlClient.setSessionToken(null);
+        }
+        this.sparqlClient.endSession(token);
+    }
+    
+    /**
+     * Ask for the password of a profile with a username but no session yet
+     */
+    remindPassword(profile) {
+        if (profile.username && !this.sessionTokens.has(profile.id)) {
+            showNotification(`Enter the password for "${profile.name}" in the settings to authenticate`, 'info', 5000);
+        }
+    }
+    
+    /**
+     * Add the repository's namespaces to the prefixes of the active profile
+     *
+     * Runs once per endpoint and repository of a profile, so prefixes the user
+     * removed stay removed; `force` imports them again on request.
+     */
+    async seedPrefixes(force = false) {
+        const profile = this.connectionProfiles.getActive();
+        const source = `${profile.endpoint}/repositories/${profile.repository}`;
+        const seeded = profile.seeded || [];
+        if (!force && seeded.includes(source)) {
+            return 0;
+        }
+        
+        // Namespaces arriving after a profile switch or settings change are dropped
+        const isCurrent = () => {
+            const active = this.connectionProfiles.getActive();
+            return active.id === profile.id && `${active.endpoint}/repositories/${active.repository}` === source;
+        };
+        const added = await this.prefixManager.seedFromRepository(isCurrent);
+        if (added === null) {
+            return 0;
+        }
+        
+        if (!seeded.includes(source)) {
+            this.connectionProfiles.update(profile.id, { seeded: [...seeded, source] });
+        }
+        if (added > 0) {
+            this.prefixManager.renderEditor();
+            this.resultsRenderer.refresh();
+        }
+        return added;
     }
     
     updateConfigUI() {
+        document.getElementById('profileName').value = this.connectionProfiles.getActive().name;
         document.getElementById('endpoint').value = this.config.endpoint;
         document.getElementById('repository').value = this.config.repository;
         document.getElementById('username').value = this.config.username;
-        document.getElementById('password').value = this.config.password;
+        
+        // The password is never filled in; the placeholder tells whether a session holds it
+        const password = document.getElementById('password');
+        password.value = '';
+        password.placeholder = this.sessionTokens.has(this.connectionProfiles.activeId)
+            ? 'stored for this session (type to replace)'
+            : 'password';
+        document.getElementById('timeout').value = this.config.timeout ? this.config.timeout / 1000 : '';
+        document.getElementById('historyLimit').value = this.config.historyLimit;
+        document.getElementById('serverPaging').checked = this.config.serverPaging;
+        document.getElementById('csvDelimiter').value = this.config.csvDelimiter;
+        document.getElementById('csvBom').checked = this.config.csvBom;
+        document.getElementById('pageSizeSelect').value = String(this.config.pageSize);
     }
     
     bindEvents() {
@@ -213,6 +542,34 @@ LIMIT 10`;
             this.testConnection();
         });
         
+        // Repository picker
+        document.getElementById('listRepositoriesBtn').addEventListener('click', () => {
+            this.repositoryPicker.load();
+        });
+        
+        document.getElementById('endpoint').addEventListener('change', () => {
+            this.repositoryPicker.reset();
+        });
+        
+        // Connection profile buttons
+        document.getElementById('newProfileBtn').addEventListener('click', () => {
+            this.createProfile();
+        });
+        
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+        
+        // Prefix editor buttons
+        document.getElementById('addPrefixBtn').addEventListener('click', () => {
+            this.prefixManager.addEditorRow().querySelector('input').focus();
+        });
+        
+        document.getElementById('importPrefixesBtn').addEventListener('click', async () => {
+            const added = await this.seedPrefixes(true);
+            showNotification(added > 0 ? `Imported ${added} prefix${added !== 1 ? 'es' : ''} from the repository` : 'No new prefixes found in the repository', 'info', 3000);
+        });
+        
         // Query editor events (fallback for textarea)
         if (!this.editor) {
             const queryEditor = document.getElementById('queryEditor');
@@ -220,6 +577,7 @@ LIMIT 10`;
                 queryEditor.addEventListener('input', debounce(() => {
                     this.updateQueryStats();
                     this.validateQuerySyntax();
+                    this.syncActiveTab();
                 }, 300));
             }
         }
@@ -227,11 +585,44 @@ LIMIT 10`;
         // Sample queries dropdown
         document.getElementById('sampleQueries').addEventListener('change', (e) => {
             if (e.target.value) {
-                this.loadSampleQuery(e.target.value);
+                // Saved queries are loaded by id so their chart settings come along
+                if (e.target.value.startsWith('saved:')) {
+                    const saved = this.queryLibrary.getQuery(e.target.value.substring('saved:'.length));
+                    if (saved) {
+                        this.loadSavedQuery(saved);
+                    } else {
+                        showNotification('This saved query no longer exists', 'warning');
+                    }
+                } else {
+                    this.loadSampleQuery(e.target.value);
+                }
                 e.target.selectedIndex = 0; // Reset dropdown
             }
         });
         
+        // Query builder button
+        document.getElementById('queryBuilderBtn').addEventListener('click', () => {
+            this.queryBuilder.open();
+        });
+        
+        // Schema sidebar button
+        document.getElementById('schemaBtn').addEventListener('click', () => {
+            this.schemaBrowser.toggle();
+        });
+        
+        // Saved query library button
+        document.getElementById('libraryBtn').addEventListener('click', () => {
+            this.queryLibrary.open();
+        });
+        
+        // Update confirmation dialog
+        document.getElementById('updatePanel').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button && this.resolveUpdateConfirmation) {
+                this.resolveUpdateConfirmation(button.dataset.action === 'confirm');
+            }
+        });
+        
         // Clear query button
         document.getElementById('clearQueryBtn').addEventListener('click', () => {
             this.clearQuery();
@@ -239,14 +630,20 @@ LIMIT 10`;
         
         // Execute query button
         document.getElementById('executeQueryBtn').addEventListener('click', () => {
-            this.executeQuery();
+            if (this.queryController) {
+                this.cancelQuery();
+            } else {
+                this.executeQuery();
+            }
         });
         
-        // Tab switching
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.switchTab(e.target.dataset.tab);
-            });
+        document.getElementById('cancelQueryBtn').addEventListener('click', () => {
+            this.cancelQuery();
+        });
+        
+        // Rows per page
+        document.getElementById('pageSizeSelect').addEventListener('change', (e) => {
+            this.changePageSize(parseInt(e.target.value, 10));
         });
         
         // Export buttons
@@ -258,6 +655,10 @@ LIMIT 10`;
             this.exportResults('json');
         });
         
+        document.getElementById('exportFormatBtn').addEventListener('click', () => {
+            this.exportResults(document.getElementById('exportFormatSelect').value);
+        });
+        
         // Close config panel on background click
         document.getElementById('configPanel').addEventListener('click', (e) => {
             if (e.target.id === 'configPanel') {
@@ -265,13 +666,9 @@ LIMIT 10`;
             }
         });
         
-        // Pagination controls
-        document.getElementById('prevPageBtn').addEventListener('click', () => {
-            this.goToPage(this.currentPage - 1);
-        });
-        
-        document.getElementById('nextPageBtn').addEventListener('click', () => {
-            this.goToPage(this.currentPage + 1);
+        // Keep the active tab's page and view across reloads
+        window.addEventListener('beforeunload', () => {
+            this.storeTabState(this.queryTabs.getActive());
         });
         
         // Keyboard shortcuts
@@ -282,9 +679,25 @@ LIMIT 10`;
                 this.executeQuery();
             }
             
-            // Escape to close config panel
+            // Escape to cancel a query, template form or update, or close config panel, history, library, query builder or resource explorer
             if (e.key === 'Escape') {
-                this.hideConfigPanel();
+                if (this.queryController) {
+                    this.cancelQuery();
+                } else if (this.queryTemplate.isOpen()) {
+                    this.queryTemplate.cancel();
+                } else if (this.resolveUpdateConfirmation) {
+                    this.resolveUpdateConfirmation(false);
+                } else if (document.getElementById('configPanel').classList.contains('active')) {
+                    this.hideConfigPanel();
+                } else if (this.queryHistory.isOpen()) {
+                    this.queryHistory.close();
+                } else if (this.queryLibrary.isOpen()) {
+                    this.queryLibrary.close();
+                } else if (this.queryBuilder.isOpen()) {
+                    this.queryBuilder.close();
+                } else {
+                    this.resourceExplorer.close();
+                }
             }
             
             // Ctrl+S or Cmd+S to save config
@@ -298,6 +711,9 @@ LIMIT 10`;
     }
     
     showConfigPanel() {
+        this.prefixManager.renderEditor();
+        this.repositoryPicker.reset();
+        this.repositoryPicker.loadStats();
         document.getElementById('configPanel').classList.add('active');
     }
     
@@ -305,18 +721,73 @@ LIMIT 10`;
         document.getElementById('configPanel').classList.remove('active');
     }
     
-    saveConfig() {
+    async saveConfig() {
+        const previous = { ...this.connectionProfiles.getActive() };
         this.config.endpoint = document.getElementById('endpoint').value;
         this.config.repository = document.getElementById('repository').value;
         this.config.username = document.getElementById('username').value;
-        this.config.password = document.getElementById('password').value;
+        
+        // Timeout in seconds; empty or 0 disables it
+        const timeoutSeconds = parseFloat(document.getElementById('timeout').value);
+        this.config.timeout = timeoutSeconds > 0 ? Math.round(timeoutSeconds * 1000) : 0;
+        
+        const historyLimit = parseInt(document.getElementById('historyLimit').value, 10);
+        this.config.historyLimit = historyLimit > 0 ? historyLimit : 50;
+        this.queryHistory.setLimit(this.config.historyLimit);
+        
+        this.config.serverPaging = document.getElementById('serverPaging').checked;
+        this.config.csvDelimiter = document.getElementById('csvDelimiter').value;
+        this.config.csvBom = document.getElementById('csvBom').checked;
+        
+        // Connection settings belong to the active profile
+        this.connectionProfiles.update(this.connectionProfiles.activeId, {
+            name: document.getElementById('profileName').value,
+            ...Object.fromEntries(ConnectionProfiles.FIELDS.map(field => [field, this.config[field]]))
+        });
+        
+        // A session only holds credentials for the endpoint and user it was created with
+        if (this.config.endpoint !== previous.endpoint || this.config.username !== previous.username) {
+            this.endSession(previous.id);
+        }
+        
+        // Prefix mappings; invalid rows are skipped
+        const { prefixes, errors } = this.prefixManager.readEditor();
+        if (errors.length > 0) {
+            showNotification(`Skipped ${errors.length} invalid prefix${errors.length !== 1 ? 'es' : ''}: ${errors.join(', ')}`, 'warning');
+        }
+        this.prefixManager.setPrefixes(prefixes);
+        this.resultsRenderer.refresh();
         
         // Update SPARQL client configuration
         this.sparqlClient.updateConfig(this.config);
+        this.queryBuilder.clearCache();
+        this.autocomplete.invalidate();
         
         Storage.set('graphdb-config', this.config);
-        showNotification('Configuration saved!', 'success', 2000);
-        this.hideConfigPanel();
+        
+        // A new password goes to the backend in exchange for a session token;
+        // the panel stays open when that fails so it can be entered again
+        const password = document.getElementById('password').value;
+        let sessionError = null;
+        if (password && !this.config.username) {
+            sessionError = 'enter a username to go with the password';
+        } else if (password) {
+            const session = await this.startSession(this.connectionProfiles.getActive(), password);
+            sessionError = session.success ? null : session.error;
+        }
+        this.updateConfigUI();
+        
+        if (sessionError) {
+            showNotification(`Configuration saved, but the password was not stored: ${sessionError}`, 'warning');
+        } else {
+            showNotification('Configuration saved!', 'success', 2000);
+            this.hideConfigPanel();
+        }
+        
+        // Reloaded once a new password is in place
+        this.schemaBrowser.invalidate();
+        this.seedPrefixes();
+        this.checkConnection();
     }
     
     async testConnection() {
@@ -327,13 +798,16 @@ LIMIT 10`;
             const tempConfig = {
                 endpoint: document.getElementById('endpoint').value,
                 repository: document.getElementById('repository').value,
-                username: document.getElementById('username').value,
-                password: document.getElementById('password').value
+                username: document.getElementById('username').value
             };
             
             this.sparqlClient.updateConfig(tempConfig);
             
-            const result = await this.sparqlClient.testConnection();
+            // A password typed but not yet saved is tried instead of the session's
+            const password = document.getElementById('password').value;
+            const result = await this.sparqlClient.testConnection(
+                password ? { username: tempConfig.username, password: password } : null
+            );
             
             if (result.success) {
                 this.updateConnectionStatus(true);
@@ -356,6 +830,19 @@ LIMIT 10`;
         setLoading(false);
     }
     
+    /**
+     * Refresh the connection indicator without notifications
+     */
+    async checkConnection() {
+        const profileId = this.connectionProfiles.activeId;
+        const result = await this.sparqlClient.testConnection();
+        
+        // Ignore the answer when another profile was selected meanwhile
+        if (profileId === this.connectionProfiles.activeId) {
+            this.updateConnectionStatus(result.success);
+        }
+    }
+    
     updateConnectionStatus(connected) {
         const indicator = document.getElementById('connectionStatus');
         const text = indicator.parentElement.querySelector('.status-text');
@@ -375,6 +862,15 @@ LIMIT 10`;
         showNotification('Sample query loaded!', 'success', 2000);
     }
     
+    loadSavedQuery(query) {
+        this.setCurrentQuery(query.sparql);
+        this.resultsRenderer.chartSettings = query.chart || null;
+        this.setTabChart(query.chart || null);
+        this.updateQueryStats();
+        this.focusEditor();
+        showNotification(`Loaded "${query.name}"`, 'success', 2000);
+    }
+    
     clearQuery() {
         this.setCurrentQuery('');
         this.updateQueryStats();
@@ -388,24 +884,122 @@ LIMIT 10`;
             const length = this.getCurrentQuery().length;
             queryLength.textContent = `${length} characters`;
         }
+        
+        // Execution time of the active tab's last run
+        const executionTime = document.getElementById('executionTime');
+        const tab = this.queryTabs ? this.queryTabs.getActive() : null;
+        if (executionTime) {
+            executionTime.textContent = tab && tab.results && tab.results.executionTime ?
+                `Last run ${formatTime(tab.results.executionTime)}` : '';
+        }
     }
     
-    switchTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+    // Editor tab methods
+    /**
+     * Load a tab's query and results, keeping the state of the previous tab
+     */
+    showQueryTab(tab, previous) {
+        if (previous) {
+            this.storeTabState(previous);
+        }
+        
+        // Each tab has its own CodeMirror document, so undo history and cursor survive switching
+        if (this.editor) {
+            let doc = this.tabDocs.get(tab.id);
+            if (!doc) {
+                doc = CodeMirror.Doc(tab.query, 'sparql');
+                this.tabDocs.set(tab.id, doc);
+            }
+            this.editor.swapDoc(doc);
+        } else {
+            this.setCurrentQuery(tab.query);
+        }
+        
+        this.currentResults = tab.results;
+        this.lastExecutedQuery = tab.lastExecutedQuery;
+        this.resultsRenderer.chartSettings = tab.chart || null;
         
-        // Update content panels
-        document.querySelectorAll('.results-content').forEach(content => {
-            content.classList.remove('active');
+        if (tab.results) {
+            this.displayResults(tab.results);
+            if (tab.view) {
+                this.switchTab(tab.view);
+            }
+            // Server pages are stored as fetched; in-memory results are sliced again
+            if (tab.page > 1 && !tab.results.paging) {
+                this.goToPage(tab.page);
+            }
+            this.updateResultsStats(tab.results);
+        } else {
+            this.clearResults();
+            document.getElementById('resultCount').textContent = 'No results';
+            document.getElementById('queryExecutionTime').textContent = '';
+        }
+        
+        this.updateQueryStats();
+        this.validateQuerySyntax();
+    }
+    
+    /**
+     * Save the editor text, page and result view into a tab
+     */
+    storeTabState(tab) {
+        if (!tab) return;
+        
+        this.queryTabs.update(tab.id, {
+            query: this.getCurrentQuery(),
+            page: this.resultsRenderer.page,
+            view: this.resultsRenderer.activeView
         });
-        document.getElementById(`${tabName}View`).classList.add('active');
+    }
+    
+    /**
+     * Keep chart settings with the active tab; they outlive re-runs of its query
+     */
+    setTabChart(chart) {
+        const tab = this.queryTabs.getActive();
+        if (tab) {
+            this.queryTabs.update(tab.id, { chart: chart });
+        }
+    }
+    
+    syncActiveTab() {
+        const tab = this.queryTabs ? this.queryTabs.getActive() : null;
+        if (tab) {
+            this.queryTabs.update(tab.id, { query: this.getCurrentQuery() });
+        }
+    }
+    
+    /**
+     * Keep the results of the last run with the active tab
+     */
+    setTabResults(results, sparql) {
+        this.currentResults = results;
+        this.lastExecutedQuery = sparql;
+        
+        const tab = this.queryTabs.getActive();
+        if (tab) {
+            this.queryTabs.update(tab.id, {
+                results: results,
+                lastExecutedQuery: sparql,
+                page: 1,
+                view: null
+            });
+            this.queryTabs.render();
+        }
+        this.updateQueryStats();
+    }
+    
+    switchTab(tabName) {
+        this.resultsRenderer.switchView(tabName);
     }
     
     async executeQuery() {
-        const sparql = this.getCurrentQuery().trim();
+        let sparql = this.getCurrentQuery().trim();
+        
+        // One query at a time; the Execute button turns into Cancel meanwhile
+        if (this.queryController || this.queryTemplate.isOpen()) {
+            return;
+        }
         
         if (!sparql) {
             showNotification('Please enter a SPARQL query', 'warning');
@@ -413,6 +1007,15 @@ LIMIT 10`;
             return;
         }
         
+        // Templates ask for their parameter values first
+        if (QueryTemplate.hasPlaceholders(sparql)) {
+            sparql = await this.queryTemplate.prompt(sparql);
+            if (!sparql) {
+                this.focusEditor();
+                return;
+            }
+        }
+        
         // Validate query
         const validation = this.sparqlClient.validateQuery(sparql);
         if (!validation.valid) {
@@ -420,24 +1023,33 @@ LIMIT 10`;
             return;
         }
         
+        // Updates go to the statements endpoint after confirmation
+        if (this.sparqlClient.isUpdate(sparql)) {
+            await this.executeUpdate(sparql);
+            return;
+        }
+        
         // Show loading state
+        this.queryController = new AbortController();
         setLoading(true);
-        this.setQueryExecuting(true);
+        this.setQueryExecuting(true, true);
         
         try {
             console.log('Executing query:', sparql);
             
-            // Execute the query
-            const result = await this.sparqlClient.query(sparql);
+            // Execute the query; SELECT results are fetched page by page in paged mode
+            const options = { signal: this.queryController.signal };
+            const paged = this.config.serverPaging && this.sparqlClient.getQueryType(sparql) === 'select';
+            const result = paged
+                ? await this.sparqlClient.queryPage(sparql, 1, this.resultsRenderer.pageSize, options)
+                : await this.sparqlClient.query(sparql, 'json', options);
             
             if (result.success) {
                 // Format results for display
                 const formattedResults = this.sparqlClient.formatResults(result);
                 
-                // Store current results and reset pagination
-                this.currentResults = formattedResults;
-                this.currentPage = 1;
-                this.lastExecutedQuery = sparql;
+                // Store results with the active tab
+                this.setTabResults(formattedResults, sparql);
                 
                 // Display results
                 this.displayResults(formattedResults);
@@ -448,6 +1060,11 @@ LIMIT 10`;
                 // Add to query history
                 this.addToQueryHistory(sparql, formattedResults);
                 
+                // Count all solutions in the background while the first page is shown
+                if (formattedResults.paging && formattedResults.paging.total === null) {
+                    this.loadResultCount(formattedResults);
+                }
+                
                 // Show success notification
                 showNotification(
                     `Query executed successfully in ${formatTime(result.executionTime)}`,
@@ -458,7 +1075,13 @@ LIMIT 10`;
                 // Update connection status (if we got results, we're connected)
                 this.updateConnectionStatus(true);
                 
+            } else if (result.cancelled) {
+                this.setTabResults({ success: false, error: result.error, executionTime: result.executionTime }, sparql);
+                this.displayError(result.error, result.executionTime);
+                this.addToQueryHistory(sparql, { success: false, error: result.error, executionTime: result.executionTime });
+                showNotification('Query cancelled', 'info', 3000);
             } else {
+                this.setTabResults({ success: false, error: result.error, executionTime: result.executionTime }, sparql);
                 this.displayError(result.error, result.executionTime);
                 this.addToQueryHistory(sparql, { success: false, error: result.error, executionTime: result.executionTime });
                 showNotification(`Query failed: ${result.error}`, 'error');
@@ -471,262 +1094,180 @@ LIMIT 10`;
         }
         
         // Hide loading state
+        this.queryController = null;
         setLoading(false);
         this.setQueryExecuting(false);
     }
     
-    setQueryExecuting(executing) {
-        const executeBtn = document.getElementById('executeQueryBtn');
-        
-        if (executing) {
-            executeBtn.disabled = true;
-            executeBtn.textContent = 'Executing...';
-            this.setEditorReadOnly(true);
-        } else {
-            executeBtn.disabled = false;
-            executeBtn.textContent = 'Execute';
-            this.setEditorReadOnly(false);
-        }
-    }
-    
-    displayResults(results) {
-        if (!results.success) {
-            this.displayError(results.error, results.executionTime);
-            return;
+    /**
+     * Abort the running query, or decline an update waiting for confirmation
+     */
+    cancelQuery() {
+        if (this.resolveUpdateConfirmation) {
+            this.resolveUpdateConfirmation(false);
+        } else if (this.queryController) {
+            console.log('Cancelling query');
+            this.queryController.abort();
         }
-        
-        // Clear previous results
-        this.clearResults();
-        
-        // Display based on query type
-        switch (results.type) {
-            case 'select':
-                this.displaySelectResults(results);
-                break;
-            case 'ask':
-                this.displayAskResults(results);
-                // Hide pagination for ASK queries
-                document.getElementById('pagination').style.display = 'none';
-                break;
-            case 'graph':
-                this.displayGraphResults(results);
-                // Hide pagination for graph queries for now
-                document.getElementById('pagination').style.display = 'none';
-                break;
-            default:
-                this.displayRawResults(results);
-                // Hide pagination for other query types
-                document.getElementById('pagination').style.display = 'none';
-        }
-        
-        // Always show raw JSON
-        this.displayRawJSON(results.raw || results);
-        
-        // Switch to table view by default
-        this.switchTab('table');
     }
     
-    displaySelectResults(results) {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
+    /**
+     * Confirm and run a SPARQL Update, reporting triple counts
+     */
+    async executeUpdate(sparql) {
+        const graphs = this.sparqlClient.getAffectedGraphs(sparql);
         
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
+        // The update counts as the running query from the confirmation on, so
+        // nothing else starts meanwhile; cancelling declines the confirmation
+        this.queryController = new AbortController();
         
-        if (results.count === 0) {
-            this.displayEmptyResults();
-            return;
-        }
-        
-        // Create header row
-        const headerRow = document.createElement('tr');
-        results.headers.forEach(header => {
-            const th = document.createElement('th');
-            th.textContent = header;
-            headerRow.appendChild(th);
-        });
-        thead.appendChild(headerRow);
-        
-        // Calculate pagination
-        const startIndex = (this.currentPage - 1) * this.pageSize;
-        const endIndex = Math.min(startIndex + this.pageSize, results.rows.length);
-        const paginatedRows = results.rows.slice(startIndex, endIndex);
-        
-        // Create data rows for current page
-        paginatedRows.forEach(row => {
-            const tr = document.createElement('tr');
-            results.headers.forEach(header => {
-                const td = document.createElement('td');
-                const value = row[header];
+        try {
+            if (!await this.confirmUpdate(sparql, graphs)) {
+                showNotification('Update cancelled', 'info', 3000);
+                return;
+            }
+            
+            setLoading(true);
+            this.setQueryExecuting(true);
+            
+            const result = await this.sparqlClient.update(sparql, graphs);
+            
+            if (result.success) {
+                const formattedResults = this.sparqlClient.formatUpdateResults(result, graphs);
                 
-                // Format different types of values
-                if (value && typeof value === 'string') {
-                    if (value.startsWith('http://') || value.startsWith('https://')) {
-                        // Make URLs clickable
-                        td.innerHTML = `<a href="${value}" target="_blank" rel="noopener">${value}</a>`;
-                    } else {
-                        td.textContent = value;
-                    }
+                this.setTabResults(formattedResults, sparql);
+                
+                this.displayResults(formattedResults);
+                this.updateResultsStats(formattedResults);
+                this.addToQueryHistory(sparql, formattedResults);
+                
+                const [total] = formattedResults.counts;
+                const change = total ? total.after - total.before : null;
+                const changeText = change !== null ? ` (${change > 0 ? '+' : ''}${change} triples)` : '';
+                if (result.outcome === 'unknown') {
+                    showNotification('GraphDB did not confirm the update in time. It may still be applied; check the data before running it again.', 'warning');
                 } else {
-                    td.textContent = value || '';
+                    showNotification(
+                        `Update executed successfully in ${formatTime(result.executionTime)}${changeText}`,
+                        'success',
+                        3000
+                    );
                 }
                 
-                tr.appendChild(td);
-            });
-            tbody.appendChild(tr);
-        });
-        
-        // Update pagination controls
-        this.updatePaginationControls();
-    }
-    
-    displayAskResults(results) {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        
-        // Create simple result display
-        const headerRow = document.createElement('tr');
-        const th = document.createElement('th');
-        th.textContent = 'ASK Result';
-        headerRow.appendChild(th);
-        thead.appendChild(headerRow);
-        
-        const dataRow = document.createElement('tr');
-        const td = document.createElement('td');
-        td.textContent = results.result ? 'true' : 'false';
-        td.className = results.result ? 'badge-success' : 'badge-error';
-        td.style.fontWeight = 'bold';
-        dataRow.appendChild(td);
-        tbody.appendChild(dataRow);
+                this.updateConnectionStatus(true);
+                
+            } else {
+                this.setTabResults({ success: false, type: 'update', error: result.error, executionTime: result.executionTime }, sparql);
+                this.displayError(result.error, result.executionTime);
+                this.addToQueryHistory(sparql, { success: false, type: 'update', error: result.error, executionTime: result.executionTime });
+                showNotification(`Update failed: ${result.error}`, 'error');
+            }
+            
+        } catch (error) {
+            console.error('Update execution error:', error);
+            this.displayError(error.message);
+            showNotification(`Update execution error: ${error.message}`, 'error');
+        } finally {
+            this.queryController = null;
+            setLoading(false);
+            this.setQueryExecuting(false);
+        }
     }
     
-    displayGraphResults(results) {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        
-        // Simple display for now - show as JSON in table
-        const headerRow = document.createElement('tr');
-        const th = document.createElement('th');
-        th.textContent = 'Graph Results';
-        headerRow.appendChild(th);
-        thead.appendChild(headerRow);
-        
-        const dataRow = document.createElement('tr');
-        const td = document.createElement('td');
-        td.innerHTML = `<pre>${JSON.stringify(results.triples, null, 2)}</pre>`;
-        dataRow.appendChild(td);
-        tbody.appendChild(dataRow);
+    /**
+     * Show the affected graphs of an update; resolves to true when confirmed
+     */
+    confirmUpdate(sparql, graphs) {
+        const panel = document.getElementById('updatePanel');
+        const operations = this.sparqlClient.getQueryForm(sparql).operations
+            .map(operation => SPARQLParser.operationLabels[operation] || operation);
+        
+        panel.querySelector('.update-summary').textContent =
+            `This request runs ${operations.join(', ')} on repository "${this.sparqlClient.config.repository}" and modifies its data.`;
+        
+        const list = panel.querySelector('.update-graphs');
+        list.innerHTML = '';
+        (graphs.length ? graphs : [null]).forEach(graph => {
+            const item = document.createElement('li');
+            item.textContent = graph ? SPARQLParser.describeGraph(graph) : 'No target graph detected';
+            if (graph === 'ALL' || graph === 'NAMED') {
+                item.className = 'update-graph-all';
+            }
+            list.appendChild(item);
+        });
+        
+        panel.classList.add('active');
+        panel.querySelector('[data-action="cancel"]').focus();
+        
+        return new Promise(resolve => {
+            this.resolveUpdateConfirmation = (confirmed) => {
+                panel.classList.remove('active');
+                this.resolveUpdateConfirmation = null;
+                resolve(confirmed);
+            };
+        });
     }
     
-    displayRawResults(results) {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        
-        // Display raw data
-        const headerRow = document.createElement('tr');
-        const th = document.createElement('th');
-        th.textContent = 'Raw Results';
-        headerRow.appendChild(th);
-        thead.appendChild(headerRow);
-        
-        const dataRow = document.createElement('tr');
-        const td = document.createElement('td');
-        td.innerHTML = `<pre>${JSON.stringify(results, null, 2)}</pre>`;
-        dataRow.appendChild(td);
-        tbody.appendChild(dataRow);
+    setQueryExecuting(executing, cancellable = false) {
+        const executeBtn = document.getElementById('executeQueryBtn');
+        const cancelBtn = document.getElementById('cancelQueryBtn');
+        
+        if (executing) {
+            // Running queries can be cancelled; updates run to completion
+            executeBtn.disabled = !cancellable;
+            executeBtn.textContent = cancellable ? 'Cancel' : 'Executing...';
+            executeBtn.classList.toggle('btn-primary', !cancellable);
+            executeBtn.classList.toggle('btn-warning', cancellable);
+            cancelBtn.hidden = !cancellable;
+            this.setEditorReadOnly(true);
+            this.queryTabs.setLocked(true);
+        } else {
+            executeBtn.disabled = false;
+            executeBtn.textContent = 'Execute';
+            executeBtn.classList.add('btn-primary');
+            executeBtn.classList.remove('btn-warning');
+            cancelBtn.hidden = true;
+            this.setEditorReadOnly(false);
+            this.queryTabs.setLocked(false);
+        }
     }
     
-    displayRawJSON(data) {
-        const rawResults = document.getElementById('rawResults');
-        rawResults.textContent = JSON.stringify(data, null, 2);
+    displayResults(results) {
+        this.resultsRenderer.render(results);
+        this.updateExportControls(results);
     }
     
     displayError(error, executionTime) {
-        this.clearResults();
-        
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        
-        // Show error
-        const headerRow = document.createElement('tr');
-        const th = document.createElement('th');
-        th.textContent = 'Error';
-        th.style.color = 'var(--error-color)';
-        headerRow.appendChild(th);
-        thead.appendChild(headerRow);
-        
-        const dataRow = document.createElement('tr');
-        const td = document.createElement('td');
-        td.textContent = error;
-        td.style.color = 'var(--error-color)';
-        td.style.fontFamily = 'var(--font-mono)';
-        dataRow.appendChild(td);
-        tbody.appendChild(dataRow);
-        
-        // Show in raw view too
-        const rawResults = document.getElementById('rawResults');
-        rawResults.textContent = JSON.stringify({
-            error: error,
-            executionTime: executionTime
-        }, null, 2);
+        this.resultsRenderer.renderError(error, executionTime);
+        this.updateExportControls(null);
     }
     
-    displayEmptyResults() {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        
-        // Clear existing content
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        
-        // Show empty state
-        const emptyRow = document.createElement('tr');
-        const td = document.createElement('td');
-        td.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-state-icon">📊</div>
-                <h3>No Results</h3>
-                <p>Your query executed successfully but returned no results.</p>
-            </div>
-        `;
-        td.style.textAlign = 'center';
-        td.style.padding = '2rem';
-        emptyRow.appendChild(td);
-        tbody.appendChild(emptyRow);
+    clearResults() {
+        this.resultsRenderer.clear();
+        this.updateExportControls(null);
     }
     
-    clearResults() {
-        const table = document.getElementById('resultsTable');
-        const thead = table.querySelector('thead');
-        const tbody = table.querySelector('tbody');
-        const rawResults = document.getElementById('rawResults');
-        
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
-        rawResults.textContent = '';
+    /**
+     * Offer the export formats of the result type: RDF formats for
+     * CONSTRUCT/DESCRIBE, results formats for SELECT
+     */
+    updateExportControls(results) {
+        const controls = document.getElementById('formatExportControls');
+        const select = document.getElementById('exportFormatSelect');
+        const type = results && results.success ? results.type : null;
+        const formats = type === 'graph' ? SPARQLClient.RDF_FORMATS : type === 'select' ? ResultsExporter.FORMATS : null;
+        
+        controls.hidden = !formats;
+        if (!formats || select.dataset.type === type) return;
+        
+        select.dataset.type = type;
+        select.innerHTML = '';
+        Object.entries(formats).forEach(([value, format]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            select.appendChild(option);
+        });
     }
     
     updateResultsStats(results) {
@@ -736,8 +1277,12 @@ LIMIT 10`;
         if (results.success) {
             switch (results.type) {
                 case 'select':
-                    // Show total count, will be updated by pagination if needed
-                    resultCount.textContent = `${results.count} row${results.count !== 1 ? 's' : ''}`;
+                    // Show total count, or the visible range when paginated
+                    if (results.paging || this.resultsRenderer.getTotalPages() > 1) {
+                        this.updatePaginationStats(this.resultsRenderer.getPageInfo());
+                    } else {
+                        resultCount.textContent = `${results.count} row${results.count !== 1 ? 's' : ''}`;
+                    }
                     break;
                 case 'ask':
                     resultCount.textContent = `Result: ${results.result}`;
@@ -745,6 +1290,9 @@ LIMIT 10`;
                 case 'graph':
                     resultCount.textContent = `${results.count} triple${results.count !== 1 ? 's' : ''}`;
                     break;
+                case 'update':
+                    resultCount.textContent = 'Update completed';
+                    break;
                 default:
                     resultCount.textContent = 'Query completed';
             }
@@ -757,204 +1305,359 @@ LIMIT 10`;
         }
     }
     
-    exportResults(format) {
+    async exportResults(format) {
         if (!this.currentResults || !this.currentResults.success) {
             showNotification('No results to export', 'warning');
             return;
         }
         
+        if (this.queryController) return;
+        
+        if (SPARQLClient.RDF_FORMATS[format]) {
+            await this.exportRDF(format);
+            return;
+        }
+        
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
         const queryType = this.currentResults.type || 'query';
         
         try {
+            // SELECT exports cover all rows in table order, not just the page on display
+            const results = this.currentResults.type === 'select' ? await this.loadAllRows() : this.currentResults;
+            if (!results) return;
+            
+            let label = format.toUpperCase();
             if (format === 'csv') {
-                this.exportToCSV(timestamp, queryType);
+                if (!this.exportToCSV(results, timestamp, queryType)) return;
             } else if (format === 'json') {
-                this.exportToJSON(timestamp, queryType);
+                this.exportToJSON(results, timestamp, queryType);
+            } else {
+                const exporter = ResultsExporter.FORMATS[format];
+                const content = exporter.write(results.headers, results.rows, {
+                    compactIRI: (iri) => this.prefixManager.compact(iri)
+                });
+                downloadFile(content, `${queryType}-results-${timestamp}.${exporter.extension}`, exporter.mimeType);
+                label = exporter.label;
             }
             
-            showNotification(`Results exported as ${format.toUpperCase()}`, 'success', 2000);
+            showNotification(`Results exported as ${label}`, 'success', 2000);
         } catch (error) {
             console.error('Export failed:', error);
             showNotification(`Export failed: ${error.message}`, 'error');
         }
     }
     
-    exportToCSV(timestamp, queryType) {
+    /**
+     * All rows of the current SELECT results in table order
+     *
+     * Server-paged results are fetched again in full; resolves to null when
+     * that fails or is cancelled.
+     */
+    async loadAllRows() {
+        const current = this.currentResults;
+        if (!current.paging || (current.paging.page === 1 && !current.paging.hasMore)) {
+            const rows = this.resultsRenderer.getRows();
+            return { ...current, rows: rows, count: rows.length };
+        }
+        
+        this.queryController = new AbortController();
+        setLoading(true);
+        this.setQueryExecuting(true, true);
+        
+        try {
+            const result = await this.sparqlClient.query(current.paging.query, 'json', {
+                signal: this.queryController.signal
+            });
+            
+            if (result.success) {
+                return this.sparqlClient.formatResults(result);
+            }
+            showNotification(result.cancelled ? 'Export cancelled' : `Export failed: ${result.error}`, result.cancelled ? 'info' : 'error');
+            return null;
+        } finally {
+            this.queryController = null;
+            setLoading(false);
+            this.setQueryExecuting(false);
+        }
+    }
+    
+    /**
+     * Write results as CSV; returns false when there is nothing to export
+     */
+    exportToCSV(results, timestamp, queryType) {
         let data = [];
         let filename = `${queryType}-results-${timestamp}.csv`;
+        const options = {
+            delimiter: this.config.csvDelimiter,
+            bom: this.config.csvBom
+        };
         
-        if (this.currentResults.type === 'select' && this.currentResults.rows) {
-            data = this.currentResults.rows;
-        } else if (this.currentResults.type === 'ask') {
-            data = [{ result: this.currentResults.result }];
+        if (results.type === 'select' && results.rows) {
+            // CSV holds plain values, as in the SPARQL CSV results format,
+            // where blank nodes keep their _: prefix
+            data = results.rows;
+            options.headers = results.headers;
+            options.value = (row, header) => ResultsExporter.displayText(row[header]);
+        } else if (results.type === 'ask') {
+            data = [{ result: results.result }];
             filename = `ask-result-${timestamp}.csv`;
-        } else if (this.currentResults.type === 'graph' && this.currentResults.triples) {
-            // Convert triples to flat structure for CSV
-            data = Array.isArray(this.currentResults.triples) 
-                ? this.currentResults.triples.map((triple, index) => ({ 
-                    index: index + 1, 
-                    triple: JSON.stringify(triple) 
-                }))
-                : [{ data: JSON.stringify(this.currentResults.triples) }];
+        } else if (results.type === 'update' && results.counts) {
+            data = results.counts;
+        } else if (results.type === 'graph' && results.triples) {
+            // One row per triple, terms in N-Triples syntax
+            data = results.triples.map(triple => ({
+                subject: termToNTriples(triple.subject),
+                predicate: termToNTriples(triple.predicate),
+                object: termToNTriples(triple.object)
+            }));
         } else {
             // Fallback for other result types
-            data = [this.currentResults];
+            data = [results];
         }
         
         if (data.length === 0) {
             showNotification('No data to export', 'warning');
-            return;
+            return false;
         }
         
-        exportToCSV(data, filename);
+        exportToCSV(data, filename, options);
+        return true;
     }
     
-    exportToJSON(timestamp, queryType) {
+    exportToJSON(results, timestamp, queryType) {
         const filename = `${queryType}-results-${timestamp}.json`;
         
         const exportData = {
             exportedAt: new Date().toISOString(),
-            queryType: this.currentResults.type,
-            executionTime: this.currentResults.executionTime,
-            resultCount: this.currentResults.count || 0,
-            results: this.currentResults,
+            queryType: results.type,
+            executionTime: results.executionTime,
+            resultCount: results.count || 0,
+            results: results,
             query: this.lastExecutedQuery || 'N/A'
         };
         
-        const jsonString = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = filename;
-        link.click();
-        URL.revokeObjectURL(link.href);
+        downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
     }
     
-    // Pagination methods
-    goToPage(page) {
-        if (!this.currentResults || !this.currentResults.rows) {
+    /**
+     * Download graph results serialized by GraphDB
+     *
+     * The query runs again in the chosen format. TriG files can put the
+     * triples into a named graph, as in full_KG_graph.trig.
+     */
+    async exportRDF(format) {
+        const rdfFormat = SPARQLClient.RDF_FORMATS[format];
+        if (!rdfFormat || !this.currentResults || this.currentResults.type !== 'graph' || !this.lastExecutedQuery) {
+            showNotification('Run a CONSTRUCT or DESCRIBE query to export RDF', 'warning');
             return;
         }
+        if (this.queryController) return;
+        
+        let graph = null;
+        if (format === 'trig') {
+            graph = prompt('Named graph for the TriG file (leave empty for the default graph):', Storage.get('trig-export-graph', ''));
+            if (graph === null) return;
+            graph = graph.trim();
+            Storage.set('trig-export-graph', graph);
+        }
         
-        const totalPages = Math.ceil(this.currentResults.rows.length / this.pageSize);
+        this.queryController = new AbortController();
+        setLoading(true);
+        this.setQueryExecuting(true, true);
         
-        if (page < 1 || page > totalPages) {
-            return;
+        try {
+            const result = await this.sparqlClient.query(this.lastExecutedQuery, format, {
+                signal: this.queryController.signal,
+                graph: graph
+            });
+            
+            if (result.success) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+                downloadFile(result.results, `graph-results-${timestamp}.${rdfFormat.extension}`, `${rdfFormat.mimeType};charset=utf-8`);
+                showNotification(`Results exported as ${rdfFormat.label}`, 'success', 2000);
+            } else if (result.cancelled) {
+                showNotification('Export cancelled', 'info', 3000);
+            } else {
+                showNotification(`Export failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            showNotification(`Export failed: ${error.message}`, 'error');
         }
         
-        this.currentPage = page;
-        this.displaySelectResults(this.currentResults);
-        this.updatePaginationControls();
+        this.queryController = null;
+        setLoading(false);
+        this.setQueryExecuting(false);
     }
     
-    updatePaginationControls() {
-        if (!this.currentResults || !this.currentResults.rows) {
-            document.getElementById('pagination').style.display = 'none';
-            return;
-        }
-        
-        const totalRows = this.currentResults.rows.length;
-        const totalPages = Math.ceil(totalRows / this.pageSize);
+    // Pagination methods
+    goToPage(page) {
+        this.resultsRenderer.goToPage(page);
+    }
+    
+    updatePaginationStats(pageInfo) {
+        const { startRow, endRow, totalRows } = pageInfo;
         
-        // Show/hide pagination based on whether it's needed
-        const pagination = document.getElementById('pagination');
-        if (totalPages <= 1) {
-            pagination.style.display = 'none';
-            return;
+        // Update result count to show pagination info; the total of server pages may still be counting
+        const resultCount = document.getElementById('resultCount');
+        if (totalRows === null) {
+            const counting = this.currentResults && this.currentResults.paging &&
+                this.countingQueries.has(this.currentResults.paging.query);
+            resultCount.textContent = `Showing ${startRow}-${endRow} of ${endRow}+ rows${counting ? ' (counting...)' : ''}`;
+        } else if (startRow <= 1 && endRow === totalRows) {
+            resultCount.textContent = `${totalRows} row${totalRows !== 1 ? 's' : ''}`;
+        } else {
+            resultCount.textContent = `Showing ${startRow}-${endRow} of ${totalRows.toLocaleString()} row${totalRows !== 1 ? 's' : ''}`;
         }
+    }
+    
+    /**
+     * Fetch another page of server-paged SELECT results
+     *
+     * Passing table settings re-queries the rows sorted and filtered on the
+     * server, so they cover the whole result set rather than one page.
+     */
+    async fetchResultsPage(page, pageSize = null, table = null) {
+        const current = this.currentResults;
+        if (!current || !current.paging || this.queryController) return;
+        
+        const baseQuery = current.paging.baseQuery || current.paging.query;
+        const query = table
+            ? this.sparqlClient.buildTableQuery(baseQuery, current.headers, table)
+            : current.paging.query;
+        
+        this.queryController = new AbortController();
+        setLoading(true);
+        this.setQueryExecuting(true, true);
         
-        pagination.style.display = 'flex';
-        
-        // Update pagination controls
-        document.getElementById('currentPage').textContent = this.currentPage;
-        document.getElementById('totalPages').textContent = totalPages;
+        try {
+            const result = await this.sparqlClient.queryPage(query, page, pageSize || current.paging.pageSize, {
+                signal: this.queryController.signal
+            });
+            
+            if (result.success) {
+                const formattedResults = this.sparqlClient.formatResults(result);
+                formattedResults.paging.baseQuery = baseQuery;
+                formattedResults.table = table || current.table;
+                
+                // A counted total stays valid for every page of the same query
+                if (formattedResults.paging.total === null && query === current.paging.query) {
+                    formattedResults.paging.total = current.paging.total;
+                }
+                
+                this.currentResults = formattedResults;
+                this.queryTabs.update(this.queryTabs.getActive().id, { results: formattedResults, page: page });
+                this.resultsRenderer.showPage(formattedResults);
+                this.updateResultsStats(formattedResults);
+                
+                // Sorted or filtered rows are counted again
+                if (formattedResults.paging.total === null && query !== current.paging.query) {
+                    this.loadResultCount(formattedResults);
+                }
+            } else if (result.cancelled) {
+                showNotification('Loading the page was cancelled', 'info', 3000);
+            } else {
+                showNotification(`Failed to load page ${page}: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Page fetch error:', error);
+            showNotification(`Failed to load page ${page}: ${error.message}`, 'error');
+        }
         
-        // Update button states
-        document.getElementById('prevPageBtn').disabled = this.currentPage <= 1;
-        document.getElementById('nextPageBtn').disabled = this.currentPage >= totalPages;
+        // Table controls show the settings of the rows on display
+        if (table && this.currentResults === current) {
+            this.resultsRenderer.refresh();
+        }
         
-        // Update page info
-        const startRow = (this.currentPage - 1) * this.pageSize + 1;
-        const endRow = Math.min(this.currentPage * this.pageSize, totalRows);
+        this.queryController = null;
+        setLoading(false);
+        this.setQueryExecuting(false);
+    }
+    
+    /**
+     * Count the solutions of server-paged results and update the page display
+     */
+    async loadResultCount(results) {
+        this.countingQueries.add(results.paging.query);
+        const count = await this.sparqlClient.countResults(results.paging.query);
+        this.countingQueries.delete(results.paging.query);
+        
+        if (!count.success) {
+            console.warn('Could not count results:', count.error);
+        }
         
-        // Update result count to show pagination info
-        const resultCount = document.getElementById('resultCount');
-        resultCount.textContent = `Showing ${startRow}-${endRow} of ${totalRows} row${totalRows !== 1 ? 's' : ''}`;
+        // Every page of the same query shares the count
+        const current = this.currentResults;
+        if (count.success && results.paging.total === null) {
+            results.paging.total = count.count;
+        }
+        if (current && current.paging && current.paging.query === results.paging.query) {
+            if (count.success && current.paging.total === null) {
+                current.paging.total = count.count;
+            }
+            this.queryTabs.save(true);
+            this.resultsRenderer.refresh();
+            this.updateResultsStats(current);
+        }
+    }
+    
+    /**
+     * Change rows per page; server-paged results are fetched again from the first page
+     */
+    changePageSize(pageSize) {
+        this.config.pageSize = pageSize;
+        Storage.set('graphdb-config', { ...Storage.get('graphdb-config', {}), pageSize: pageSize });
+        
+        this.resultsRenderer.setPageSize(pageSize);
+        
+        const current = this.currentResults;
+        if (current && current.paging && current.paging.pageSize !== pageSize) {
+            this.fetchResultsPage(1, pageSize);
+        }
     }
     
     // Query history methods
     addToQueryHistory(query, results) {
+        // Failed runs carry no result type, so take it from the query form
+        let type = results.type;
+        if (!type) {
+            const form = this.sparqlClient.getQueryType(query);
+            type = ['construct', 'describe'].includes(form) ? 'graph' : form;
+        }
+        
         const historyEntry = {
             query: query,
-            timestamp: new Date().toISOString(),
             success: results.success,
             executionTime: results.executionTime,
-            type: results.type,
+            type: type,
             count: results.count || 0
         };
         
-        // Don't add duplicate consecutive queries
-        if (this.queryHistory.length > 0 && this.queryHistory[0].query === query) {
-            return;
-        }
-        
-        // Add to beginning of history
-        this.queryHistory.unshift(historyEntry);
-        
-        // Keep only last 50 queries
-        if (this.queryHistory.length > 50) {
-            this.queryHistory = this.queryHistory.slice(0, 50);
+        if (!results.success) {
+            historyEntry.error = results.error;
+        } else if (type === 'ask') {
+            historyEntry.result = results.result;
+        } else if (type === 'update') {
+            // Net change of the repository total, when it could be counted
+            const [total] = results.counts || [];
+            historyEntry.count = total ? total.after - total.before : null;
         }
         
-        // Save to storage
-        Storage.set('query-history', this.queryHistory);
-        
-        // Update dropdown with new history
-        this.loadSampleQueries();
-        
-        console.log('Query added to history:', historyEntry);
+        const entry = this.queryHistory.add(historyEntry);
+        console.log('Query added to history:', entry);
     }
     
     showQueryHistory() {
-        if (this.queryHistory.length === 0) {
-            showNotification('No query history available', 'info');
-            return;
-        }
-        
-        // Create a simple history display as a notification
-        let historyText = 'Recent Queries:\n\n';
-        this.queryHistory.slice(0, 5).forEach((entry, index) => {
-            const status = entry.success ? '✅' : '❌';
-            const time = formatTime(entry.executionTime);
-            const date = new Date(entry.timestamp).toLocaleString();
-            const queryPreview = entry.query.length > 50 
-                ? entry.query.substring(0, 50) + '...' 
-                : entry.query;
-            
-            historyText += `${index + 1}. ${status} ${entry.type?.toUpperCase() || 'QUERY'} (${time})\n`;
-            historyText += `   ${date}\n`;
-            historyText += `   ${queryPreview}\n\n`;
-        });
-        
-        // Show in console for now (better UI implementation could be added later)
-        console.log('Query History:', this.queryHistory);
-        
-        // Create a simple alert-like display
-        const confirmed = confirm(historyText + '\nWould you like to see the full history in the browser console?');
-        if (confirmed) {
-                         console.table(this.queryHistory.map(entry => ({
-                 Date: new Date(entry.timestamp).toLocaleString(),
-                 Type: entry.type?.toUpperCase() || 'UNKNOWN',
-                 Success: entry.success ? 'Yes' : 'No',
-                 'Execution Time': formatTime(entry.executionTime),
-                 'Query Preview': entry.query.length > 100 
-                     ? entry.query.substring(0, 100) + '...' 
-                     : entry.query
-             })));
-         }
-     }
-     
+        this.queryHistory.open();
+    }
+    
+    loadHistoryQuery(query) {
+        this.setCurrentQuery(query);
+        this.updateQueryStats();
+        this.validateQuerySyntax();
+        this.focusEditor();
+    }
+    
      // CodeMirror helper methods
      getCurrentQuery() {
          if (this.editor) {
@@ -974,6 +1677,29 @@ LIMIT 10`;
                  queryEditor.value = query;
              }
          }
+         this.syncActiveTab();
+     }
+     
+     /**
+      * Insert text at the cursor, replacing any selection
+      */
+     insertAtCursor(text) {
+         if (this.queryController) {
+             showNotification('Wait for the running query to finish before editing it', 'warning');
+             return;
+         }
+         
+         if (this.editor) {
+             this.editor.replaceSelection(text);
+         } else {
+             const queryEditor = document.getElementById('queryEditor');
+             if (queryEditor) {
+                 queryEditor.setRangeText(text, queryEditor.selectionStart, queryEditor.selectionEnd, 'end');
+             }
+         }
+         this.syncActiveTab();
+         this.updateQueryStats();
+         this.focusEditor();
      }
      
      focusEditor() {
@@ -1004,6 +1730,7 @@ LIMIT 10`;
      validateQuerySyntax() {
          const query = this.getCurrentQuery();
          const validation = this.sparqlClient.validateQuery(query);
+         const errors = query.trim() ? validation.errors || [] : [];
          
          // Visual feedback for validation
          const editorContainer = this.editor ? 
@@ -1020,8 +1747,39 @@ LIMIT 10`;
              }
          }
          
+         if (this.editor) {
+             this.showSyntaxErrors(errors);
+         }
+         
          return validation;
      }
+     
+     /**
+      * Mark syntax errors in the CodeMirror gutter and underline them
+      */
+     showSyntaxErrors(errors) {
+         this.editor.operation(() => {
+             (this.syntaxMarks || []).forEach(mark => mark.clear());
+             this.syntaxMarks = [];
+             this.editor.clearGutter('sparql-errors');
+             
+             errors.forEach(error => {
+                 const from = this.editor.posFromIndex(error.offset);
+                 const to = this.editor.posFromIndex(error.offset + error.length);
+                 
+                 this.syntaxMarks.push(this.editor.markText(from, to, {
+                     className: 'cm-syntax-error',
+                     title: error.message
+                 }));
+                 
+                 const marker = document.createElement('div');
+                 marker.className = 'sparql-error-marker';
+                 marker.textContent = '●';
+                 marker.title = `Line ${error.line}, column ${error.column}: ${error.message}`;
+                 this.editor.setGutterMarker(from.line, 'sparql-errors', marker);
+             });
+         });
+     }
 
 }
 
@@ -0,0 +1,287 @@
+// SPARQL Autocompletion for GraphDB Query Frontend
+// Schema-aware completions for the CodeMirror editor (Ctrl+Space)
+
+class SPARQLAutocomplete {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.limit = options.limit || 2000;
+
+        // Schema per endpoint/repository
+        this.cache = new Map();
+        this.pending = new Map();
+    }
+
+    getCacheKey() {
+        const { endpoint, repository } = this.sparqlClient.config;
+        return `${endpoint}|${repository}`;
+    }
+
+    /**
+     * Load classes, properties and namespaces of the connected repository
+     */
+    async loadSchema(force = false) {
+        const key = this.getCacheKey();
+
+        if (!force && this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const request = Promise.all([
+            this.sparqlClient.query(this.buildClassQuery()),
+            this.sparqlClient.query(this.buildPropertyQuery()),
+            this.sparqlClient.getNamespaces()
+        ]).then(([classes, properties, namespaces]) => {
+            const schema = {
+                classes: this.extractValues(classes, 'class'),
+                properties: this.extractValues(properties, 'property'),
+                namespaces: namespaces.success ? namespaces.namespaces : {}
+            };
+
+            // Only keep complete answers so a failed fetch is retried
+            if (classes.success && properties.success) {
+                this.cache.set(key, schema);
+            }
+            console.log(`Schema loaded for ${key}:`, schema.classes.length, 'classes,', schema.properties.length, 'properties');
+            return schema;
+        }).finally(() => {
+            this.pending.delete(key);
+        });
+
+        this.pending.set(key, request);
+        return request;
+    }
+
+    buildClassQuery() {
+        return `PREFIX rdf: <${COMMON_PREFIXES.rdf}>
+PREFIX rdfs: <${COMMON_PREFIXES.rdfs}>
+PREFIX owl: <${COMMON_PREFIXES.owl}>
+SELECT DISTINCT ?class
+WHERE {
+    { ?class a rdfs:Class } UNION { ?class a owl:Class } UNION { ?instance a ?class }
+    FILTER(isIRI(?class))
+}
+LIMIT ${this.limit}`;
+    }
+
+    buildPropertyQuery() {
+        return `PREFIX rdf: <${COMMON_PREFIXES.rdf}>
+PREFIX owl: <${COMMON_PREFIXES.owl}>
+SELECT DISTINCT ?property
+WHERE {
+    { ?property a rdf:Property }
+    UNION { ?property a owl:ObjectProperty }
+    UNION { ?property a owl:DatatypeProperty }
+    UNION { ?s ?property ?o }
+}
+LIMIT ${this.limit}`;
+    }
+
+    extractValues(result, variable) {
+        if (!result.success) return [];
+        return (result.results?.results?.bindings || [])
+            .map(binding => binding[variable]?.value)
+            .filter(Boolean);
+    }
+
+    /**
+     * Forget the schema of the current (or every) repository
+     */
+    invalidate(all = false) {
+        if (all) {
+            this.cache.clear();
+        } else {
+            this.cache.delete(this.getCacheKey());
+        }
+    }
+
+    // Query text analysis
+    getDeclaredPrefixes(text) {
+        const prefixes = {};
+        const pattern = /PREFIX\s+([A-Za-z][\w.-]*)?:\s*<([^>]*)>/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            prefixes[match[1] || ''] = match[2];
+        }
+        return prefixes;
+    }
+
+    getPrefixes(text, schema) {
+        return {
+            ...COMMON_PREFIXES,
+            ...(schema ? schema.namespaces : {}),
+            ...this.sparqlClient.prefixes,
+            ...this.getDeclaredPrefixes(text)
+        };
+    }
+
+    getVariables(text) {
+        const withoutComments = text.replace(/#[^\n]*/g, '');
+        const variables = new Set();
+        const pattern = /[?$]([A-Za-z_][\w]*)/g;
+        let match;
+        while ((match = pattern.exec(withoutComments)) !== null) {
+            variables.add(match[1]);
+        }
+        return [...variables].sort();
+    }
+
+    /**
+     * Shorten an IRI to prefix:localName with the longest matching namespace
+     */
+    compact(iri, prefixes) {
+        let best = null;
+        Object.entries(prefixes).forEach(([prefix, namespace]) => {
+            if (namespace && iri.startsWith(namespace) && (!best || namespace.length > best[1].length)) {
+                best = [prefix, namespace];
+            }
+        });
+
+        if (best) {
+            const localName = iri.substring(best[1].length);
+            if (/^[A-Za-z_][\w.-]*$/.test(localName) && !localName.endsWith('.')) {
+                return `${best[0]}:${localName}`;
+            }
+        }
+        return `<${iri}>`;
+    }
+
+    /**
+     * Compute completions for the word ending at `cursor` in `text`
+     */
+    async getCompletions(text, cursor) {
+        const before = text.substring(0, cursor);
+        const word = (before.match(/[?$]?[\w.-]*(?::[\w.-]*)?$/) || [''])[0];
+        const start = cursor - word.length;
+        const previousText = before.substring(0, start);
+
+        // Variables
+        if (word.startsWith('?') || word.startsWith('$')) {
+            const typed = word.substring(1).toLowerCase();
+            const current = word.substring(1);
+            const list = this.getVariables(text)
+                .filter(variable => variable.toLowerCase().startsWith(typed) && variable !== current)
+                .map(variable => ({ text: `${word[0]}${variable}`, className: 'hint-variable' }));
+            return { list, start, end: cursor };
+        }
+
+        const schema = await this.loadSchema();
+        const prefixes = this.getPrefixes(text, schema);
+
+        // Prefix declarations: PREFIX air: <...>
+        if (/PREFIX\s+$/i.test(previousText)) {
+            const typed = word.replace(/:$/, '').toLowerCase();
+            const list = Object.entries(prefixes)
+                .filter(([prefix]) => prefix.toLowerCase().startsWith(typed))
+                .map(([prefix, namespace]) => ({
+                    text: `${prefix}: <${namespace}>`,
+                    displayText: `${prefix}: <${namespace}>`,
+                    className: 'hint-prefix'
+                }));
+            return { list, start, end: cursor };
+        }
+
+        const lowerWord = word.toLowerCase();
+        const afterTypeKeyword = /(\ba|rdf:type|<http:\/\/www\.w3\.org\/1999\/02\/22-rdf-syntax-ns#type>)\s+$/.test(previousText);
+
+        const terms = [
+            ...schema.classes.map(iri => ({ iri, kind: 'class' })),
+            ...schema.properties.map(iri => ({ iri, kind: 'property' }))
+        ];
+
+        const seen = new Set();
+        const termHints = terms
+            .map(({ iri, kind }) => ({ name: this.compact(iri, prefixes), iri, kind }))
+            .filter(({ name }) => !name.startsWith('<') && name.toLowerCase().startsWith(lowerWord))
+            .filter(({ name, kind }) => {
+                const key = `${kind}:${name}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => {
+                // Classes first after `a`/rdf:type, properties first elsewhere
+                const rank = (hint) => (hint.kind === 'class') === afterTypeKeyword ? 0 : 1;
+                return rank(a) - rank(b) || a.name.localeCompare(b.name);
+            })
+            .map(({ name, iri, kind }) => ({
+                text: name,
+                displayText: `${name}  (${kind})`,
+                className: `hint-${kind}`,
+                iri: iri
+            }));
+
+        if (word.includes(':')) {
+            return { list: termHints, start, end: cursor };
+        }
+
+        // Bare words also complete prefixes and keywords
+        const prefixHints = Object.keys(prefixes)
+            .filter(prefix => prefix && prefix.toLowerCase().startsWith(lowerWord))
+            .sort()
+            .map(prefix => ({ text: `${prefix}:`, displayText: `${prefix}:  (prefix)`, className: 'hint-prefix' }));
+
+        const keywordHints = word.length > 0
+            ? SPARQLAutocomplete.keywords
+                .filter(keyword => keyword.toLowerCase().startsWith(lowerWord))
+                .map(keyword => ({ text: keyword, className: 'hint-keyword' }))
+            : [];
+
+        return { list: [...keywordHints, ...prefixHints, ...termHints], start, end: cursor };
+    }
+
+    /**
+     * CodeMirror hint source, used with the show-hint addon
+     */
+    getHintFunction() {
+        const hint = (editor, callback) => {
+            const cursor = editor.getCursor();
+            const text = editor.getValue();
+            const index = editor.indexFromPos(cursor);
+
+            this.getCompletions(text, index)
+                .then(({ list, start, end }) => {
+                    callback({
+                        list: list,
+                        from: editor.posFromIndex(start),
+                        to: editor.posFromIndex(end)
+                    });
+                })
+                .catch(error => {
+                    console.error('Autocompletion failed:', error);
+                    callback(null);
+                });
+        };
+        hint.async = true;
+        return hint;
+    }
+
+    /**
+     * Open the completion popup in the editor
+     */
+    showHint(editor) {
+        if (typeof editor.showHint !== 'function') {
+            console.warn('CodeMirror show-hint addon not available');
+            return;
+        }
+
+        editor.showHint({
+            hint: this.getHintFunction(),
+            completeSingle: false
+        });
+    }
+}
+
+SPARQLAutocomplete.keywords = [
+    'PREFIX', 'BASE', 'SELECT', 'DISTINCT', 'REDUCED', 'CONSTRUCT', 'DESCRIBE', 'ASK',
+    'WHERE', 'FROM', 'NAMED', 'GRAPH', 'OPTIONAL', 'UNION', 'MINUS', 'FILTER', 'BIND',
+    'VALUES', 'SERVICE', 'GROUP BY', 'HAVING', 'ORDER BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+    'INSERT', 'DELETE', 'DATA', 'WITH', 'USING', 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX',
+    'SAMPLE', 'GROUP_CONCAT', 'EXISTS', 'NOT EXISTS', 'STR', 'LANG', 'DATATYPE', 'IRI',
+    'CONTAINS', 'STRSTARTS', 'REGEX', 'LCASE', 'UCASE', 'isIRI', 'isLiteral', 'BOUND'
+];
+
+// Export for use in other modules
+window.SPARQLAutocomplete = SPARQLAutocomplete;
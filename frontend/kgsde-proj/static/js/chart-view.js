@@ -0,0 +1,632 @@
+// Chart View for GraphDB Query Frontend
+// Bar, line, scatter and pie charts of SELECT results, drawn as SVG
+
+class ChartView {
+    constructor(container, headers, rows, options = {}) {
+        this.container = container;
+        this.headers = headers;
+        this.rows = rows;
+        this.note = options.note || '';
+        this.compactIRI = options.compactIRI || (() => null);
+        this.onChange = options.onChange || (() => {});
+
+        // Column kinds ('number', 'date' or 'text') decide what can go on each axis
+        this.columns = ChartView.describeColumns(headers, rows);
+        this.settings = this.normalizeSettings(options.settings);
+        this.markup = '';
+
+        this.createDOM();
+        this.draw();
+    }
+
+    /**
+     * Settings restored from a tab or saved query, completed with defaults
+     * for the current columns: a date or text column on the X axis and up to
+     * three numeric columns as series
+     */
+    normalizeSettings(settings) {
+        const stored = settings || {};
+        const x = this.headers.includes(stored.x)
+            ? stored.x
+            : this.headers.find(header => this.columns[header] === 'date') ||
+              this.headers.find(header => this.columns[header] === 'text') ||
+              this.headers[0];
+
+        const numeric = this.getNumericColumns().filter(header => header !== x);
+        let y = (Array.isArray(stored.y) ? stored.y : []).filter(header => numeric.includes(header));
+        if (y.length === 0) {
+            y = numeric.slice(0, 3);
+        }
+
+        const type = ChartView.TYPES[stored.type] ? stored.type : (this.columns[x] === 'date' ? 'line' : 'bar');
+        return { type: type, x: x, y: y };
+    }
+
+    getNumericColumns() {
+        return this.headers.filter(header => this.columns[header] === 'number');
+    }
+
+    update(changes) {
+        this.settings = this.normalizeSettings({ ...this.settings, ...changes });
+        this.renderControls();
+        this.draw();
+        this.onChange({ ...this.settings });
+    }
+
+    createDOM() {
+        this.container.classList.add('chart-view');
+        this.container.innerHTML = `
+            <div class="chart-toolbar">
+                <label>Chart
+                    <select class="select-dropdown" data-setting="type">
+                        ${Object.entries(ChartView.TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>X axis <select class="select-dropdown" data-setting="x"></select></label>
+                <details class="chart-series">
+                    <summary class="btn btn-sm btn-secondary"></summary>
+                    <div class="chart-series-menu"></div>
+                </details>
+                <span class="chart-summary"></span>
+                <button class="btn btn-sm btn-secondary" data-action="png" title="Download as PNG image">PNG</button>
+                <button class="btn btn-sm btn-secondary" data-action="svg" title="Download as SVG image">SVG</button>
+            </div>
+            <div class="chart-canvas"></div>
+        `;
+
+        this.canvas = this.container.querySelector('.chart-canvas');
+
+        const toolbar = this.container.querySelector('.chart-toolbar');
+        toolbar.addEventListener('change', (e) => {
+            const setting = e.target.dataset.setting;
+            if (setting) {
+                this.update({ [setting]: e.target.value });
+                return;
+            }
+
+            // Keep at least one series selected
+            const y = [...toolbar.querySelectorAll('.chart-series-menu input:checked')].map(input => input.value);
+            if (y.length === 0) {
+                e.target.checked = true;
+                return;
+            }
+            this.update({ y: y });
+        });
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const filename = `chart-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}`;
+            if (button.dataset.action === 'png') {
+                this.exportPNG(`${filename}.png`);
+            } else {
+                this.exportSVG(`${filename}.svg`);
+            }
+        });
+
+        this.renderControls();
+    }
+
+    renderControls() {
+        const { type, x, y } = this.settings;
+        const toolbar = this.container.querySelector('.chart-toolbar');
+
+        toolbar.querySelector('[data-setting="type"]').value = type;
+
+        const xSelect = toolbar.querySelector('[data-setting="x"]');
+        xSelect.innerHTML = '';
+        this.headers.forEach(header => {
+            const option = document.createElement('option');
+            option.value = header;
+            option.textContent = header;
+            xSelect.appendChild(option);
+        });
+        xSelect.value = x;
+
+        const menu = toolbar.querySelector('.chart-series-menu');
+        menu.innerHTML = '';
+        const numeric = this.getNumericColumns().filter(header => header !== x);
+        numeric.forEach(header => {
+            const label = document.createElement('label');
+            label.innerHTML = '<input type="checkbox"> <span></span>';
+            label.querySelector('input').value = header;
+            label.querySelector('input').checked = y.includes(header);
+            label.querySelector('span').textContent = header;
+            menu.appendChild(label);
+        });
+        if (numeric.length === 0) {
+            menu.innerHTML = '<span class="chart-series-empty">No numeric columns</span>';
+        }
+
+        toolbar.querySelector('.chart-series summary').textContent =
+            type === 'pie' ? `Values: ${y[0] || 'none'}` : `Y axis: ${y.join(', ') || 'none'}`;
+    }
+
+    /**
+     * Rows with a value for the X column, as { x, label, values }
+     */
+    getData() {
+        const { x, y } = this.settings;
+        const kind = this.columns[x];
+        const data = [];
+
+        this.rows.forEach(row => {
+            const term = ResultsRenderer.toTerm(row[x]);
+            if (!term) return;
+
+            const position = kind === 'date' ? ChartView.parseDate(term.value) : kind === 'number' ? Number(term.value) : null;
+            if (kind !== 'text' && !isFinite(position)) return;
+
+            data.push({
+                x: position,
+                label: kind === 'date' ? new Date(position).toLocaleString() : ResultsExporter.displayText(term, this.compactIRI),
+                values: y.map(header => ChartView.toNumber(row[header]))
+            });
+        });
+
+        // Numeric and time axes are drawn in ascending order
+        if (kind !== 'text' && this.settings.type === 'line') {
+            data.sort((a, b) => a.x - b.x);
+        }
+        return data;
+    }
+
+    draw() {
+        const { type, y } = this.settings;
+        const summary = this.container.querySelector('.chart-summary');
+        let data = this.getData();
+        let limit = null;
+
+        if (y.length === 0 || data.length === 0) {
+            this.markup = '';
+            this.canvas.innerHTML = `<p class="chart-empty">${y.length === 0
+                ? 'Charts need at least one numeric column besides the X axis.'
+                : 'No rows have a value for the X axis column.'}</p>`;
+            summary.textContent = '';
+            this.container.querySelectorAll('[data-action]').forEach(button => { button.disabled = true; });
+            return;
+        }
+
+        const max = type === 'bar' ? ChartView.MAX_CATEGORIES : ChartView.MAX_POINTS;
+        if (type !== 'pie' && data.length > max) {
+            data = data.slice(0, max);
+            limit = max;
+        }
+
+        let content;
+        if (type === 'pie') {
+            content = this.drawPie(data);
+        } else if (type === 'bar') {
+            content = this.drawBar(data);
+        } else {
+            content = this.drawXY(data, type);
+        }
+
+        this.markup = `<svg xmlns="${SVG_NS}" width="${ChartView.WIDTH}" height="${ChartView.HEIGHT}" ` +
+            `viewBox="0 0 ${ChartView.WIDTH} ${ChartView.HEIGHT}" font-family="system-ui, -apple-system, sans-serif" font-size="11" fill="#1e293b">` +
+            `<rect width="${ChartView.WIDTH}" height="${ChartView.HEIGHT}" fill="#ffffff"/>${content}</svg>`;
+        this.canvas.innerHTML = this.markup;
+
+        summary.textContent = `${data.length} row${data.length !== 1 ? 's' : ''}` +
+            (limit ? ` (limited to the first ${limit})` : '') + (this.note ? ` · ${this.note}` : '');
+        this.container.querySelectorAll('[data-action]').forEach(button => { button.disabled = false; });
+    }
+
+    drawBar(data) {
+        const { y } = this.settings;
+        const plot = ChartView.getPlotArea();
+        const values = data.flatMap(point => point.values).filter(value => value !== null);
+        const scale = ChartView.niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+        const yPos = ChartView.linearScale(scale.min, scale.max, plot.bottom, plot.top);
+
+        const slot = (plot.right - plot.left) / data.length;
+        const barWidth = (slot * 0.8) / y.length;
+        const bars = [];
+        data.forEach((point, index) => {
+            point.values.forEach((value, series) => {
+                if (value === null) return;
+                const left = plot.left + index * slot + slot * 0.1 + series * barWidth;
+                const top = Math.min(yPos(value), yPos(0));
+                bars.push(`<rect x="${left.toFixed(2)}" y="${top.toFixed(2)}" width="${Math.max(barWidth - 1, 1).toFixed(2)}" ` +
+                    `height="${Math.abs(yPos(value) - yPos(0)).toFixed(2)}" fill="${ChartView.color(series)}">` +
+                    `<title>${escapeHTML(`${point.label}\n${y[series]}: ${ChartView.formatNumber(value)}`)}</title></rect>`);
+            });
+        });
+
+        return this.drawValueAxis(scale, yPos) +
+            bars.join('') +
+            this.drawCategoryAxis(data.map(point => point.label), (index) => plot.left + (index + 0.5) * slot) +
+            this.drawTitles() +
+            this.drawLegend();
+    }
+
+    /**
+     * Line and scatter charts; text columns on the X axis are spaced evenly
+     */
+    drawXY(data, type) {
+        const { x, y } = this.settings;
+        const kind = this.columns[x];
+        const plot = ChartView.getPlotArea();
+
+        const values = data.flatMap(point => point.values).filter(value => value !== null);
+        const scale = ChartView.niceTicks(Math.min(...values), Math.max(...values));
+        const yPos = ChartView.linearScale(scale.min, scale.max, plot.bottom, plot.top);
+
+        let xPos;
+        let axis;
+        if (kind === 'text') {
+            const slot = (plot.right - plot.left) / data.length;
+            xPos = (point, index) => plot.left + (index + 0.5) * slot;
+            axis = this.drawCategoryAxis(data.map(point => point.label), (index) => xPos(null, index));
+        } else {
+            const positions = data.map(point => point.x);
+            const ticks = kind === 'date'
+                ? ChartView.timeTicks(Math.min(...positions), Math.max(...positions))
+                : ChartView.niceTicks(Math.min(...positions), Math.max(...positions));
+            const scaleX = ChartView.linearScale(ticks.min, ticks.max, plot.left, plot.right);
+            xPos = (point) => scaleX(point.x);
+            axis = this.drawContinuousAxis(ticks, scaleX);
+        }
+
+        const marks = [];
+        y.forEach((header, series) => {
+            const color = ChartView.color(series);
+            const points = data
+                .map((point, index) => ({ point: point, left: xPos(point, index), value: point.values[series] }))
+                .filter(item => item.value !== null);
+
+            if (type === 'line' && points.length > 1) {
+                const path = points.map((item, index) => `${index === 0 ? 'M' : 'L'}${item.left.toFixed(2)},${yPos(item.value).toFixed(2)}`).join(' ');
+                marks.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>`);
+            }
+
+            const radius = type === 'scatter' ? 4 : (points.length > 100 ? 0 : 3);
+            if (radius === 0) return;
+            points.forEach(item => {
+                marks.push(`<circle cx="${item.left.toFixed(2)}" cy="${yPos(item.value).toFixed(2)}" r="${radius}" fill="${color}"` +
+                    `${type === 'scatter' ? ' fill-opacity="0.7"' : ''}>` +
+                    `<title>${escapeHTML(`${item.point.label}\n${header}: ${ChartView.formatNumber(item.value)}`)}</title></circle>`);
+            });
+        });
+
+        return this.drawValueAxis(scale, yPos) + marks.join('') + axis + this.drawTitles() + this.drawLegend();
+    }
+
+    /**
+     * Pie of the first series; the smallest slices are merged into "Other"
+     */
+    drawPie(data) {
+        const header = this.settings.y[0];
+        let slices = data
+            .map(point => ({ label: point.label, value: point.values[0] }))
+            .filter(slice => slice.value !== null && slice.value > 0)
+            .sort((a, b) => b.value - a.value);
+
+        if (slices.length === 0) {
+            return `<text x="${ChartView.WIDTH / 2}" y="${ChartView.HEIGHT / 2}" text-anchor="middle">No positive values of ${escapeHTML(header)} to show</text>`;
+        }
+
+        if (slices.length > ChartView.MAX_SLICES) {
+            const other = slices.slice(ChartView.MAX_SLICES - 1).reduce((sum, slice) => sum + slice.value, 0);
+            slices = slices.slice(0, ChartView.MAX_SLICES - 1).concat({ label: 'Other', value: other });
+        }
+
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const radius = ChartView.HEIGHT / 2 - 40;
+        const cx = radius + 60;
+        const cy = ChartView.HEIGHT / 2;
+        const parts = [];
+        let angle = -Math.PI / 2;
+
+        slices.forEach((slice, index) => {
+            const sweep = (slice.value / total) * Math.PI * 2;
+            const percent = ((slice.value / total) * 100).toFixed(1);
+            const title = `<title>${escapeHTML(`${slice.label}\n${header}: ${ChartView.formatNumber(slice.value)} (${percent}%)`)}</title>`;
+            const color = ChartView.color(index);
+
+            if (slices.length === 1) {
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${title}</circle>`);
+            } else {
+                const end = angle + sweep;
+                const point = (a) => `${(cx + radius * Math.cos(a)).toFixed(2)},${(cy + radius * Math.sin(a)).toFixed(2)}`;
+                parts.push(`<path d="M${cx},${cy} L${point(angle)} A${radius},${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(end)} Z" ` +
+                    `fill="${color}" stroke="#ffffff" stroke-width="1">${title}</path>`);
+                angle = end;
+            }
+
+            const top = 40 + index * 22;
+            parts.push(`<rect x="${cx + radius + 50}" y="${top}" width="12" height="12" fill="${color}"/>` +
+                `<text x="${cx + radius + 68}" y="${top + 10}">${escapeHTML(`${ChartView.truncate(slice.label, 40)} (${percent}%)`)}</text>`);
+        });
+
+        parts.push(`<text x="${cx}" y="20" text-anchor="middle" font-weight="600">${escapeHTML(header)}</text>`);
+        return parts.join('');
+    }
+
+    drawValueAxis(scale, yPos) {
+        const plot = ChartView.getPlotArea();
+        return scale.ticks.map(tick => {
+            const top = yPos(tick).toFixed(2);
+            return `<line x1="${plot.left}" x2="${plot.right}" y1="${top}" y2="${top}" stroke="${tick === 0 ? '#94a3b8' : '#e2e8f0'}"/>` +
+                `<text x="${plot.left - 8}" y="${top}" dy="0.32em" text-anchor="end" fill="#64748b">${escapeHTML(ChartView.formatNumber(tick))}</text>`;
+        }).join('');
+    }
+
+    /**
+     * Numeric or time ticks along the X axis
+     */
+    drawContinuousAxis(ticks, xPos) {
+        const plot = ChartView.getPlotArea();
+        const format = ticks.format || ChartView.formatNumber;
+        return `<line x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}" stroke="#94a3b8"/>` +
+            ticks.ticks.map(tick => {
+                const left = xPos(tick).toFixed(2);
+                return `<line x1="${left}" x2="${left}" y1="${plot.bottom}" y2="${plot.bottom + 5}" stroke="#94a3b8"/>` +
+                    `<text x="${left}" y="${plot.bottom + 18}" text-anchor="middle" fill="#64748b">${escapeHTML(format(tick))}</text>`;
+            }).join('');
+    }
+
+    /**
+     * Category labels, thinned out and slanted when there are many
+     */
+    drawCategoryAxis(labels, xPos) {
+        const plot = ChartView.getPlotArea();
+        const every = Math.ceil(labels.length / 40);
+        const slanted = labels.length > 8;
+
+        return `<line x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}" stroke="#94a3b8"/>` +
+            labels.map((label, index) => {
+                if (index % every !== 0) return '';
+                const left = xPos(index).toFixed(2);
+                const text = escapeHTML(ChartView.truncate(label, slanted ? 16 : 24));
+                return slanted
+                    ? `<text transform="translate(${left},${plot.bottom + 10}) rotate(-40)" text-anchor="end" fill="#64748b">${text}<title>${escapeHTML(label)}</title></text>`
+                    : `<text x="${left}" y="${plot.bottom + 18}" text-anchor="middle" fill="#64748b">${text}<title>${escapeHTML(label)}</title></text>`;
+            }).join('');
+    }
+
+    drawTitles() {
+        const { x, y } = this.settings;
+        const plot = ChartView.getPlotArea();
+        const middle = (plot.top + plot.bottom) / 2;
+        return `<text x="${(plot.left + plot.right) / 2}" y="${ChartView.HEIGHT - 8}" text-anchor="middle" font-weight="600">${escapeHTML(x)}</text>` +
+            (y.length === 1
+                ? `<text transform="translate(16,${middle}) rotate(-90)" text-anchor="middle" font-weight="600">${escapeHTML(y[0])}</text>`
+                : '');
+    }
+
+    drawLegend() {
+        const { y } = this.settings;
+        if (y.length < 2) return '';
+
+        let left = ChartView.getPlotArea().left;
+        return y.map((header, series) => {
+            const item = `<rect x="${left}" y="10" width="12" height="12" fill="${ChartView.color(series)}"/>` +
+                `<text x="${left + 16}" y="20">${escapeHTML(header)}</text>`;
+            left += 32 + header.length * 7;
+            return item;
+        }).join('');
+    }
+
+    // Export
+    exportSVG(filename) {
+        downloadFile(`<?xml version="1.0" encoding="UTF-8"?>\n${this.markup}\n`, filename, 'image/svg+xml');
+    }
+
+    /**
+     * Rasterize the SVG at twice its size through a canvas
+     */
+    exportPNG(filename) {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = ChartView.WIDTH * 2;
+            canvas.height = ChartView.HEIGHT * 2;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => downloadFile(blob, filename, 'image/png'), 'image/png');
+        };
+        image.onerror = () => showNotification('Could not render the chart as PNG', 'error');
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.markup)}`;
+    }
+
+    // Helpers
+    static getPlotArea() {
+        return { left: 72, right: ChartView.WIDTH - 24, top: 36, bottom: ChartView.HEIGHT - 84 };
+    }
+
+    static color(index) {
+        return ChartView.palette[index % ChartView.palette.length];
+    }
+
+    /**
+     * Kind of each column: 'number' or 'date' when every bound value is one
+     */
+    static describeColumns(headers, rows) {
+        const columns = {};
+        headers.forEach(header => {
+            let kind = null;
+            for (const row of rows) {
+                const term = ResultsRenderer.toTerm(row[header]);
+                if (!term) continue;
+
+                const termKind = ChartView.termKind(term);
+                if (kind !== null && kind !== termKind) {
+                    kind = 'text';
+                    break;
+                }
+                kind = termKind;
+            }
+            columns[header] = kind || 'text';
+        });
+        return columns;
+    }
+
+    static termKind(term) {
+        if (term.type !== 'literal') return 'text';
+
+        const datatype = term.datatype || '';
+        if (ResultsRenderer.DATE_TYPES.test(datatype)) {
+            return isFinite(ChartView.parseDate(term.value)) ? 'date' : 'text';
+        }
+        if (ResultsRenderer.NUMERIC_TYPES.test(datatype)) return 'number';
+
+        // Plain literals (and rows stored as strings) count as numbers when they parse as one
+        if (!datatype && !term['xml:lang'] && term.value.trim() !== '' && isFinite(Number(term.value))) return 'number';
+        return 'text';
+    }
+
+    static toNumber(value) {
+        const term = ResultsRenderer.toTerm(value);
+        if (!term || term.type !== 'literal' || term.value.trim() === '') return null;
+        const number = Number(term.value);
+        return isFinite(number) ? number : null;
+    }
+
+    /**
+     * Milliseconds of an xsd:date or xsd:dateTime; dates without a time zone are local
+     */
+    static parseDate(value) {
+        return Date.parse(/^-?\d{4,}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    }
+
+    static linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+        const span = domainMax - domainMin || 1;
+        return (value) => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+    }
+
+    /**
+     * Round axis bounds and about `count` ticks at 1, 2 or 5 times a power of ten
+     */
+    static niceTicks(min, max, count = 5) {
+        if (min === max) {
+            const pad = Math.abs(min) / 2 || 1;
+            min -= pad;
+            max += pad;
+        }
+
+        const raw = (max - min) / count;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => raw <= candidate);
+        const start = Math.floor(min / step) * step;
+        const end = Math.ceil(max / step) * step;
+
+        const ticks = [];
+        for (let value = start; value <= end + step / 2; value += step) {
+            ticks.push(Number(value.toPrecision(12)));
+        }
+        return { min: start, max: end, ticks: ticks };
+    }
+
+    /**
+     * Ticks on calendar boundaries (whole minutes, days, months, years...)
+     * with a label format matching the step
+     */
+    static timeTicks(min, max, count = 6) {
+        if (min === max) {
+            min -= 12 * 3600 * 1000;
+            max += 12 * 3600 * 1000;
+        }
+
+        const span = max - min;
+        const steps = ChartView.TIME_STEPS;
+        const step = steps.find(candidate => span / candidate.ms <= count) || steps[steps.length - 1];
+
+        // Start at the step boundary at or before the first value
+        const units = ['Seconds', 'Minutes', 'Hours', 'Date', 'Month', 'FullYear'];
+        const date = new Date(min);
+        date.setMilliseconds(0);
+        units.slice(0, units.indexOf(step.unit)).forEach(unit => {
+            date[`set${unit}`](unit === 'Date' ? 1 : 0);
+        });
+        if (step.unit !== 'Date') {
+            date[`set${step.unit}`](Math.floor(date[`get${step.unit}`]() / step.n) * step.n);
+        }
+
+        const ticks = [];
+        for (let i = 0; i < 100 && date.getTime() <= max; i++) {
+            if (date.getTime() >= min) {
+                ticks.push(date.getTime());
+            }
+            date[`set${step.unit}`](date[`get${step.unit}`]() + step.n);
+        }
+
+        const format = ChartView.TIME_FORMATS[step.unit];
+        return {
+            min: min,
+            max: max,
+            ticks: ticks,
+            format: (time) => new Date(time).toLocaleString(undefined, format)
+        };
+    }
+
+    static formatNumber(value) {
+        const abs = Math.abs(value);
+        if (abs !== 0 && (abs >= 1e9 || abs < 1e-4)) {
+            return value.toExponential(2);
+        }
+        return Number(value.toPrecision(6)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+    }
+
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+ChartView.TYPES = { bar: 'Bar', line: 'Line', scatter: 'Scatter', pie: 'Pie' };
+ChartView.WIDTH = 800;
+ChartView.HEIGHT = 400;
+ChartView.MAX_CATEGORIES = 100;
+ChartView.MAX_POINTS = 5000;
+ChartView.MAX_SLICES = 10;
+ChartView.palette = [
+    '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+    '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'
+];
+
+// Time axis steps, smallest first; `ms` is approximate for months and years
+ChartView.TIME_STEPS = [
+    [1, 'Seconds', 1000], [5, 'Seconds', 1000], [15, 'Seconds', 1000], [30, 'Seconds', 1000],
+    [1, 'Minutes', 60000], [5, 'Minutes', 60000], [15, 'Minutes', 60000], [30, 'Minutes', 60000],
+    [1, 'Hours', 3600000], [3, 'Hours', 3600000], [6, 'Hours', 3600000], [12, 'Hours', 3600000],
+    [1, 'Date', 86400000], [2, 'Date', 86400000], [7, 'Date', 86400000],
+    [1, 'Month', 2629800000], [3, 'Month', 2629800000], [6, 'Month', 2629800000],
+    [1, 'FullYear', 31557600000], [2, 'FullYear', 31557600000], [5, 'FullYear', 31557600000],
+    [10, 'FullYear', 31557600000], [25, 'FullYear', 31557600000], [50, 'FullYear', 31557600000],
+    [100, 'FullYear', 31557600000], [1000, 'FullYear', 31557600000]
+].map(([n, unit, ms]) => ({ n: n, unit: unit, ms: n * ms }));
+
+ChartView.TIME_FORMATS = {
+    Seconds: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+    Minutes: { hour: '2-digit', minute: '2-digit' },
+    Hours: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' },
+    Date: { year: 'numeric', month: 'short', day: 'numeric' },
+    Month: { year: 'numeric', month: 'short' },
+    FullYear: { year: 'numeric' }
+};
+
+// Register as a results view for SELECT results with a numeric column
+ResultsRenderer.registerView('chart', {
+    label: 'Chart',
+    types: ['select'],
+    supports: (results) => Array.isArray(results.rows) && results.rows.length > 0 &&
+        Object.values(ChartView.describeColumns(results.headers, results.rows)).includes('number'),
+    render(container, results, renderer) {
+        const paging = results.paging;
+        renderer.chartView = new ChartView(container, results.headers, renderer.getRows(), {
+            settings: renderer.chartSettings,
+            note: paging && (paging.page > 1 || paging.hasMore) ? 'current page only' : '',
+            compactIRI: renderer.compactIRI,
+            onChange: (settings) => {
+                renderer.chartSettings = settings;
+                renderer.onChartChange(settings);
+            }
+        });
+    },
+    dispose(renderer) {
+        renderer.chartView = null;
+    }
+});
+
+// Export for use in other modules
+window.ChartView = ChartView;
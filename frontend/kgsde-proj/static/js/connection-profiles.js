@@ -0,0 +1,174 @@
+// Connection Profiles for GraphDB Query Frontend
+// Named endpoint/repository settings with a header dropdown to switch between them
+
+class ConnectionProfiles {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'connection-profiles';
+        this.select = options.select || document.getElementById('profileSelect');
+        this.onSwitch = options.onSwitch || (() => {});
+
+        // The first run turns the single stored connection into a "Default" profile
+        const stored = Storage.get(this.storageKey, null);
+        if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+            this.profiles = stored.profiles;
+            this.activeId = stored.activeId;
+
+            // Passwords are held by backend sessions; drop any stored by earlier versions
+            if (this.profiles.some(profile => 'password' in profile)) {
+                this.profiles.forEach(profile => delete profile.password);
+                this.save();
+            }
+        } else {
+            const profile = ConnectionProfiles.createProfile({ name: 'Default', ...(options.initial || {}) });
+            this.profiles = [profile];
+            this.activeId = profile.id;
+            this.save();
+        }
+
+        if (!this.getProfile(this.activeId)) {
+            this.activeId = this.profiles[0].id;
+        }
+
+        if (this.select) {
+            this.select.addEventListener('change', () => this.switchTo(this.select.value));
+            this.render();
+        }
+    }
+
+    getProfiles() {
+        return this.profiles;
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getActive() {
+        return this.getProfile(this.activeId);
+    }
+
+    /**
+     * Create a profile and make it the active one
+     */
+    add(fields) {
+        const profile = ConnectionProfiles.createProfile({
+            ...fields,
+            name: ConnectionProfiles.uniqueName(fields.name || 'New profile', this.profiles)
+        });
+        this.profiles.push(profile);
+        this.switchTo(profile.id);
+        return profile;
+    }
+
+    /**
+     * Merge changes into a profile; names stay unique
+     */
+    update(id, changes) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        const updated = { ...changes };
+        if ('name' in updated) {
+            const others = this.profiles.filter(other => other !== profile);
+            updated.name = ConnectionProfiles.uniqueName(updated.name.trim() || profile.name, others);
+        }
+
+        Object.assign(profile, updated);
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Delete a profile; the last remaining one cannot be removed
+     */
+    remove(id) {
+        if (this.profiles.length <= 1) return false;
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (id === this.activeId) {
+            this.switchTo(this.profiles[0].id);
+        } else {
+            this.save();
+            this.render();
+        }
+        return true;
+    }
+
+    /**
+     * Activate a profile; onSwitch may return false to keep the current one
+     */
+    switchTo(id) {
+        const profile = this.getProfile(id);
+        if (!profile || id === this.activeId) {
+            this.render();
+            return;
+        }
+
+        const previous = this.getActive();
+        this.activeId = id;
+        if (this.onSwitch(profile, previous) === false) {
+            this.activeId = previous ? previous.id : id;
+        }
+
+        this.save();
+        this.render();
+    }
+
+    save() {
+        Storage.set(this.storageKey, { profiles: this.profiles, activeId: this.activeId });
+    }
+
+    render() {
+        if (!this.select) return;
+
+        this.select.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = `${profile.endpoint} · ${profile.repository}`;
+            this.select.appendChild(option);
+        });
+        this.select.value = this.activeId;
+
+        const active = this.getActive();
+        this.select.title = active ? `Connection profile: ${active.endpoint}/repositories/${active.repository}` : '';
+    }
+
+    static createProfile(fields) {
+        const profile = {
+            id: `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: fields.name
+        };
+        ConnectionProfiles.FIELDS.forEach(field => {
+            profile[field] = field in fields ? fields[field] : ConnectionProfiles.DEFAULTS[field];
+        });
+        profile.prefixes = fields.prefixes ? { ...fields.prefixes } : null;
+        profile.seeded = fields.seeded ? [...fields.seeded] : [];
+        return profile;
+    }
+
+    /**
+     * Add a number to a name already used by another profile
+     */
+    static uniqueName(name, profiles) {
+        const taken = new Set(profiles.map(profile => profile.name));
+        if (!taken.has(name)) return name;
+
+        let n = 2;
+        while (taken.has(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+}
+
+// Connection settings kept per profile, besides the name and default prefixes (never the password)
+ConnectionProfiles.FIELDS = ['endpoint', 'repository', 'username', 'timeout'];
+ConnectionProfiles.DEFAULTS = {
+    endpoint: 'http://localhost:7200',
+    repository: 'kgsde-proj',
+    username: '',
+    timeout: 30000
+};
+
+// Export for use in other modules
+window.ConnectionProfiles = ConnectionProfiles;
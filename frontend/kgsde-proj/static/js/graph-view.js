@@ -0,0 +1,568 @@
+// Graph View for GraphDB Query Frontend
+// Interactive node-link diagram for CONSTRUCT/DESCRIBE results
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class GraphView {
+    constructor(container, triples, options = {}) {
+        this.container = container;
+        this.options = {
+            maxNodes: options.maxNodes || 400,
+            nodeRadius: options.nodeRadius || 10,
+            linkDistance: options.linkDistance || 110,
+            onNodeSelect: options.onNodeSelect || null
+        };
+
+        // Graph model
+        this.nodes = [];
+        this.links = [];
+        this.nodeIndex = new Map();
+        this.typeColors = new Map();
+        this.truncated = false;
+
+        // View state
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.selectedNode = null;
+        this.dragging = null;
+        this.panning = null;
+        this.animationFrame = null;
+        this.alpha = 1;
+
+        this.buildModel(triples);
+        this.createDOM();
+        this.bindEvents();
+        this.start();
+    }
+
+    /**
+     * Build nodes and links from normalized triples
+     */
+    buildModel(triples) {
+        triples.forEach(({ subject, predicate, object }) => {
+            const source = this.getNode(subject);
+            if (!source) return;
+
+            if (predicate.value === RDF_TYPE && object.type === 'uri') {
+                source.types.push(object.value);
+                return;
+            }
+
+            if (object.type === 'literal' || object.type === 'typed-literal') {
+                source.literals.push({ predicate: predicate.value, object: object });
+                return;
+            }
+
+            const target = this.getNode(object);
+            if (!target) return;
+
+            this.links.push({ source: source, target: target, predicate: predicate.value });
+        });
+
+        this.nodes.forEach(node => {
+            node.color = this.getTypeColor(node.types[0]);
+        });
+
+        // Spread nodes on a circle so the simulation starts untangled
+        const radius = Math.max(100, this.nodes.length * 6);
+        this.nodes.forEach((node, index) => {
+            const angle = (index / this.nodes.length) * Math.PI * 2;
+            node.x = Math.cos(angle) * radius;
+            node.y = Math.sin(angle) * radius;
+        });
+    }
+
+    getNode(term) {
+        const key = `${term.type}:${term.value}`;
+        if (this.nodeIndex.has(key)) {
+            return this.nodeIndex.get(key);
+        }
+
+        if (this.nodes.length >= this.options.maxNodes) {
+            this.truncated = true;
+            return null;
+        }
+
+        const node = {
+            id: key,
+            term: term,
+            label: term.type === 'bnode' ? `_:${term.value}` : getLocalName(term.value),
+            types: [],
+            literals: [],
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            fixed: false
+        };
+        this.nodes.push(node);
+        this.nodeIndex.set(key, node);
+        return node;
+    }
+
+    getTypeColor(type) {
+        if (!type) return GraphView.untypedColor;
+
+        if (!this.typeColors.has(type)) {
+            const palette = GraphView.palette;
+            this.typeColors.set(type, palette[this.typeColors.size % palette.length]);
+        }
+        return this.typeColors.get(type);
+    }
+
+    createDOM() {
+        this.container.classList.add('graph-view');
+        this.container.innerHTML = `
+            <div class="graph-toolbar">
+                <span class="graph-summary"></span>
+                <div class="graph-legend"></div>
+                <button class="btn btn-sm btn-secondary" data-action="fit">Fit</button>
+                <button class="btn btn-sm btn-secondary" data-action="relayout">Re-layout</button>
+            </div>
+            <div class="graph-body">
+                <svg class="graph-canvas">
+                    <defs>
+                        <marker id="graphArrow" viewBox="0 0 10 10" refX="10" refY="5"
+                                markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                        </marker>
+                    </defs>
+                    <g class="graph-viewport">
+                        <g class="graph-links"></g>
+                        <g class="graph-nodes"></g>
+                    </g>
+                </svg>
+                <aside class="graph-details"></aside>
+            </div>
+        `;
+
+        this.svg = this.container.querySelector('svg');
+        this.viewport = this.container.querySelector('.graph-viewport');
+        this.details = this.container.querySelector('.graph-details');
+
+        const summary = this.container.querySelector('.graph-summary');
+        summary.textContent = `${this.nodes.length} nodes, ${this.links.length} edges` +
+            (this.truncated ? ` (limited to ${this.options.maxNodes} nodes)` : '');
+
+        this.renderLegend();
+        this.renderDetails(null);
+
+        const linkLayer = this.container.querySelector('.graph-links');
+        this.links.forEach(link => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', 'graph-link');
+
+            const line = document.createElementNS(SVG_NS, 'line');
+            line.setAttribute('marker-end', 'url(#graphArrow)');
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.textContent = getLocalName(link.predicate);
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = link.predicate;
+
+            group.appendChild(line);
+            group.appendChild(label);
+            group.appendChild(title);
+            linkLayer.appendChild(group);
+
+            link.element = { line: line, label: label };
+        });
+
+        const nodeLayer = this.container.querySelector('.graph-nodes');
+        this.nodes.forEach(node => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', 'graph-node');
+            group.dataset.id = node.id;
+
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('r', this.options.nodeRadius);
+            circle.setAttribute('fill', node.color);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('dy', this.options.nodeRadius + 12);
+            label.textContent = node.label;
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = node.term.value;
+
+            group.appendChild(circle);
+            group.appendChild(label);
+            group.appendChild(title);
+            nodeLayer.appendChild(group);
+
+            node.element = group;
+        });
+    }
+
+    renderLegend() {
+        const legend = this.container.querySelector('.graph-legend');
+        const entries = [...this.typeColors.entries()];
+
+        if (this.nodes.some(node => node.types.length === 0)) {
+            entries.push(['Untyped', GraphView.untypedColor]);
+        }
+
+        entries.forEach(([type, color]) => {
+            const item = document.createElement('span');
+            item.className = 'graph-legend-item';
+            item.title = type;
+            item.innerHTML = '<span class="graph-legend-swatch"></span>';
+            item.querySelector('.graph-legend-swatch').style.backgroundColor = color;
+            item.appendChild(document.createTextNode(getLocalName(type)));
+            legend.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the IRI, types and literal values of the selected node
+     */
+    renderDetails(node) {
+        this.details.innerHTML = '';
+
+        if (!node) {
+            this.details.innerHTML = '<p class="graph-details-hint">Click a node to see its literals.</p>';
+            return;
+        }
+
+        const heading = document.createElement('h4');
+        heading.textContent = node.label;
+        heading.title = node.term.value;
+        this.details.appendChild(heading);
+
+        const iri = document.createElement('div');
+        iri.className = 'graph-details-iri';
+        iri.textContent = node.term.type === 'bnode' ? `_:${node.term.value}` : node.term.value;
+        this.details.appendChild(iri);
+
+        if (node.term.type === 'uri') {
+            this.details.appendChild(ResultsRenderer.createResourceLink(node.term.value, 'Explore resource →'));
+        }
+
+        if (node.types.length > 0) {
+            const types = document.createElement('div');
+            types.className = 'graph-details-types';
+            node.types.forEach(type => {
+                const badge = document.createElement('span');
+                badge.className = 'badge badge-primary';
+                badge.textContent = getLocalName(type);
+                badge.title = type;
+                types.appendChild(badge);
+            });
+            this.details.appendChild(types);
+        }
+
+        if (node.literals.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'graph-details-hint';
+            empty.textContent = 'No literal values.';
+            this.details.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('dl');
+        node.literals.forEach(({ predicate, object }) => {
+            const dt = document.createElement('dt');
+            dt.textContent = getLocalName(predicate);
+            dt.title = predicate;
+
+            const dd = document.createElement('dd');
+            dd.textContent = object.value;
+            const lang = object['xml:lang'] || object.lang;
+            dd.title = lang ? `@${lang}` : (object.datatype || '');
+
+            list.appendChild(dt);
+            list.appendChild(dd);
+        });
+        this.details.appendChild(list);
+    }
+
+    selectNode(node) {
+        if (this.selectedNode) {
+            this.selectedNode.element.classList.remove('selected');
+        }
+
+        this.selectedNode = node;
+        if (node) {
+            node.element.classList.add('selected');
+        }
+
+        this.renderDetails(node);
+
+        if (this.options.onNodeSelect) {
+            this.options.onNodeSelect(node);
+        }
+    }
+
+    bindEvents() {
+        this.container.querySelector('[data-action="fit"]').addEventListener('click', () => this.fit());
+        this.container.querySelector('[data-action="relayout"]').addEventListener('click', () => {
+            this.nodes.forEach(node => { node.fixed = false; });
+            this.alpha = 1;
+            this.start();
+        });
+
+        // Zoom around the cursor
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.getSvgPoint(e);
+            const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+            const k = Math.min(4, Math.max(0.1, this.transform.k * factor));
+
+            this.transform.x = point.x - (point.x - this.transform.x) * (k / this.transform.k);
+            this.transform.y = point.y - (point.y - this.transform.y) * (k / this.transform.k);
+            this.transform.k = k;
+            this.applyTransform();
+        }, { passive: false });
+
+        this.svg.addEventListener('mousedown', (e) => {
+            const nodeElement = e.target.closest('.graph-node');
+
+            if (nodeElement) {
+                const node = this.nodes.find(n => n.id === nodeElement.dataset.id);
+                this.dragging = { node: node, moved: false };
+                node.fixed = true;
+            } else {
+                this.panning = { x: e.clientX - this.transform.x, y: e.clientY - this.transform.y };
+                this.svg.classList.add('panning');
+            }
+            e.preventDefault();
+        });
+
+        this.onMouseMove = (e) => {
+            if (this.dragging) {
+                const point = this.toGraphCoordinates(this.getSvgPoint(e));
+                this.dragging.node.x = point.x;
+                this.dragging.node.y = point.y;
+                this.dragging.moved = true;
+                this.alpha = Math.max(this.alpha, 0.3);
+                this.start();
+            } else if (this.panning) {
+                this.transform.x = e.clientX - this.panning.x;
+                this.transform.y = e.clientY - this.panning.y;
+                this.applyTransform();
+            }
+        };
+
+        this.onMouseUp = () => {
+            if (this.dragging) {
+                // A press without movement is a click
+                if (!this.dragging.moved) {
+                    this.selectNode(this.dragging.node);
+                }
+                this.dragging = null;
+            }
+            if (this.panning) {
+                this.panning = null;
+                this.svg.classList.remove('panning');
+            }
+        };
+
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+
+        // Double-click releases a pinned node
+        this.svg.addEventListener('dblclick', (e) => {
+            const nodeElement = e.target.closest('.graph-node');
+            if (!nodeElement) return;
+
+            const node = this.nodes.find(n => n.id === nodeElement.dataset.id);
+            node.fixed = false;
+            this.alpha = Math.max(this.alpha, 0.3);
+            this.start();
+        });
+    }
+
+    getSvgPoint(e) {
+        const rect = this.svg.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    toGraphCoordinates(point) {
+        return {
+            x: (point.x - this.transform.x) / this.transform.k,
+            y: (point.y - this.transform.y) / this.transform.k
+        };
+    }
+
+    applyTransform() {
+        const { x, y, k } = this.transform;
+        this.viewport.setAttribute('transform', `translate(${x},${y}) scale(${k})`);
+    }
+
+    /**
+     * Scale and center the graph inside the visible area
+     */
+    fit() {
+        if (this.nodes.length === 0) return;
+
+        const rect = this.svg.getBoundingClientRect();
+        const width = rect.width || 600;
+        const height = rect.height || 400;
+
+        const xs = this.nodes.map(node => node.x);
+        const ys = this.nodes.map(node => node.y);
+        const minX = Math.min(...xs) - 40;
+        const maxX = Math.max(...xs) + 40;
+        const minY = Math.min(...ys) - 40;
+        const maxY = Math.max(...ys) + 40;
+
+        const k = Math.min(2, width / (maxX - minX), height / (maxY - minY));
+        this.transform = {
+            k: k,
+            x: width / 2 - ((minX + maxX) / 2) * k,
+            y: height / 2 - ((minY + maxY) / 2) * k
+        };
+        this.applyTransform();
+    }
+
+    // Force simulation
+    start() {
+        if (this.animationFrame) return;
+
+        let fitted = false;
+        const tick = () => {
+            this.step();
+            this.draw();
+
+            if (!fitted && this.alpha < 0.5) {
+                this.fit();
+                fitted = true;
+            }
+
+            if (this.alpha > 0.01 && this.container.isConnected) {
+                this.animationFrame = requestAnimationFrame(tick);
+            } else {
+                this.animationFrame = null;
+                if (!fitted) this.fit();
+            }
+        };
+        this.animationFrame = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    step() {
+        const nodes = this.nodes;
+        const alpha = this.alpha;
+
+        // Repulsion between every pair of nodes
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                let dx = b.x - a.x;
+                let dy = b.y - a.y;
+                let distance2 = dx * dx + dy * dy;
+                if (distance2 === 0) {
+                    dx = Math.random() - 0.5;
+                    dy = Math.random() - 0.5;
+                    distance2 = dx * dx + dy * dy;
+                }
+                const force = (3000 * alpha) / distance2;
+                const distance = Math.sqrt(distance2);
+                const fx = (dx / distance) * force;
+                const fy = (dy / distance) * force;
+                a.vx -= fx;
+                a.vy -= fy;
+                b.vx += fx;
+                b.vy += fy;
+            }
+        }
+
+        // Springs along links
+        this.links.forEach(({ source, target }) => {
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = ((distance - this.options.linkDistance) / distance) * 0.05 * alpha;
+            source.vx += dx * force;
+            source.vy += dy * force;
+            target.vx -= dx * force;
+            target.vy -= dy * force;
+        });
+
+        // Weak pull to the center, velocity decay and integration
+        nodes.forEach(node => {
+            node.vx -= node.x * 0.005 * alpha;
+            node.vy -= node.y * 0.005 * alpha;
+
+            if (node.fixed) {
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+
+            node.vx *= 0.6;
+            node.vy *= 0.6;
+            node.x += node.vx;
+            node.y += node.vy;
+        });
+
+        this.alpha *= 0.98;
+    }
+
+    draw() {
+        const radius = this.options.nodeRadius;
+
+        this.links.forEach(link => {
+            const { source, target, element } = link;
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+            // Stop the line at the node border so the arrow stays visible
+            const x2 = target.x - (dx / distance) * radius;
+            const y2 = target.y - (dy / distance) * radius;
+
+            element.line.setAttribute('x1', source.x);
+            element.line.setAttribute('y1', source.y);
+            element.line.setAttribute('x2', x2);
+            element.line.setAttribute('y2', y2);
+            element.label.setAttribute('x', (source.x + target.x) / 2);
+            element.label.setAttribute('y', (source.y + target.y) / 2);
+        });
+
+        this.nodes.forEach(node => {
+            node.element.setAttribute('transform', `translate(${node.x},${node.y})`);
+        });
+    }
+
+    destroy() {
+        this.stop();
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+    }
+}
+
+GraphView.palette = [
+    '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+    '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'
+];
+GraphView.untypedColor = '#94a3b8';
+
+// Register as a results view for CONSTRUCT/DESCRIBE
+ResultsRenderer.registerView('graph', {
+    label: 'Graph',
+    types: ['graph'],
+    supports: (results) => Array.isArray(results.triples) && results.triples.length > 0,
+    render(container, results, renderer) {
+        this.dispose(renderer);
+        renderer.graphView = new GraphView(container, results.triples);
+    },
+    dispose(renderer) {
+        if (renderer.graphView) {
+            renderer.graphView.destroy();
+            renderer.graphView = null;
+        }
+    }
+});
+ResultsRenderer.setPreferredView('graph', 'graph');
+
+// Export for use in other modules
+window.GraphView = GraphView;
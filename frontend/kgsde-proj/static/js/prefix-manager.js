@@ -0,0 +1,157 @@
+// Prefix Manager for GraphDB Query Frontend
+// Persisted prefix→namespace mappings used to complete queries and shorten IRIs
+
+class PrefixManager {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.storageKey = options.storageKey || 'prefix-mappings';
+        this.container = options.container || document.getElementById('prefixEditor');
+        this.onChange = options.onChange || (() => {});
+
+        this.prefixes = Storage.get(this.storageKey, null) || { ...COMMON_PREFIXES };
+        this.apply();
+
+        if (this.container) {
+            this.bindEvents();
+            this.renderEditor();
+        }
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (button) {
+                button.closest('.prefix-row').remove();
+            }
+        });
+    }
+
+    getPrefixes() {
+        return { ...this.prefixes };
+    }
+
+    /**
+     * Replace all mappings and persist them
+     */
+    setPrefixes(prefixes) {
+        this.prefixes = { ...prefixes };
+        this.save();
+    }
+
+    save() {
+        Storage.set(this.storageKey, this.prefixes);
+        this.apply();
+        this.onChange(this.getPrefixes());
+    }
+
+    apply() {
+        this.sparqlClient.setPrefixes(this.prefixes);
+    }
+
+    /**
+     * Add the repository's namespaces that are not mapped yet
+     *
+     * Existing mappings win so user edits are kept. Returns the number of
+     * prefixes added, or null when the namespaces could not be loaded or
+     * `isCurrent` reports that the connection changed while they were.
+     */
+    async seedFromRepository(isCurrent = () => true) {
+        const result = await this.sparqlClient.getNamespaces();
+        if (!result.success) {
+            console.warn('Could not load repository namespaces:', result.error);
+            return null;
+        }
+        if (!isCurrent()) {
+            return null;
+        }
+
+        let added = 0;
+        Object.entries(result.namespaces).forEach(([prefix, namespace]) => {
+            if (PrefixManager.isValidPrefix(prefix) && !(prefix in this.prefixes)) {
+                this.prefixes[prefix] = namespace;
+                added++;
+            }
+        });
+
+        if (added > 0) {
+            this.save();
+            console.log(`Added ${added} prefixes from repository namespaces`);
+        }
+        return added;
+    }
+
+    /**
+     * Shorten an IRI to prefix:localName, or return null when no mapping fits
+     */
+    compact(iri) {
+        let best = null;
+        Object.entries(this.prefixes).forEach(([prefix, namespace]) => {
+            if (namespace && iri.startsWith(namespace) && (!best || namespace.length > best[1].length)) {
+                best = [prefix, namespace];
+            }
+        });
+
+        if (!best) return null;
+
+        const localName = iri.substring(best[1].length);
+        if (!/^[A-Za-z0-9_]([\w.-]*[\w-])?$/.test(localName) && localName !== '') {
+            return null;
+        }
+        return `${best[0]}:${localName}`;
+    }
+
+    // Settings editor
+    renderEditor() {
+        this.container.innerHTML = '';
+        Object.entries(this.prefixes)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([prefix, namespace]) => this.addEditorRow(prefix, namespace));
+    }
+
+    addEditorRow(prefix = '', namespace = '') {
+        const row = document.createElement('div');
+        row.className = 'prefix-row';
+        row.innerHTML = `
+            <input type="text" class="prefix-name" placeholder="prefix" value="${escapeHTML(prefix)}">
+            <input type="text" class="prefix-namespace" placeholder="http://example.com/ns#" value="${escapeHTML(namespace)}">
+            <button class="btn btn-sm btn-secondary" data-action="remove" title="Remove prefix">✕</button>
+        `;
+        this.container.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read the edited mappings; rows with an invalid prefix or IRI are reported
+     */
+    readEditor() {
+        const prefixes = {};
+        const errors = [];
+
+        this.container.querySelectorAll('.prefix-row').forEach(row => {
+            const prefix = row.querySelector('.prefix-name').value.trim().replace(/:$/, '');
+            const namespace = row.querySelector('.prefix-namespace').value.trim();
+
+            if (!prefix && !namespace) return;
+
+            if (!PrefixManager.isValidPrefix(prefix)) {
+                errors.push(`Invalid prefix "${prefix}"`);
+            } else if (!ResourceExplorer.isExplorableIRI(namespace)) {
+                errors.push(`Invalid namespace for "${prefix}:"`);
+            } else {
+                prefixes[prefix] = namespace;
+            }
+        });
+
+        return { prefixes, errors };
+    }
+
+    /**
+     * Check a prefix against the SPARQL PN_PREFIX production (ASCII subset)
+     */
+    static isValidPrefix(prefix) {
+        return /^([A-Za-z]([\w.-]*[\w-])?)?$/.test(prefix);
+    }
+}
+
+// Export for use in other modules
+window.PrefixManager = PrefixManager;
@@ -1,12 +1,531 @@
 // Query Builder for GraphDB Query Frontend
-// This will be implemented in Step 8
+// Builds SELECT queries from a class, property patterns, filters and modifiers
 
 class QueryBuilder {
-    constructor() {
-        // Placeholder - will be implemented in later step
+    constructor(options = {}) {
+        this.sparqlClient = options.sparqlClient || null;
+        this.panel = options.panel || document.getElementById('builderPanel');
+        this.onGenerate = options.onGenerate || (() => {});
+
+        this.prefixes = { ...QueryBuilder.defaultPrefixes, ...(options.prefixes || {}) };
+        this.model = QueryBuilder.createEmptyModel();
+
+        // Vocabulary loaded from the repository
+        this.classCache = null;
+        this.propertyCache = new Map();
+
+        if (this.panel) {
+            this.bindEvents();
+            this.renderForm();
+        }
+
         console.log('QueryBuilder initialized');
     }
+
+    static createEmptyModel() {
+        return {
+            className: '',
+            subjectVar: 'item',
+            distinct: true,
+            patterns: [],
+            filters: [],
+            orderBy: [],
+            limit: 100
+        };
+    }
+
+    // Model editing
+    setClass(className) {
+        this.model.className = className.trim();
+        const localName = getLocalName(this.model.className.replace(/^[^:]*:/, ''));
+        if (localName) {
+            this.model.subjectVar = QueryBuilder.toVariableName(localName);
+        }
+    }
+
+    addPattern(property = '', optional = false) {
+        this.model.patterns.push({
+            property: property,
+            variable: property ? QueryBuilder.variableForProperty(property) : '',
+            optional: optional
+        });
+    }
+
+    addFilter(variable = '', operator = '>', value = '') {
+        this.model.filters.push({ variable, operator, value });
+    }
+
+    addOrderBy(variable = '', direction = 'ASC') {
+        this.model.orderBy.push({ variable, direction });
+    }
+
+    removeItem(list, index) {
+        this.model[list].splice(index, 1);
+    }
+
+    reset() {
+        this.model = QueryBuilder.createEmptyModel();
+    }
+
+    /**
+     * Generate SPARQL text from the current model
+     */
+    toSparql() {
+        const model = this.model;
+        const subject = `?${model.subjectVar || 'item'}`;
+        const patterns = model.patterns.filter(pattern => pattern.property && pattern.variable);
+
+        const projection = [subject, ...patterns.map(pattern => `?${pattern.variable}`)];
+        const body = [];
+
+        if (model.className) {
+            body.push(`${subject} a ${this.formatResource(model.className)} .`);
+        }
+
+        patterns.filter(pattern => !pattern.optional).forEach(pattern => {
+            body.push(`${subject} ${this.formatResource(pattern.property)} ?${pattern.variable} .`);
+        });
+
+        patterns.filter(pattern => pattern.optional).forEach(pattern => {
+            body.push(`OPTIONAL { ${subject} ${this.formatResource(pattern.property)} ?${pattern.variable} }`);
+        });
+
+        model.filters
+            .filter(filter => filter.variable && filter.value !== '')
+            .forEach(filter => body.push(`FILTER(${this.formatFilter(filter)})`));
+
+        if (body.length === 0) {
+            body.push(`${subject} ?predicate ?object .`);
+        }
+
+        const lines = [];
+        const prologue = this.buildPrologue([
+            model.className,
+            ...patterns.map(pattern => pattern.property),
+            ...model.filters.map(filter => filter.value ? this.formatValue(filter.value) : '')
+        ]);
+        if (prologue) {
+            lines.push(prologue, '');
+        }
+
+        lines.push(`SELECT ${model.distinct ? 'DISTINCT ' : ''}${projection.join(' ')}`);
+        lines.push('WHERE {');
+        body.forEach(line => lines.push(`    ${line}`));
+        lines.push('}');
+
+        const orderBy = model.orderBy.filter(order => order.variable);
+        if (orderBy.length > 0) {
+            lines.push(`ORDER BY ${orderBy.map(order =>
+                order.direction === 'DESC' ? `DESC(?${order.variable})` : `?${order.variable}`
+            ).join(' ')}`);
+        }
+
+        const limit = parseInt(model.limit, 10);
+        if (limit > 0) {
+            lines.push(`LIMIT ${limit}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * PREFIX declarations for the prefixes used by the given terms
+     */
+    buildPrologue(terms) {
+        const used = new Set();
+        terms.forEach(term => {
+            if (typeof term !== 'string') return;
+
+            // Prefixed names, or the datatype of a typed literal
+            const match = term.match(/^([A-Za-z][\w-]*)?:(?!\/\/)/) || term.match(/\^\^([A-Za-z][\w-]*)?:/);
+            if (match && this.prefixes[match[1] || ''] !== undefined) {
+                used.add(match[1] || '');
+            }
+        });
+
+        return [...used]
+            .sort()
+            .map(prefix => `PREFIX ${prefix}: <${this.prefixes[prefix]}>`)
+            .join('\n');
+    }
+
+    /**
+     * Format a class/property as a prefixed name or <IRI>
+     */
+    formatResource(value) {
+        const trimmed = value.trim();
+        if (trimmed === 'a') return 'a';
+        if (/^<.*>$/.test(trimmed)) return trimmed;
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) return `<${trimmed}>`;
+        return trimmed;
+    }
+
+    formatFilter({ variable, operator, value }) {
+        const target = `?${variable}`;
+
+        if (operator === 'contains') {
+            return `CONTAINS(LCASE(STR(${target})), ${QueryBuilder.quoteString(value.toLowerCase())})`;
+        }
+        if (operator === 'regex') {
+            return `REGEX(STR(${target}), ${QueryBuilder.quoteString(value)}, "i")`;
+        }
+
+        return `${target} ${operator} ${this.formatValue(value)}`;
+    }
+
+    formatValue(value) {
+        const trimmed = value.trim();
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) return trimmed;
+        if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase();
+        if (/^\?\w+$/.test(trimmed)) return trimmed;
+        if (/^<[^>\s]*>$/.test(trimmed)) return trimmed;
+        if (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(trimmed)) return `<${trimmed}>`;
+        if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(trimmed)) {
+            const datatype = trimmed.includes('T') ? 'xsd:dateTime' : 'xsd:date';
+            return `"${trimmed}"^^${datatype}`;
+        }
+
+        const prefixed = trimmed.match(/^([A-Za-z][\w-]*)?:[\w-]*$/);
+        if (prefixed && this.prefixes[prefixed[1] || ''] !== undefined) return trimmed;
+
+        return QueryBuilder.quoteString(trimmed);
+    }
+
+    static quoteString(value) {
+        const escaped = value
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r');
+        return `"${escaped}"`;
+    }
+
+    /**
+     * Variable name from user input: without a leading ?/$ and with invalid characters replaced
+     */
+    static cleanVariable(name) {
+        const stripped = String(name || '').trim().replace(/^[?$]+/, '');
+        return stripped ? QueryBuilder.toVariableName(stripped) : '';
+    }
+
+    static toVariableName(name) {
+        const cleaned = name.replace(/[^A-Za-z0-9_]/g, '_').replace(/^_+|_+$/g, '');
+        if (!cleaned) return 'value';
+        const variable = cleaned.charAt(0).toLowerCase() + cleaned.slice(1);
+        return /^\d/.test(variable) ? `v${variable}` : variable;
+    }
+
+    /**
+     * Suggest a variable name for a property (air:hasAccuracy -> accuracy)
+     */
+    static variableForProperty(property) {
+        const localName = getLocalName(property.replace(/^<|>$/g, '').replace(/^[A-Za-z][\w-]*:(?!\/)/, ''));
+        const withoutHas = localName.replace(/^(has|is)(?=[A-Z])/, '');
+        return QueryBuilder.toVariableName(withoutHas);
+    }
+
+    /**
+     * Shorten an IRI with the builder's prefixes
+     */
+    compactIRI(iri) {
+        const match = Object.entries(this.prefixes)
+            .filter(([, namespace]) => iri.startsWith(namespace))
+            .sort((a, b) => b[1].length - a[1].length)[0];
+
+        if (match) {
+            const localName = iri.substring(match[1].length);
+            if (/^[\w-]*$/.test(localName)) {
+                return `${match[0]}:${localName}`;
+            }
+        }
+        return iri;
+    }
+
+    // Vocabulary loading
+    async loadClasses() {
+        if (this.classCache || !this.sparqlClient) return this.classCache || [];
+
+        const result = await this.sparqlClient.query(
+            'SELECT DISTINCT ?class WHERE { ?instance a ?class } ORDER BY ?class LIMIT 500'
+        );
+        this.classCache = result.success
+            ? (result.results?.results?.bindings || []).map(binding => this.compactIRI(binding.class.value))
+            : [];
+        return this.classCache;
+    }
+
+    async loadProperties(className) {
+        if (!className || !this.sparqlClient) return [];
+        if (this.propertyCache.has(className)) return this.propertyCache.get(className);
+
+        const result = await this.sparqlClient.query(this.buildPrologue([className]) +
+            `\nSELECT DISTINCT ?property WHERE { ?instance a ${this.formatResource(className)} ; ?property ?value } ORDER BY ?property LIMIT 500`
+        );
+        const properties = result.success
+            ? (result.results?.results?.bindings || []).map(binding => this.compactIRI(binding.property.value))
+            : [];
+        this.propertyCache.set(className, properties);
+        return properties;
+    }
+
+    clearCache() {
+        this.classCache = null;
+        this.propertyCache.clear();
+    }
+
+    // UI
+    open() {
+        this.panel.classList.add('active');
+        this.loadClasses().then(classes => this.fillDatalist('builderClassList', classes));
+        this.refreshProperties();
+    }
+
+    close() {
+        this.panel.classList.remove('active');
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('active');
+    }
+
+    fillDatalist(id, values) {
+        const datalist = document.getElementById(id);
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            datalist.appendChild(option);
+        });
+    }
+
+    async refreshProperties() {
+        const properties = await this.loadProperties(this.model.className);
+        this.fillDatalist('builderPropertyList', properties);
+    }
+
+    bindEvents() {
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'add-pattern':
+                    this.addPattern('', false);
+                    break;
+                case 'add-optional':
+                    this.addPattern('', true);
+                    break;
+                case 'add-filter':
+                    this.addFilter(this.getVariables()[1] || '');
+                    break;
+                case 'add-order':
+                    this.addOrderBy(this.getVariables()[0] || '');
+                    break;
+                case 'remove':
+                    this.removeItem(button.dataset.list, Number(button.dataset.index));
+                    break;
+                case 'reset':
+                    this.reset();
+                    break;
+                case 'generate':
+                    const duplicates = [...this.getDuplicateVariables()];
+                    if (duplicates.length > 0) {
+                        const names = duplicates.map(variable => `?${variable}`).join(', ');
+                        showNotification(`Several patterns bind ${names}; give each its own variable`, 'warning');
+                        return;
+                    }
+                    this.onGenerate(this.toSparql());
+                    this.close();
+                    return;
+                case 'close':
+                    this.close();
+                    return;
+                default:
+                    return;
+            }
+            this.renderForm();
+        });
+
+        // Keep the model in sync with the form fields
+        this.panel.addEventListener('input', (e) => this.handleFieldChange(e.target, false));
+        this.panel.addEventListener('change', (e) => this.handleFieldChange(e.target, true));
+    }
+
+    handleFieldChange(field, committed) {
+        const { list, index, key } = field.dataset;
+        if (!key) return;
+
+        let value = field.type === 'checkbox' ? field.checked : field.value;
+        if (committed && (key === 'variable' || key === 'subjectVar')) {
+            value = QueryBuilder.cleanVariable(value) || (key === 'subjectVar' ? 'item' : '');
+            field.value = value;
+        }
+
+        if (list) {
+            const item = this.model[list][Number(index)];
+            const previousProperty = item.property;
+            item[key] = value;
+
+            // Follow the property with a suggested variable until the user edits it
+            if (key === 'property' && (!item.variable || item.variable === QueryBuilder.variableForProperty(previousProperty || ''))) {
+                item.variable = value ? QueryBuilder.variableForProperty(value) : '';
+                const variableField = this.panel.querySelector(`[data-list="${list}"][data-index="${index}"][data-key="variable"]`);
+                if (variableField) variableField.value = item.variable;
+            }
+        } else if (key === 'className') {
+            this.setClass(value);
+            this.panel.querySelector('[data-key="subjectVar"]').value = this.model.subjectVar;
+            if (committed) this.refreshProperties();
+        } else {
+            this.model[key] = value;
+        }
+
+        if (committed && ['variable', 'subjectVar', 'property', 'optional'].includes(key)) {
+            this.renderForm();
+        } else {
+            this.renderPreview();
+        }
+    }
+
+    getVariables() {
+        return [
+            this.model.subjectVar,
+            ...this.model.patterns.filter(pattern => pattern.variable).map(pattern => pattern.variable)
+        ];
+    }
+
+    /**
+     * Variables bound by more than one pattern, or by a pattern and the subject
+     */
+    getDuplicateVariables() {
+        const seen = new Set();
+        const duplicates = new Set();
+        const patterns = this.model.patterns.filter(pattern => pattern.property && pattern.variable);
+        [this.model.subjectVar, ...patterns.map(pattern => pattern.variable)].forEach(variable => {
+            if (seen.has(variable)) duplicates.add(variable);
+            seen.add(variable);
+        });
+        return duplicates;
+    }
+
+    renderForm() {
+        const form = this.panel.querySelector('.builder-form');
+        if (!form) return;
+
+        const variables = this.getVariables();
+        const duplicates = this.getDuplicateVariables();
+        const variableInput = (variable) => duplicates.has(variable)
+            ? `class="builder-variable invalid" title="?${escapeHTML(variable)} is bound by another pattern too"`
+            : 'class="builder-variable"';
+        const variableOptions = (selected) => variables.map(variable =>
+            `<option value="${escapeHTML(variable)}"${variable === selected ? ' selected' : ''}>?${escapeHTML(variable)}</option>`
+        ).join('');
+
+        const patternRows = this.model.patterns.map((pattern, index) => `
+            <div class="builder-row">
+                <span class="badge ${pattern.optional ? 'badge-warning' : 'badge-primary'}">${pattern.optional ? 'OPTIONAL' : 'REQUIRED'}</span>
+                <input type="text" list="builderPropertyList" placeholder="air:hasAccuracy"
+                       data-list="patterns" data-index="${index}" data-key="property" value="${escapeHTML(pattern.property)}">
+                <input type="text" ${variableInput(pattern.variable)} placeholder="variable"
+                       data-list="patterns" data-index="${index}" data-key="variable" value="${escapeHTML(pattern.variable)}">
+                <label class="builder-checkbox">
+                    <input type="checkbox" data-list="patterns" data-index="${index}" data-key="optional"${pattern.optional ? ' checked' : ''}>
+                    optional
+                </label>
+                <button class="btn btn-sm btn-secondary" data-action="remove" data-list="patterns" data-index="${index}">×</button>
+            </div>
+        `).join('');
+
+        const operators = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'regex'];
+        const filterRows = this.model.filters.map((filter, index) => `
+            <div class="builder-row">
+                <select class="select-dropdown" data-list="filters" data-index="${index}" data-key="variable">
+                    ${variableOptions(filter.variable)}
+                </select>
+                <select class="select-dropdown" data-list="filters" data-index="${index}" data-key="operator">
+                    ${operators.map(op => `<option value="${escapeHTML(op)}"${op === filter.operator ? ' selected' : ''}>${escapeHTML(op)}</option>`).join('')}
+                </select>
+                <input type="text" placeholder="0.8" data-list="filters" data-index="${index}" data-key="value" value="${escapeHTML(filter.value)}">
+                <button class="btn btn-sm btn-secondary" data-action="remove" data-list="filters" data-index="${index}">×</button>
+            </div>
+        `).join('');
+
+        const orderRows = this.model.orderBy.map((order, index) => `
+            <div class="builder-row">
+                <select class="select-dropdown" data-list="orderBy" data-index="${index}" data-key="variable">
+                    ${variableOptions(order.variable)}
+                </select>
+                <select class="select-dropdown" data-list="orderBy" data-index="${index}" data-key="direction">
+                    <option value="ASC"${order.direction === 'ASC' ? ' selected' : ''}>Ascending</option>
+                    <option value="DESC"${order.direction === 'DESC' ? ' selected' : ''}>Descending</option>
+                </select>
+                <button class="btn btn-sm btn-secondary" data-action="remove" data-list="orderBy" data-index="${index}">×</button>
+            </div>
+        `).join('');
+
+        form.innerHTML = `
+            <div class="builder-section">
+                <h4>Class</h4>
+                <div class="builder-row">
+                    <input type="text" list="builderClassList" placeholder="air:Experiment"
+                           data-key="className" value="${escapeHTML(this.model.className)}">
+                    <input type="text" ${variableInput(this.model.subjectVar)} placeholder="variable"
+                           data-key="subjectVar" value="${escapeHTML(this.model.subjectVar)}">
+                    <label class="builder-checkbox">
+                        <input type="checkbox" data-key="distinct"${this.model.distinct ? ' checked' : ''}>
+                        DISTINCT
+                    </label>
+                </div>
+            </div>
+            <div class="builder-section">
+                <h4>Properties</h4>
+                ${patternRows}
+                <div class="builder-actions">
+                    <button class="btn btn-sm btn-secondary" data-action="add-pattern">+ Property</button>
+                    <button class="btn btn-sm btn-secondary" data-action="add-optional">+ Optional</button>
+                </div>
+            </div>
+            <div class="builder-section">
+                <h4>Filters</h4>
+                ${filterRows}
+                <div class="builder-actions">
+                    <button class="btn btn-sm btn-secondary" data-action="add-filter">+ Filter</button>
+                </div>
+            </div>
+            <div class="builder-section">
+                <h4>Order &amp; Limit</h4>
+                ${orderRows}
+                <div class="builder-actions">
+                    <button class="btn btn-sm btn-secondary" data-action="add-order">+ Order By</button>
+                    <label class="builder-limit">
+                        LIMIT
+                        <input type="number" min="0" data-key="limit" value="${escapeHTML(String(this.model.limit))}">
+                    </label>
+                </div>
+            </div>
+        `;
+
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const preview = this.panel.querySelector('.builder-preview');
+        if (preview) {
+            preview.textContent = this.toSparql();
+        }
+    }
 }
 
+// Prefixes known to the builder
+QueryBuilder.defaultPrefixes = COMMON_PREFIXES;
+
 // Export for use in other modules
-window.QueryBuilder = QueryBuilder; 
\ No newline at end of file
+window.QueryBuilder = QueryBuilder;
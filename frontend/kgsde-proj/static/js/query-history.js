@@ -0,0 +1,364 @@
+// Query History for GraphDB Query Frontend
+// Persisted log of executed queries with a searchable browser panel
+
+class QueryHistory {
+    constructor(options = {}) {
+        this.panel = options.panel || document.getElementById('historyPanel');
+        this.storageKey = options.storageKey || 'query-history';
+        this.limit = options.limit || 50;
+        this.onLoad = options.onLoad || (() => {});
+        this.onRun = options.onRun || (() => {});
+        this.onChange = options.onChange || (() => {});
+
+        // Entries are kept newest first; older entries had no id
+        this.entries = Storage.get(this.storageKey, []).map((entry, index) => ({
+            id: entry.id || `h-${Date.parse(entry.timestamp) || 0}-${index}`,
+            ...entry
+        }));
+
+        this.filters = QueryHistory.createEmptyFilters();
+        this.selected = [];
+
+        if (this.panel) {
+            this.bindEvents();
+        }
+    }
+
+    static createEmptyFilters() {
+        return {
+            search: '',
+            type: '',
+            status: '',
+            from: '',
+            to: '',
+            sort: 'newest'
+        };
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Record an execution; re-running the latest query replaces its entry
+     */
+    add(entry) {
+        const historyEntry = {
+            id: `h-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        if (this.entries.length > 0 && this.entries[0].query === historyEntry.query) {
+            this.entries.shift();
+        }
+
+        this.entries.unshift(historyEntry);
+        this.trim();
+        this.save();
+        return historyEntry;
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.selected = this.selected.filter(selectedId => selectedId !== id);
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.selected = [];
+        this.save();
+    }
+
+    /**
+     * Change the number of kept entries, dropping the oldest ones
+     */
+    setLimit(limit) {
+        this.limit = Math.max(1, parseInt(limit, 10) || 50);
+        if (this.trim()) {
+            this.save();
+        }
+    }
+
+    trim() {
+        if (this.entries.length <= this.limit) return false;
+        this.entries = this.entries.slice(0, this.limit);
+        return true;
+    }
+
+    save() {
+        Storage.set(this.storageKey, this.entries);
+        this.onChange(this.entries);
+        if (this.isOpen()) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Entries matching the current filters, in the selected order
+     */
+    getFiltered() {
+        const { search, type, status, from, to, sort } = this.filters;
+        const term = search.trim().toLowerCase();
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+        const entries = this.entries.filter(entry => {
+            if (term && !entry.query.toLowerCase().includes(term) &&
+                !(entry.error || '').toLowerCase().includes(term)) return false;
+            if (type && entry.type !== type) return false;
+            if (status === 'success' && !entry.success) return false;
+            if (status === 'failed' && entry.success) return false;
+
+            const time = new Date(entry.timestamp).getTime();
+            if (fromTime !== null && time < fromTime) return false;
+            if (toTime !== null && time > toTime) return false;
+            return true;
+        });
+
+        const byTime = (entry) => entry.executionTime || 0;
+        switch (sort) {
+            case 'oldest':
+                return entries.reverse();
+            case 'slowest':
+                return entries.sort((a, b) => byTime(b) - byTime(a));
+            case 'fastest':
+                return entries.sort((a, b) => byTime(a) - byTime(b));
+            default:
+                return entries;
+        }
+    }
+
+    // Panel
+    open() {
+        this.selected = [];
+        this.panel.classList.add('active');
+        this.render();
+        this.panel.querySelector('[data-filter="search"]').focus();
+    }
+
+    close() {
+        this.panel.classList.remove('active');
+    }
+
+    isOpen() {
+        return !!this.panel && this.panel.classList.contains('active');
+    }
+
+    bindEvents() {
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const entryEl = button.closest('.history-entry');
+            const entry = entryEl ? this.getEntry(entryEl.dataset.id) : null;
+
+            switch (button.dataset.action) {
+                case 'load':
+                    this.close();
+                    this.onLoad(entry.query);
+                    break;
+                case 'run':
+                    this.close();
+                    this.onRun(entry.query);
+                    break;
+                case 'delete':
+                    this.remove(entry.id);
+                    break;
+                case 'diff':
+                    this.renderDiff();
+                    break;
+                case 'close-diff':
+                    this.panel.querySelector('.history-diff').hidden = true;
+                    break;
+                case 'reset-filters':
+                    this.filters = QueryHistory.createEmptyFilters();
+                    this.render();
+                    break;
+                case 'clear':
+                    if (confirm('Delete the whole query history?')) {
+                        this.clear();
+                    }
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+
+        this.panel.addEventListener('input', (e) => {
+            const filter = e.target.dataset.filter;
+            if (filter) {
+                this.filters[filter] = e.target.value;
+                this.renderList();
+            }
+        });
+
+        // Two entries can be selected for comparison; a third replaces the oldest pick
+        this.panel.addEventListener('change', (e) => {
+            if (!e.target.matches('.history-select')) return;
+
+            const id = e.target.closest('.history-entry').dataset.id;
+            this.selected = this.selected.filter(selectedId => selectedId !== id);
+            if (e.target.checked) {
+                this.selected.push(id);
+                if (this.selected.length > 2) {
+                    this.selected.shift();
+                }
+            }
+            this.renderList();
+        });
+    }
+
+    render() {
+        this.panel.querySelectorAll('[data-filter]').forEach(field => {
+            field.value = this.filters[field.dataset.filter];
+        });
+        this.panel.querySelector('.history-diff').hidden = true;
+        this.renderList();
+    }
+
+    renderList() {
+        const list = this.panel.querySelector('.history-list');
+        const entries = this.getFiltered();
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            list.innerHTML = `<p class="history-empty">${this.entries.length === 0 ? 'No queries executed yet.' : 'No entries match the filters.'}</p>`;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `history-entry${entry.success ? '' : ' failed'}`;
+            item.dataset.id = entry.id;
+
+            const meta = [
+                `<span class="history-status">${entry.success ? '✅' : '❌'}</span>`,
+                `<span class="history-type">${escapeHTML((entry.type || 'query').toUpperCase())}</span>`,
+                `<span>${escapeHTML(new Date(entry.timestamp).toLocaleString())}</span>`,
+                entry.executionTime !== undefined ? `<span>${formatTime(entry.executionTime)}</span>` : '',
+                entry.success ? `<span>${escapeHTML(QueryHistory.describeOutcome(entry))}</span>` : ''
+            ].join('');
+
+            item.innerHTML = `
+                <input type="checkbox" class="history-select" title="Select to compare"${this.selected.includes(entry.id) ? ' checked' : ''}>
+                <div class="history-entry-main">
+                    <div class="history-meta">${meta}</div>
+                    <pre class="history-query"></pre>
+                    ${entry.error ? `<div class="history-error">${escapeHTML(entry.error)}</div>` : ''}
+                </div>
+                <div class="history-actions">
+                    <button class="btn btn-sm btn-secondary" data-action="load" title="Load into the editor">Load</button>
+                    <button class="btn btn-sm btn-primary" data-action="run" title="Load and execute">Run</button>
+                    <button class="btn btn-sm btn-secondary" data-action="delete" title="Delete entry">✕</button>
+                </div>
+            `;
+            item.querySelector('.history-query').textContent = entry.query;
+            list.appendChild(item);
+        });
+
+        this.panel.querySelector('.history-summary').textContent =
+            `${entries.length} of ${this.entries.length} entr${this.entries.length !== 1 ? 'ies' : 'y'} (keeping ${this.limit})`;
+        this.panel.querySelector('[data-action="diff"]').disabled = this.selected.length !== 2;
+    }
+
+    /**
+     * Show a line diff of the two selected entries, older one first
+     */
+    renderDiff() {
+        const [a, b] = this.selected
+            .map(id => this.getEntry(id))
+            .filter(Boolean)
+            .sort((x, y) => new Date(x.timestamp) - new Date(y.timestamp));
+        if (!a || !b) return;
+
+        const container = this.panel.querySelector('.history-diff');
+        const describe = (entry) => `${new Date(entry.timestamp).toLocaleString()} · ${entry.success ? QueryHistory.describeOutcome(entry) : 'failed'}` +
+            (entry.executionTime !== undefined ? ` · ${formatTime(entry.executionTime)}` : '');
+
+        container.innerHTML = `
+            <div class="history-diff-header">
+                <span class="history-diff-removed">− ${escapeHTML(describe(a))}</span>
+                <span class="history-diff-added">+ ${escapeHTML(describe(b))}</span>
+                <button class="btn btn-sm btn-secondary" data-action="close-diff">Close</button>
+            </div>
+            <pre class="history-diff-body"></pre>
+        `;
+
+        const body = container.querySelector('.history-diff-body');
+        QueryHistory.diffLines(a.query, b.query).forEach(line => {
+            const row = document.createElement('div');
+            row.className = line.type === 'same' ? '' : `history-diff-${line.type}`;
+            row.textContent = `${line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' '} ${line.text}`;
+            body.appendChild(row);
+        });
+
+        container.hidden = false;
+    }
+
+    /**
+     * Summarize what an execution returned
+     */
+    static describeOutcome(entry) {
+        if (entry.type === 'ask') {
+            return `Result: ${entry.result}`;
+        }
+        if (entry.type === 'update') {
+            if (entry.count === null || entry.count === undefined) return 'Update completed';
+            return `${entry.count > 0 ? '+' : ''}${entry.count} triples`;
+        }
+        const unit = entry.type === 'graph' ? 'triple' : 'row';
+        const count = entry.count || 0;
+        return `${count} ${unit}${count !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Line diff based on the longest common subsequence
+     */
+    static diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+}
+
+// Export for use in other modules
+window.QueryHistory = QueryHistory;
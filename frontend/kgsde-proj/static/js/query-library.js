@@ -0,0 +1,441 @@
+// Query Library for GraphDB Query Frontend
+// Named, tagged queries kept in the browser and shared through the backend
+
+class QueryLibrary {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.storageKey = options.storageKey || 'saved-queries';
+        this.panel = options.panel || document.getElementById('libraryPanel');
+        this.onLoad = options.onLoad || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.getCurrentQuery = options.getCurrentQuery || (() => '');
+        this.getCurrentChart = options.getCurrentChart || (() => null);
+
+        // The local copy is used while the backend is unreachable
+        this.queries = Storage.get(this.storageKey, []);
+        this.shared = false;
+
+        // Changes the backend has not confirmed yet: ids of queries to upload
+        // and ids deleted locally (tombstones), retried on the next sync
+        const pendingState = Storage.get(`${this.storageKey}-pending`, {});
+        this.pending = new Set(pendingState.upload || []);
+        this.deleted = new Set(pendingState.deleted || []);
+        this.search = '';
+
+        if (this.panel) {
+            this.bindEvents();
+        }
+    }
+
+    getQueries() {
+        return this.queries;
+    }
+
+    getQuery(id) {
+        return this.queries.find(query => query.id === id) || null;
+    }
+
+    getFolders() {
+        return [...new Set(this.queries.map(query => query.folder).filter(Boolean))].sort();
+    }
+
+    /**
+     * Saved queries grouped by folder, folders and names sorted
+     */
+    getGrouped(queries = this.queries) {
+        const groups = new Map();
+        [...queries]
+            .sort((a, b) => (a.folder || '').localeCompare(b.folder || '') || a.name.localeCompare(b.name))
+            .forEach(query => {
+                const folder = query.folder || '';
+                if (!groups.has(folder)) groups.set(folder, []);
+                groups.get(folder).push(query);
+            });
+        return groups;
+    }
+
+    /**
+     * Merge the shared library into the local one
+     *
+     * The backend's library is authoritative: local queries it no longer has
+     * were deleted by someone else and are dropped. Only changes made while
+     * the backend was unreachable are replayed - pending saves are uploaded
+     * unless the shared copy is newer, and pending deletes are repeated.
+     */
+    async sync() {
+        const result = await this.sparqlClient.getSavedQueries();
+        if (!result.success) {
+            this.shared = false;
+            return false;
+        }
+
+        const remoteIds = new Set(result.queries.map(query => query.id));
+        for (const id of [...this.deleted]) {
+            if (!remoteIds.has(id) || (await this.sparqlClient.deleteSavedQuery(id)).success) {
+                this.deleted.delete(id);
+                remoteIds.delete(id);
+            }
+        }
+
+        const merged = new Map(result.queries
+            .filter(query => remoteIds.has(query.id))
+            .map(query => [query.id, query]));
+        const toUpload = this.queries.filter(query => {
+            if (!this.pending.has(query.id)) return false;
+            const remote = merged.get(query.id);
+            return !remote || (query.modified || '') > (remote.modified || '');
+        });
+        toUpload.forEach(query => merged.set(query.id, query));
+
+        this.pending.clear();
+        if (toUpload.length > 0) {
+            const upload = await this.sparqlClient.importSavedQueries(toUpload);
+            if (!upload.success) {
+                toUpload.forEach(query => this.pending.add(query.id));
+            }
+        }
+
+        this.shared = true;
+        this.queries = [...merged.values()];
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Create or update a saved query; returns the stored entry
+     */
+    async save(fields) {
+        const now = new Date().toISOString();
+        const existing = fields.id ? this.getQuery(fields.id) : null;
+
+        const query = {
+            id: existing ? existing.id : QueryLibrary.createId(),
+            name: fields.name.trim(),
+            sparql: fields.sparql,
+            description: (fields.description || '').trim(),
+            tags: QueryLibrary.normalizeTags(fields.tags),
+            folder: (fields.folder || '').trim(),
+            chart: fields.chart || null,
+            created: existing ? existing.created : now,
+            modified: now
+        };
+
+        this.pending.add(query.id);
+        this.upsert([query]);
+        const result = await this.sparqlClient.saveSavedQuery(query);
+        this.confirm([query.id], result.success);
+        return query;
+    }
+
+    async remove(id) {
+        this.queries = this.queries.filter(query => query.id !== id);
+        this.pending.delete(id);
+        this.deleted.add(id);
+        this.persist();
+        const result = await this.sparqlClient.deleteSavedQuery(id);
+        if (result.success) {
+            this.deleted.delete(id);
+            this.persist();
+        }
+        this.shared = result.success;
+    }
+
+    /**
+     * Clear the pending flag of queries the backend has stored
+     */
+    confirm(ids, success) {
+        this.shared = success;
+        if (success) {
+            ids.forEach(id => this.pending.delete(id));
+            this.persist();
+        }
+    }
+
+    upsert(queries) {
+        queries.forEach(query => {
+            const index = this.queries.findIndex(q => q.id === query.id);
+            if (index === -1) {
+                this.queries.push(query);
+            } else {
+                this.queries[index] = query;
+            }
+        });
+        this.persist();
+    }
+
+    persist() {
+        Storage.set(this.storageKey, this.queries);
+        Storage.set(`${this.storageKey}-pending`, { upload: [...this.pending], deleted: [...this.deleted] });
+        this.onChange(this.queries);
+        if (this.isOpen()) {
+            this.renderList();
+        }
+    }
+
+    // Import / export
+    exportJSON() {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            queries: this.queries
+        };
+
+        downloadFile(
+            JSON.stringify(data, null, 2),
+            `saved-queries-${data.exportedAt.replace(/[:.]/g, '-').slice(0, -5)}.json`,
+            'application/json'
+        );
+    }
+
+    /**
+     * Import queries from JSON text: an exported library, a plain array, or
+     * the sample-queries.json format. Entries without a name or query are skipped.
+     */
+    async importJSON(text) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : (data && data.queries);
+        if (!Array.isArray(entries)) {
+            throw new Error('Expected a list of queries');
+        }
+
+        const now = new Date().toISOString();
+        const queries = entries
+            .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim() &&
+                typeof entry.sparql === 'string' && entry.sparql.trim())
+            .map(entry => ({
+                id: typeof entry.id === 'string' && entry.id ? entry.id : QueryLibrary.createId(),
+                name: entry.name.trim(),
+                sparql: entry.sparql,
+                description: typeof entry.description === 'string' ? entry.description : '',
+                tags: QueryLibrary.normalizeTags(entry.tags),
+                folder: typeof entry.folder === 'string' ? entry.folder.trim() : '',
+                chart: entry.chart && typeof entry.chart === 'object' ? entry.chart : null,
+                created: entry.created || now,
+                modified: entry.modified || now
+            }));
+
+        if (queries.length > 0) {
+            queries.forEach(query => {
+                this.pending.add(query.id);
+                this.deleted.delete(query.id);
+            });
+            this.upsert(queries);
+            const result = await this.sparqlClient.importSavedQueries(queries);
+            this.confirm(queries.map(query => query.id), result.success);
+        }
+        return { imported: queries.length, skipped: entries.length - queries.length };
+    }
+
+    static createId() {
+        return `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Accept tags as an array or comma separated string
+     */
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    // Panel
+    open() {
+        this.panel.classList.add('active');
+        this.resetForm();
+        this.renderList();
+        this.sync();
+    }
+
+    close() {
+        this.panel.classList.remove('active');
+    }
+
+    isOpen() {
+        return !!this.panel && this.panel.classList.contains('active');
+    }
+
+    bindEvents() {
+        const form = this.panel.querySelector('.library-form');
+        const fileInput = this.panel.querySelector('.library-import-file');
+
+        this.panel.addEventListener('click', async (e) => {
+            if (e.target === this.panel) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const entryEl = button.closest('.library-entry');
+            const query = entryEl ? this.getQuery(entryEl.dataset.id) : null;
+
+            switch (button.dataset.action) {
+                case 'load':
+                    this.close();
+                    this.onLoad(query);
+                    break;
+                case 'edit':
+                    this.editQuery(query);
+                    break;
+                case 'delete':
+                    if (confirm(`Delete saved query "${query.name}"?`)) {
+                        await this.remove(query.id);
+                        this.resetForm();
+                        this.renderList();
+                    }
+                    break;
+                case 'new':
+                    this.resetForm();
+                    break;
+                case 'import':
+                    fileInput.click();
+                    break;
+                case 'export':
+                    this.exportJSON();
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+
+        this.panel.querySelector('.library-search').addEventListener('input', (e) => {
+            this.search = e.target.value;
+            this.renderList();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submitForm();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const { imported, skipped } = await this.importJSON(await file.text());
+                showNotification(`Imported ${imported} saved quer${imported !== 1 ? 'ies' : 'y'}${skipped ? ` (${skipped} skipped)` : ''}`, imported ? 'success' : 'warning', 3000);
+            } catch (error) {
+                showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    async submitForm() {
+        const form = this.panel.querySelector('.library-form');
+        const id = form.elements.id.value;
+        const existing = id ? this.getQuery(id) : null;
+
+        const name = form.elements.name.value.trim();
+        if (!name) {
+            showNotification('Please enter a name for the query', 'warning');
+            form.elements.name.focus();
+            return;
+        }
+
+        // Editing keeps the stored text and chart unless the editor contents should replace them
+        const keep = existing && !form.elements.replaceSparql.checked;
+        const sparql = keep ? existing.sparql : this.getCurrentQuery();
+        if (!sparql.trim()) {
+            showNotification('The editor is empty - nothing to save', 'warning');
+            return;
+        }
+
+        const saved = await this.save({
+            id: id,
+            name: name,
+            sparql: sparql,
+            description: form.elements.description.value,
+            tags: form.elements.tags.value,
+            folder: form.elements.folder.value,
+            chart: keep ? existing.chart : this.getCurrentChart()
+        });
+
+        showNotification(
+            `Saved "${saved.name}"${this.shared ? '' : ' locally (the shared library is unavailable)'}`,
+            this.shared ? 'success' : 'warning',
+            3000
+        );
+        this.resetForm();
+        this.renderList();
+    }
+
+    resetForm() {
+        const form = this.panel.querySelector('.library-form');
+        form.reset();
+        form.elements.id.value = '';
+        form.querySelector('.library-form-title').textContent = 'Save current query';
+        form.querySelector('.library-replace').hidden = true;
+    }
+
+    editQuery(query) {
+        const form = this.panel.querySelector('.library-form');
+        form.elements.id.value = query.id;
+        form.elements.name.value = query.name;
+        form.elements.description.value = query.description || '';
+        form.elements.tags.value = (query.tags || []).join(', ');
+        form.elements.folder.value = query.folder || '';
+        form.elements.replaceSparql.checked = false;
+        form.querySelector('.library-form-title').textContent = `Edit "${query.name}"`;
+        form.querySelector('.library-replace').hidden = false;
+        form.elements.name.focus();
+    }
+
+    renderList() {
+        const list = this.panel.querySelector('.library-list');
+        const term = this.search.trim().toLowerCase();
+        const matches = this.queries.filter(query => !term ||
+            [query.name, query.description, query.folder, ...(query.tags || [])]
+                .some(text => (text || '').toLowerCase().includes(term)));
+
+        list.innerHTML = '';
+        if (matches.length === 0) {
+            list.innerHTML = `<p class="library-empty">${this.queries.length === 0 ? 'No saved queries yet.' : 'No saved queries match the search.'}</p>`;
+        }
+
+        this.getGrouped(matches).forEach((queries, folder) => {
+            const group = document.createElement('div');
+            group.className = 'library-folder';
+            group.innerHTML = `<h4>📁 ${escapeHTML(folder || 'Unfiled')}</h4>`;
+
+            queries.forEach(query => {
+                const item = document.createElement('div');
+                item.className = 'library-entry';
+                item.dataset.id = query.id;
+                item.title = query.sparql;
+                item.innerHTML = `
+                    <div class="library-entry-main">
+                        <strong>${escapeHTML(query.name)}</strong>
+                        ${query.description ? `<p>${escapeHTML(query.description)}</p>` : ''}
+                        <div class="library-tags">${(query.tags || []).map(tag => `<span class="library-tag">${escapeHTML(tag)}</span>`).join('')}</div>
+                    </div>
+                    <div class="library-actions">
+                        <button class="btn btn-sm btn-primary" data-action="load">Load</button>
+                        <button class="btn btn-sm btn-secondary" data-action="edit">Edit</button>
+                        <button class="btn btn-sm btn-secondary" data-action="delete" title="Delete">✕</button>
+                    </div>
+                `;
+                group.appendChild(item);
+            });
+
+            list.appendChild(group);
+        });
+
+        const datalist = document.getElementById('libraryFolderList');
+        datalist.innerHTML = '';
+        this.getFolders().forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder;
+            datalist.appendChild(option);
+        });
+
+        this.panel.querySelector('.library-status').textContent = this.shared
+            ? `${this.queries.length} saved quer${this.queries.length !== 1 ? 'ies' : 'y'}, shared with the team`
+            : `${this.queries.length} saved quer${this.queries.length !== 1 ? 'ies' : 'y'}, stored in this browser only`;
+    }
+}
+
+// Export for use in other modules
+window.QueryLibrary = QueryLibrary;
@@ -0,0 +1,352 @@
+// Query Tabs for GraphDB Query Frontend
+// Editor tabs, each keeping its own query text, results, page and view
+
+class QueryTabs {
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('queryTabs');
+        this.storageKey = options.storageKey || 'query-tabs';
+        this.onSwitch = options.onSwitch || (() => {});
+        this.onClose = options.onClose || (() => {});
+
+        // Query text and results are stored under separate keys, so typing
+        // never serializes results and losing results never loses queries
+        this.resultsKey = `${this.storageKey}-results`;
+        const stored = Storage.get(this.storageKey, null);
+        const storedResults = Storage.get(this.resultsKey, {});
+        this.tabs = stored && Array.isArray(stored.tabs) ? stored.tabs : [];
+        const inlineResults = this.tabs.some(tab => tab.results);
+        this.tabs.forEach(tab => {
+            tab.results = tab.results || storedResults[tab.id] || null;
+            if (!tab.results) {
+                tab.page = 1;
+                tab.view = null;
+            }
+        });
+        this.activeId = stored ? stored.activeId : null;
+        if (!this.getTab(this.activeId) && this.tabs.length > 0) {
+            this.activeId = this.tabs[0].id;
+        }
+
+        // Storage keys that could not be written, reported once until they work again
+        this.failedSaves = new Set();
+
+        // Earlier versions kept results inline with the tabs
+        if (inlineResults) {
+            this.save(true);
+        }
+
+        // Switching is disabled while a query runs in the active tab
+        this.locked = false;
+        this.draggedId = null;
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            const tabEl = e.target.closest('.query-tab');
+
+            if (action && action.dataset.action === 'add') {
+                this.add();
+            } else if (action && action.dataset.action === 'close' && tabEl) {
+                this.close(tabEl.dataset.id);
+            } else if (tabEl && !e.target.closest('input')) {
+                this.switchTo(tabEl.dataset.id);
+            }
+        });
+
+        this.container.addEventListener('dblclick', (e) => {
+            const name = e.target.closest('.query-tab-name');
+            if (name) {
+                this.startRename(name.closest('.query-tab').dataset.id);
+            }
+        });
+
+        // Middle click closes a tab, as in browsers
+        this.container.addEventListener('auxclick', (e) => {
+            const tabEl = e.target.closest('.query-tab');
+            if (tabEl && e.button === 1) {
+                e.preventDefault();
+                this.close(tabEl.dataset.id);
+            }
+        });
+
+        // Drag and drop reordering
+        this.container.addEventListener('dragstart', (e) => {
+            const tabEl = e.target.closest('.query-tab');
+            if (!tabEl) return;
+            this.draggedId = tabEl.dataset.id;
+            tabEl.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedId);
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            const tabEl = e.target.closest('.query-tab');
+            if (!this.draggedId || !tabEl) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            const tabEl = e.target.closest('.query-tab');
+            if (!this.draggedId || !tabEl) return;
+            e.preventDefault();
+
+            // Dropping on the right half of a tab places the dragged tab after it
+            const rect = tabEl.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            this.move(this.draggedId, tabEl.dataset.id, after);
+        });
+
+        this.container.addEventListener('dragend', () => {
+            this.draggedId = null;
+            this.container.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+    }
+
+    getTab(id) {
+        return this.tabs.find(tab => tab.id === id) || null;
+    }
+
+    getActive() {
+        return this.getTab(this.activeId);
+    }
+
+    count() {
+        return this.tabs.length;
+    }
+
+    /**
+     * Open a new tab and switch to it
+     */
+    add(name = null, query = '') {
+        if (this.locked) return null;
+
+        const tab = {
+            id: `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name: name || this.nextName(),
+            query: query,
+            results: null,
+            lastExecutedQuery: null,
+            page: 1,
+            view: null
+        };
+
+        this.tabs.push(tab);
+        this.switchTo(tab.id, true);
+        return tab;
+    }
+
+    /**
+     * Close a tab; the last remaining tab is replaced by an empty one
+     */
+    close(id) {
+        const index = this.tabs.findIndex(tab => tab.id === id);
+        if (index === -1 || (this.locked && id === this.activeId)) return;
+
+        const [closed] = this.tabs.splice(index, 1);
+        this.onClose(closed);
+
+        if (this.tabs.length === 0) {
+            this.activeId = null;
+            this.add();
+            this.saveResults();
+            return;
+        }
+
+        if (id === this.activeId) {
+            const next = this.tabs[Math.min(index, this.tabs.length - 1)];
+            this.activeId = null;
+            this.switchTo(next.id, true);
+        } else {
+            this.save();
+            this.render();
+        }
+        this.saveResults();
+    }
+
+    /**
+     * Activate a tab; onSwitch receives the new and the previous tab
+     */
+    switchTo(id, force = false) {
+        const tab = this.getTab(id);
+        if (!tab || (id === this.activeId && !force) || this.locked) return;
+
+        const previous = this.activeId !== id ? this.getActive() : null;
+        this.activeId = id;
+        this.onSwitch(tab, previous);
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Merge state into a tab and persist it
+     */
+    update(id, changes) {
+        const tab = this.getTab(id);
+        if (!tab) return;
+
+        Object.assign(tab, changes);
+        this.save('results' in changes);
+        if ('name' in changes) {
+            this.render();
+        }
+    }
+
+    rename(id, name) {
+        const trimmed = name.trim();
+        if (trimmed) {
+            this.update(id, { name: trimmed });
+        }
+    }
+
+    /**
+     * Move a tab before (or after) another one
+     */
+    move(id, targetId, after = false) {
+        if (id === targetId) return;
+
+        const index = this.tabs.findIndex(tab => tab.id === id);
+        if (index === -1 || !this.getTab(targetId)) return;
+
+        const [tab] = this.tabs.splice(index, 1);
+        const targetIndex = this.tabs.findIndex(t => t.id === targetId);
+        this.tabs.splice(after ? targetIndex + 1 : targetIndex, 0, tab);
+
+        this.save();
+        this.render();
+    }
+
+    setLocked(locked) {
+        this.locked = locked;
+        this.container.classList.toggle('locked', locked);
+    }
+
+    nextName() {
+        const used = new Set(this.tabs.map(tab => tab.name));
+        let n = this.tabs.length + 1;
+        while (used.has(`Query ${n}`)) n++;
+        return `Query ${n}`;
+    }
+
+    /**
+     * Persist the tabs without their results; pass true when results changed
+     */
+    save(resultsChanged = false) {
+        const tabs = this.tabs.map(({ results, ...tab }) => tab);
+        this.store(this.storageKey, { tabs: tabs, activeId: this.activeId },
+            'Editor tabs could not be saved in the browser and will be lost on reload');
+
+        if (resultsChanged) {
+            this.saveResults();
+        }
+    }
+
+    /**
+     * Persist tab results, without the raw JSON copy, up to MAX_STORED_RESULTS
+     * characters in total; the active tab's results are kept first
+     */
+    saveResults() {
+        const stored = {};
+        let size = 0;
+        const active = this.getActive();
+        [active, ...this.tabs.filter(tab => tab !== active)].forEach(tab => {
+            if (!tab || !tab.results) return;
+
+            const results = { ...tab.results, raw: undefined };
+            const length = JSON.stringify(results).length;
+            if (size + length <= QueryTabs.MAX_STORED_RESULTS) {
+                stored[tab.id] = results;
+                size += length;
+            }
+        });
+
+        if (!this.store(this.resultsKey, stored, 'Query results could not be saved in the browser and will not be restored on reload')) {
+            Storage.remove(this.resultsKey);
+        }
+    }
+
+    store(key, value, message) {
+        const saved = Storage.set(key, value);
+        if (!saved && !this.failedSaves.has(key)) {
+            showNotification(message, 'warning');
+        }
+        if (saved) {
+            this.failedSaves.delete(key);
+        } else {
+            this.failedSaves.add(key);
+        }
+        return saved;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        this.tabs.forEach(tab => {
+            const tabEl = document.createElement('div');
+            tabEl.className = 'query-tab';
+            tabEl.classList.toggle('active', tab.id === this.activeId);
+            if (tab.results && !tab.results.success) {
+                tabEl.classList.add('failed');
+            }
+            tabEl.dataset.id = tab.id;
+            tabEl.draggable = true;
+            tabEl.title = 'Double-click to rename, drag to reorder';
+            tabEl.innerHTML = `
+                <span class="query-tab-name">${escapeHTML(tab.name)}</span>
+                <button class="query-tab-close" data-action="close" title="Close tab">×</button>
+            `;
+            this.container.appendChild(tabEl);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'query-tab-add';
+        addBtn.dataset.action = 'add';
+        addBtn.title = 'New tab';
+        addBtn.textContent = '+';
+        this.container.appendChild(addBtn);
+    }
+
+    /**
+     * Replace a tab's label with an inline input
+     */
+    startRename(id) {
+        const tab = this.getTab(id);
+        const nameEl = this.container.querySelector(`.query-tab[data-id="${id}"] .query-tab-name`);
+        if (!tab || !nameEl) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'query-tab-input';
+        input.value = tab.name;
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit) {
+                this.rename(id, input.value);
+            }
+            this.render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
+
+// Serialized size of all tabs' results kept across reloads
+QueryTabs.MAX_STORED_RESULTS = 1000000;
+
+// Export for use in other modules
+window.QueryTabs = QueryTabs;
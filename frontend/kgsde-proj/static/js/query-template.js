@@ -0,0 +1,375 @@
+// Query Templates for GraphDB Query Frontend
+//
+// Queries may contain placeholders that stand for a single RDF term:
+//
+//   {{experimentId:IRI}}                 IRI or prefixed name
+//   {{experiment:IRI(air:Experiment)}}   IRI chosen among instances of a class
+//   {{minAccuracy:decimal=0.8}}          typed literal with a default value
+//
+// Before execution a form asks for the values, which are checked against
+// their type and serialized as SPARQL terms, so user input cannot change the
+// structure of the query.
+
+class QueryTemplate {
+    constructor(options = {}) {
+        this.sparqlClient = options.sparqlClient || null;
+        this.panel = options.panel || document.getElementById('templatePanel');
+        this.compactIRI = options.compactIRI || (() => null);
+        this.storageKey = options.storageKey || 'template-values';
+
+        // Last value entered for each parameter name
+        this.lastValues = Storage.get(this.storageKey, {});
+        this.resolvePrompt = null;
+
+        if (this.panel) {
+            this.bindEvents();
+        }
+    }
+
+    /**
+     * Find the parameters of a template, one entry per name
+     */
+    static parse(text) {
+        const params = new Map();
+        const pattern = new RegExp(QueryTemplate.PLACEHOLDER.source, 'g');
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [, name, rawType, option, defaultValue] = match;
+            if (params.has(name)) continue;
+
+            params.set(name, {
+                name: name,
+                type: QueryTemplate.normalizeType(rawType),
+                option: option ? option.trim() : null,
+                defaultValue: defaultValue !== undefined ? defaultValue.trim() : null,
+                offset: match.index
+            });
+        }
+
+        return [...params.values()];
+    }
+
+    static hasPlaceholders(text) {
+        return QueryTemplate.PLACEHOLDER.test(text);
+    }
+
+    static normalizeType(type) {
+        if (!type) return 'string';
+        const normalized = QueryTemplate.types.find(t => t.toLowerCase() === type.toLowerCase());
+        return normalized || type;
+    }
+
+    /**
+     * Replace placeholders by dummy terms of the same length, so the query
+     * can be validated and error positions still match the editor text
+     */
+    static mask(text) {
+        return text.replace(new RegExp(QueryTemplate.PLACEHOLDER.source, 'g'), (placeholder, name, rawType) => {
+            const type = QueryTemplate.normalizeType(rawType);
+            const length = placeholder.length;
+            if (type === 'IRI') {
+                return `<${'x'.repeat(length - 2)}>`;
+            }
+            if (['integer', 'decimal', 'double', 'boolean'].includes(type)) {
+                return '0'.padEnd(length, ' ');
+            }
+            return `"${'x'.repeat(length - 2)}"`;
+        });
+    }
+
+    /**
+     * Substitute serialized terms (by parameter name) into the template
+     */
+    static substitute(text, terms) {
+        return text.replace(new RegExp(QueryTemplate.PLACEHOLDER.source, 'g'), (placeholder, name) =>
+            name in terms ? terms[name] : placeholder
+        );
+    }
+
+    /**
+     * Serialize a raw input value as a SPARQL term; throws on invalid input
+     */
+    static serialize(value, type) {
+        const text = String(value).trim();
+        if (!text) {
+            throw new Error('A value is required');
+        }
+
+        switch (type) {
+            case 'IRI': {
+                const iri = text.replace(/^<(.*)>$/, '$1');
+                if (/^[A-Za-z][\w+.-]*:\/\//.test(iri) || /^(urn|mailto):/i.test(iri)) {
+                    if (/[<>"{}|^`\\\u0000- ]/.test(iri)) {
+                        throw new Error('The IRI contains characters that are not allowed');
+                    }
+                    return `<${iri}>`;
+                }
+                if (/^([A-Za-z]([\w.-]*[\w-])?)?:([\w-]([\w.-]*[\w-])?)?$/.test(text)) {
+                    return text;
+                }
+                throw new Error('Enter an absolute IRI or a prefixed name such as air:EXP001');
+            }
+            case 'integer':
+                if (!/^[+-]?\d+$/.test(text)) throw new Error('Enter a whole number');
+                return `"${text}"^^<${QueryTemplate.XSD}integer>`;
+            case 'decimal':
+                if (!/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text)) throw new Error('Enter a decimal number');
+                return `"${text}"^^<${QueryTemplate.XSD}decimal>`;
+            case 'double':
+                if (!/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(text)) throw new Error('Enter a number');
+                return `"${text}"^^<${QueryTemplate.XSD}double>`;
+            case 'boolean':
+                if (!/^(true|false)$/.test(text)) throw new Error('Enter true or false');
+                return text;
+            case 'date':
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw new Error('Enter a date (YYYY-MM-DD)');
+                return `"${text}"^^<${QueryTemplate.XSD}date>`;
+            case 'dateTime': {
+                // datetime-local inputs may omit the seconds
+                const dateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(text) ? `${text}:00` : text;
+                if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(dateTime)) {
+                    throw new Error('Enter a date and time (YYYY-MM-DDTHH:MM:SS)');
+                }
+                return `"${dateTime}"^^<${QueryTemplate.XSD}dateTime>`;
+            }
+            case 'string':
+                return QueryTemplate.quote(value);
+            default:
+                throw new Error(`Unknown parameter type "${type}"`);
+        }
+    }
+
+    /**
+     * Quote a string as a SPARQL literal, escaping quotes, backslashes and line breaks
+     */
+    static quote(value) {
+        const escaped = String(value).replace(/[\\"\n\r\t]/g, char => ({
+            '\\': '\\\\',
+            '"': '\\"',
+            '\n': '\\n',
+            '\r': '\\r',
+            '\t': '\\t'
+        }[char]));
+        return `"${escaped}"`;
+    }
+
+    /**
+     * Find the predicate written just before a placeholder, if any
+     */
+    static findPredicate(text, offset) {
+        const before = text.substring(0, offset);
+        const match = before.match(/(<[^<>\s]*>|[A-Za-z][\w.-]*:[\w.-]*|\ba)\s+$/);
+        return match ? match[1] : null;
+    }
+
+    // Form panel
+    /**
+     * Ask for the parameter values; resolves to the filled query, or null when cancelled
+     */
+    prompt(sparql) {
+        const params = QueryTemplate.parse(sparql);
+        const unknown = params.filter(param => !QueryTemplate.types.includes(param.type));
+        if (unknown.length > 0) {
+            showNotification(`Unknown parameter type: ${unknown.map(param => `${param.name}:${param.type}`).join(', ')}`, 'error');
+            return Promise.resolve(null);
+        }
+
+        this.sparql = sparql;
+        this.params = params;
+        this.renderForm();
+        this.panel.classList.add('active');
+
+        const first = this.panel.querySelector('[data-param]');
+        if (first) first.focus();
+
+        params.forEach(param => this.loadOptions(param));
+
+        return new Promise(resolve => {
+            this.resolvePrompt = (result) => {
+                this.panel.classList.remove('active');
+                this.resolvePrompt = null;
+                resolve(result);
+            };
+        });
+    }
+
+    isOpen() {
+        return !!this.resolvePrompt;
+    }
+
+    cancel() {
+        if (this.resolvePrompt) {
+            this.resolvePrompt(null);
+        }
+    }
+
+    bindEvents() {
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) {
+                this.cancel();
+                return;
+            }
+
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'run') {
+                this.submit();
+            } else if (button.dataset.action === 'cancel') {
+                this.cancel();
+            }
+        });
+
+        this.panel.querySelector('.template-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    renderForm() {
+        const form = this.panel.querySelector('.template-form');
+        form.innerHTML = '';
+
+        this.params.forEach(param => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.dataset.group = param.name;
+
+            const label = document.createElement('label');
+            label.htmlFor = `template-${param.name}`;
+            label.innerHTML = `${escapeHTML(param.name)} <span class="template-type">${escapeHTML(param.option ? `${param.type} · ${param.option}` : param.type)}</span>`;
+            group.appendChild(label);
+
+            const input = this.createInput(param);
+            group.appendChild(input);
+
+            const error = document.createElement('span');
+            error.className = 'template-error';
+            group.appendChild(error);
+
+            form.appendChild(group);
+        });
+
+        // Enter in any field submits the form
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.hidden = true;
+        form.appendChild(submit);
+    }
+
+    createInput(param) {
+        const value = this.lastValues[param.name] ?? param.defaultValue ?? '';
+        let input;
+
+        if (param.type === 'boolean') {
+            input = document.createElement('select');
+            input.className = 'select-dropdown';
+            ['true', 'false'].forEach(option => {
+                input.appendChild(new Option(option, option));
+            });
+            input.value = value === 'false' ? 'false' : 'true';
+        } else {
+            input = document.createElement('input');
+            input.type = {
+                integer: 'number',
+                decimal: 'number',
+                double: 'number',
+                date: 'date',
+                dateTime: 'datetime-local'
+            }[param.type] || 'text';
+            if (param.type === 'integer') input.step = '1';
+            if (param.type === 'decimal' || param.type === 'double') input.step = 'any';
+            if (param.type === 'dateTime') input.step = '1';
+            if (param.type === 'IRI') input.placeholder = 'air:EXP001 or http://...';
+            input.value = value;
+
+            // Suggestions from the knowledge graph
+            input.setAttribute('list', `template-options-${param.name}`);
+            const datalist = document.createElement('datalist');
+            datalist.id = `template-options-${param.name}`;
+            this.panel.querySelector('.template-form').appendChild(datalist);
+        }
+
+        input.id = `template-${param.name}`;
+        input.dataset.param = param.name;
+        return input;
+    }
+
+    /**
+     * Build the query listing candidate values for a parameter, or null
+     *
+     * IRIs with a class option list the instances of that class; otherwise
+     * the values already used with the predicate in front of the placeholder
+     * are suggested.
+     */
+    buildOptionsQuery(param) {
+        if (param.type === 'IRI' && param.option) {
+            return `SELECT DISTINCT ?value WHERE { ?value a ${param.option} } ORDER BY ?value LIMIT 500`;
+        }
+
+        const predicate = QueryTemplate.findPredicate(this.sparql, param.offset);
+        if (!predicate || ['boolean', 'date', 'dateTime'].includes(param.type)) return null;
+
+        const kind = param.type === 'IRI' ? 'isIRI' : 'isLiteral';
+        return `SELECT DISTINCT ?value WHERE { ?subject ${predicate} ?value FILTER(${kind}(?value)) } ORDER BY ?value LIMIT 500`;
+    }
+
+    async loadOptions(param) {
+        const datalist = this.panel.querySelector(`#template-options-${param.name}`);
+        const query = this.buildOptionsQuery(param);
+        if (!datalist || !query || !this.sparqlClient) return;
+
+        // Prefixes of the template apply to the lookup query as well
+        const prologue = (this.sparql.match(/^\s*(PREFIX\s+[^\n]*|BASE\s+[^\n]*)$/gim) || []).join('\n');
+        const result = await this.sparqlClient.query(`${prologue}\n${query}`);
+        if (!result.success) return;
+
+        const values = (result.results?.results?.bindings || [])
+            .map(binding => binding.value)
+            .filter(Boolean)
+            .map(term => term.type === 'uri' ? (this.compactIRI(term.value) || term.value) : term.value);
+
+        datalist.innerHTML = '';
+        values.forEach(value => datalist.appendChild(new Option(value)));
+    }
+
+    /**
+     * Validate all fields and resolve with the filled query
+     */
+    submit() {
+        const terms = {};
+        let valid = true;
+
+        this.params.forEach(param => {
+            const input = this.panel.querySelector(`[data-param="${param.name}"]`);
+            const error = this.panel.querySelector(`[data-group="${param.name}"] .template-error`);
+
+            try {
+                terms[param.name] = QueryTemplate.serialize(input.value, param.type);
+                this.lastValues[param.name] = input.value;
+                error.textContent = '';
+                input.classList.remove('invalid');
+            } catch (e) {
+                error.textContent = e.message;
+                input.classList.add('invalid');
+                valid = false;
+            }
+        });
+
+        if (!valid) return;
+
+        Storage.set(this.storageKey, this.lastValues);
+        this.resolvePrompt(QueryTemplate.substitute(this.sparql, terms));
+    }
+}
+
+// {{name}}, {{name:type}}, {{name:type(option)}}, each optionally followed by =default
+QueryTemplate.PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*(?::\s*([A-Za-z]+)\s*(?:\(([^()\n]*)\))?)?\s*(?:=([^{}\n]*))?\}\}/;
+
+QueryTemplate.XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+QueryTemplate.types = ['IRI', 'string', 'integer', 'decimal', 'double', 'boolean', 'date', 'dateTime'];
+
+// Export for use in other modules
+window.QueryTemplate = QueryTemplate;
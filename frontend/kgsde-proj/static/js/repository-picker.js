@@ -0,0 +1,162 @@
+// Repository Picker for GraphDB Query Frontend
+// Lists the repositories of an endpoint in the settings panel and shows statistics of the selected one
+
+class RepositoryPicker {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.input = options.input || document.getElementById('repository');
+        this.list = options.list || document.getElementById('repositoryList');
+        this.stats = options.stats || document.getElementById('repositoryStats');
+        this.getEndpoint = options.getEndpoint || (() => this.sparqlClient.config.endpoint);
+
+        this.repositories = [];
+
+        // Only the answer to the latest statistics request is shown
+        this.statsRequest = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.repository-item');
+            if (item) {
+                this.select(item.dataset.id);
+            }
+        });
+
+        this.input.addEventListener('change', () => {
+            this.render();
+            this.loadStats();
+        });
+    }
+
+    /**
+     * Fetch the repositories of the endpoint entered in the form
+     */
+    async load() {
+        this.list.hidden = false;
+        this.list.innerHTML = '<p class="repository-message">Loading repositories...</p>';
+
+        const result = await this.sparqlClient.getRepositories(this.getEndpoint());
+        if (!result.success) {
+            this.repositories = [];
+            this.list.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'repository-message error';
+            message.textContent = `Could not list repositories: ${result.error}`;
+            this.list.appendChild(message);
+            return false;
+        }
+
+        this.repositories = Array.isArray(result.repositories) ? result.repositories : [];
+        this.render();
+        this.loadStats();
+        return true;
+    }
+
+    select(id) {
+        this.input.value = id;
+        this.render();
+        this.loadStats();
+    }
+
+    /**
+     * Forget the listed repositories, e.g. when the endpoint changed
+     */
+    reset() {
+        this.repositories = [];
+        this.list.hidden = true;
+        this.list.innerHTML = '';
+        this.stats.hidden = true;
+        this.stats.innerHTML = '';
+        this.statsRequest++;
+    }
+
+    render() {
+        if (this.list.hidden) return;
+
+        this.list.innerHTML = '';
+        if (this.repositories.length === 0) {
+            this.list.innerHTML = '<p class="repository-message">No repositories on this endpoint.</p>';
+            return;
+        }
+
+        const selected = this.input.value.trim();
+        this.repositories.forEach(repository => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'repository-item';
+            item.classList.toggle('active', repository.id === selected);
+            item.dataset.id = repository.id;
+            item.innerHTML = `
+                <span class="repository-id"></span>
+                <span class="repository-title"></span>
+                <span class="badge repository-access"></span>
+            `;
+            item.querySelector('.repository-id').textContent = repository.id;
+            item.querySelector('.repository-title').textContent = repository.title || '';
+            item.querySelector('.repository-access').textContent = RepositoryPicker.describeAccess(repository);
+            item.title = [repository.type, repository.location, repository.uri].filter(Boolean).join('\n');
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show statement, named graph and namespace counts of the repository in the form
+     */
+    async loadStats() {
+        const repository = this.input.value.trim();
+        const request = ++this.statsRequest;
+
+        if (!repository) {
+            this.stats.hidden = true;
+            return;
+        }
+
+        this.stats.hidden = false;
+        this.stats.innerHTML = '<p class="repository-message">Loading statistics...</p>';
+
+        const result = await this.sparqlClient.getRepositoryStats(repository, this.getEndpoint());
+        if (request !== this.statsRequest) return;
+
+        this.stats.innerHTML = '';
+        if (!result.success) {
+            const message = document.createElement('p');
+            message.className = 'repository-message error';
+            message.textContent = `Could not load statistics of "${repository}": ${result.error}`;
+            this.stats.appendChild(message);
+            return;
+        }
+
+        const namespaces = Object.entries(result.namespaces || {}).sort(([a], [b]) => a.localeCompare(b));
+        const summary = document.createElement('div');
+        summary.className = 'repository-summary';
+        summary.innerHTML = `
+            <span><strong>${Number(result.size).toLocaleString()}</strong> statement${result.size !== 1 ? 's' : ''}</span>
+            <span><strong>${Number(result.graphs).toLocaleString()}</strong> named graph${result.graphs !== 1 ? 's' : ''}</span>
+            <span><strong>${namespaces.length}</strong> namespace${namespaces.length !== 1 ? 's' : ''}</span>
+        `;
+        this.stats.appendChild(summary);
+
+        if (namespaces.length > 0) {
+            const details = document.createElement('details');
+            details.className = 'repository-namespaces';
+            details.innerHTML = `
+                <summary>Namespaces</summary>
+                <dl>${namespaces.map(([prefix, namespace]) => `<dt>${escapeHTML(prefix)}:</dt><dd>${escapeHTML(namespace)}</dd>`).join('')}</dl>
+            `;
+            this.stats.appendChild(details);
+        }
+    }
+
+    static describeAccess(repository) {
+        if (repository.readable && repository.writable) return 'read/write';
+        if (repository.readable) return 'read-only';
+        if (repository.writable) return 'write-only';
+        return 'no access';
+    }
+}
+
+// Export for use in other modules
+window.RepositoryPicker = RepositoryPicker;
@@ -0,0 +1,275 @@
+// Resource Explorer for GraphDB Query Frontend
+// In-app panel showing the outgoing and incoming triples of an IRI
+
+class ResourceExplorer {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.panel = options.panel || document.getElementById('resourcePanel');
+        this.limit = options.limit || 200;
+
+        // Navigation trail
+        this.trail = [];
+        this.position = -1;
+        this.requestId = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.panel.querySelector('[data-action="back"]').addEventListener('click', () => this.back());
+        this.panel.querySelector('[data-action="forward"]').addEventListener('click', () => this.forward());
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+        this.panel.querySelector('[data-action="copy"]').addEventListener('click', () => {
+            const iri = this.getCurrentIRI();
+            if (iri) copyToClipboard(iri);
+        });
+
+        // Navigate through any IRI shown in the panel
+        this.panel.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-iri]');
+            if (!link || !this.panel.contains(link)) return;
+
+            e.preventDefault();
+            if (link.dataset.position !== undefined) {
+                this.goTo(Number(link.dataset.position));
+            } else {
+                this.open(link.dataset.iri);
+            }
+        });
+    }
+
+    /**
+     * Open a resource, adding it to the trail
+     */
+    open(iri) {
+        if (!ResourceExplorer.isExplorableIRI(iri)) {
+            showNotification('Only absolute IRIs can be explored', 'warning');
+            return;
+        }
+
+        if (this.getCurrentIRI() !== iri) {
+            // Opening from the middle of the trail drops the forward entries
+            this.trail = this.trail.slice(0, this.position + 1);
+            this.trail.push(iri);
+            this.position = this.trail.length - 1;
+        }
+
+        this.panel.classList.add('active');
+        this.load();
+    }
+
+    close() {
+        this.panel.classList.remove('active');
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('active');
+    }
+
+    back() {
+        this.goTo(this.position - 1);
+    }
+
+    forward() {
+        this.goTo(this.position + 1);
+    }
+
+    goTo(position) {
+        if (position < 0 || position >= this.trail.length || position === this.position) {
+            return;
+        }
+        this.position = position;
+        this.load();
+    }
+
+    getCurrentIRI() {
+        return this.trail[this.position] || null;
+    }
+
+    /**
+     * Fetch and render the current resource
+     */
+    async load() {
+        const iri = this.getCurrentIRI();
+        const requestId = ++this.requestId;
+
+        this.renderHeader();
+        const body = this.panel.querySelector('.resource-body');
+        body.innerHTML = '<div class="resource-loading"><div class="spinner"></div><span>Loading resource...</span></div>';
+
+        const [outgoing, incoming] = await Promise.all([
+            this.sparqlClient.query(this.buildOutgoingQuery(iri)),
+            this.sparqlClient.query(this.buildIncomingQuery(iri))
+        ]);
+
+        // A newer navigation superseded this one
+        if (requestId !== this.requestId) return;
+
+        body.innerHTML = '';
+
+        const failed = [outgoing, incoming].find(result => !result.success);
+        if (failed) {
+            const error = document.createElement('div');
+            error.className = 'resource-error';
+            error.textContent = `Failed to load resource: ${failed.error}`;
+            body.appendChild(error);
+            return;
+        }
+
+        body.appendChild(this.renderSection(
+            'Outgoing',
+            this.groupByPredicate(outgoing.results, 'o'),
+            'No outgoing triples.'
+        ));
+        body.appendChild(this.renderSection(
+            'Incoming',
+            this.groupByPredicate(incoming.results, 's'),
+            'No incoming triples.'
+        ));
+    }
+
+    buildOutgoingQuery(iri) {
+        return `SELECT ?p ?o\nWHERE {\n    <${iri}> ?p ?o\n}\nLIMIT ${this.limit}`;
+    }
+
+    buildIncomingQuery(iri) {
+        return `SELECT ?s ?p\nWHERE {\n    ?s ?p <${iri}>\n}\nLIMIT ${this.limit}`;
+    }
+
+    /**
+     * Group SPARQL JSON bindings by predicate IRI
+     */
+    groupByPredicate(results, valueVar) {
+        const groups = new Map();
+        const bindings = results?.results?.bindings || [];
+
+        bindings.forEach(binding => {
+            const predicate = binding.p?.value;
+            const value = binding[valueVar];
+            if (!predicate || !value) return;
+
+            if (!groups.has(predicate)) {
+                groups.set(predicate, []);
+            }
+            groups.get(predicate).push(value);
+        });
+
+        return groups;
+    }
+
+    renderHeader() {
+        const iri = this.getCurrentIRI();
+
+        this.panel.querySelector('.resource-title').textContent = getLocalName(iri);
+        this.panel.querySelector('.resource-iri').textContent = iri;
+        this.panel.querySelector('[data-action="back"]').disabled = this.position <= 0;
+        this.panel.querySelector('[data-action="forward"]').disabled = this.position >= this.trail.length - 1;
+
+        const breadcrumb = this.panel.querySelector('.resource-breadcrumb');
+        breadcrumb.innerHTML = '';
+
+        this.trail.forEach((entry, index) => {
+            if (index > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'resource-breadcrumb-separator';
+                separator.textContent = '›';
+                breadcrumb.appendChild(separator);
+            }
+
+            const crumb = document.createElement('a');
+            crumb.href = '#';
+            crumb.textContent = getLocalName(entry);
+            crumb.title = entry;
+            crumb.dataset.iri = entry;
+            crumb.dataset.position = index;
+            if (index === this.position) {
+                crumb.classList.add('current');
+            }
+            breadcrumb.appendChild(crumb);
+        });
+    }
+
+    renderSection(title, groups, emptyMessage) {
+        const section = document.createElement('section');
+        section.className = 'resource-section';
+
+        const count = [...groups.values()].reduce((sum, values) => sum + values.length, 0);
+        const heading = document.createElement('h4');
+        heading.textContent = `${title} (${count}${count >= this.limit ? '+' : ''})`;
+        section.appendChild(heading);
+
+        if (groups.size === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'resource-empty';
+            empty.textContent = emptyMessage;
+            section.appendChild(empty);
+            return section;
+        }
+
+        groups.forEach((values, predicate) => {
+            const group = document.createElement('div');
+            group.className = 'resource-group';
+
+            const label = document.createElement('div');
+            label.className = 'resource-predicate';
+            label.appendChild(this.createTermElement({ type: 'uri', value: predicate }));
+            group.appendChild(label);
+
+            const list = document.createElement('ul');
+            values.forEach(term => {
+                const item = document.createElement('li');
+                item.appendChild(this.createTermElement(term));
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+
+            section.appendChild(group);
+        });
+
+        return section;
+    }
+
+    createTermElement(term) {
+        if (term.type === 'uri') {
+            const link = document.createElement('a');
+            link.href = term.value;
+            link.className = 'resource-link';
+            link.dataset.iri = term.value;
+            link.textContent = getLocalName(term.value);
+            link.title = term.value;
+            return link;
+        }
+
+        const span = document.createElement('span');
+        if (term.type === 'bnode') {
+            span.className = 'resource-bnode';
+            span.textContent = `_:${term.value}`;
+        } else {
+            span.className = 'resource-literal';
+            span.textContent = term.value;
+
+            const lang = term['xml:lang'];
+            if (lang || term.datatype) {
+                const badge = document.createElement('span');
+                badge.className = 'badge';
+                badge.textContent = lang ? `@${lang}` : getLocalName(term.datatype);
+                badge.title = lang || term.datatype;
+                span.appendChild(badge);
+            }
+        }
+        return span;
+    }
+
+    /**
+     * Check that a value can be embedded as <iri> in a query
+     */
+    static isExplorableIRI(value) {
+        return typeof value === 'string' &&
+            /^[a-z][a-z0-9+.-]*:/i.test(value) &&
+            !/[\s<>"{}|^`\\]/.test(value);
+    }
+}
+
+// Export for use in other modules
+window.ResourceExplorer = ResourceExplorer;
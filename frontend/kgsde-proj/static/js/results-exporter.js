@@ -0,0 +1,283 @@
+// Results Exporter for GraphDB Query Frontend
+// Serializes SELECT results (headers plus rows of RDF terms) into download formats
+
+class ResultsExporter {
+    /**
+     * SPARQL 1.1 Query Results JSON
+     */
+    static toSPARQLJSON(headers, rows) {
+        const bindings = rows.map(row => {
+            const binding = {};
+            headers.forEach(header => {
+                const term = ResultsRenderer.toTerm(row[header]);
+                if (term) {
+                    binding[header] = { ...term };
+                }
+            });
+            return binding;
+        });
+
+        return JSON.stringify({ head: { vars: headers }, results: { bindings: bindings } }, null, 2);
+    }
+
+    /**
+     * SPARQL Query Results XML
+     */
+    static toSPARQLXML(headers, rows) {
+        const xml = ResultsExporter.escapeXML;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<sparql xmlns="http://www.w3.org/2005/sparql-results#">',
+            '  <head>',
+            ...headers.map(header => `    <variable name="${xml(header)}"/>`),
+            '  </head>',
+            '  <results>'
+        ];
+
+        rows.forEach(row => {
+            lines.push('    <result>');
+            headers.forEach(header => {
+                const term = ResultsRenderer.toTerm(row[header]);
+                if (!term) return;
+
+                let value;
+                if (term.type === 'uri') {
+                    value = `<uri>${xml(term.value)}</uri>`;
+                } else if (term.type === 'bnode') {
+                    value = `<bnode>${xml(term.value)}</bnode>`;
+                } else if (term['xml:lang']) {
+                    value = `<literal xml:lang="${xml(term['xml:lang'])}">${xml(term.value)}</literal>`;
+                } else if (term.datatype) {
+                    value = `<literal datatype="${xml(term.datatype)}">${xml(term.value)}</literal>`;
+                } else {
+                    value = `<literal>${xml(term.value)}</literal>`;
+                }
+                lines.push(`      <binding name="${xml(header)}">${value}</binding>`);
+            });
+            lines.push('    </result>');
+        });
+
+        lines.push('  </results>', '</sparql>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * SPARQL 1.1 Query Results TSV: terms in N-Triples syntax, tabs escaped
+     */
+    static toTSV(headers, rows) {
+        const lines = [headers.map(header => `?${header}`).join('\t')];
+        rows.forEach(row => {
+            lines.push(headers.map(header => termToNTriples(ResultsRenderer.toTerm(row[header])).replace(/\t/g, '\\t')).join('\t'));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Markdown table for reports; IRIs use prefixed names where possible
+     */
+    static toMarkdown(headers, rows, options = {}) {
+        const cell = (text) => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const lines = [
+            `| ${headers.map(cell).join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`
+        ];
+        rows.forEach(row => {
+            lines.push(`| ${headers.map(header => cell(ResultsExporter.displayText(row[header], options.compactIRI))).join(' | ')} |`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Standalone HTML table for reports; http(s) IRIs are links
+     */
+    static toHTML(headers, rows, options = {}) {
+        const lines = [
+            '<table>',
+            '  <thead>',
+            `    <tr>${headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr>`,
+            '  </thead>',
+            '  <tbody>'
+        ];
+        rows.forEach(row => {
+            const cells = headers.map(header => {
+                const term = ResultsRenderer.toTerm(row[header]);
+                const text = escapeHTML(ResultsExporter.displayText(term, options.compactIRI));
+                // Other schemes such as javascript: would run when the link is clicked
+                return term && term.type === 'uri' && /^https?:/i.test(term.value)
+                    ? `<td><a href="${escapeHTML(term.value)}">${text}</a></td>`
+                    : `<td>${text}</td>`;
+            });
+            lines.push(`    <tr>${cells.join('')}</tr>`);
+        });
+        lines.push('  </tbody>', '</table>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Excel workbook with a single sheet; numbers and booleans keep their type
+     */
+    static toXLSX(headers, rows) {
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
+
+        const cell = (ref, term) => {
+            if (!term) return '';
+            const value = term.value;
+            if (ResultsRenderer.NUMERIC_TYPES.test(term.datatype || '') && isFinite(Number(value))) {
+                return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+            }
+            if ((term.datatype || '').endsWith('XMLSchema#boolean')) {
+                return `<c r="${ref}" t="b"><v>${value === 'true' || value === '1' ? 1 : 0}</v></c>`;
+            }
+            // Excel cells hold at most 32767 characters
+            const text = ResultsExporter.displayText(term).slice(0, 32767);
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${ResultsExporter.escapeXML(text)}</t></is></c>`;
+        };
+
+        const sheetRows = [headers.map(header => ({ type: 'literal', value: header }))]
+            .concat(rows.map(row => headers.map(header => ResultsRenderer.toTerm(row[header]))))
+            .map((terms, r) => `<row r="${r + 1}">${terms.map((term, c) => cell(`${columnName(c)}${r + 1}`, term)).join('')}</row>`);
+
+        const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        return ResultsExporter.zip({
+            '[Content_Types].xml': declaration +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels': declaration +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>',
+            'xl/workbook.xml': declaration +
+                `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}">` +
+                '<sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': declaration +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml': declaration +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        });
+    }
+
+    /**
+     * Text of a term as shown in the results table, without badges
+     */
+    static displayText(value, compactIRI = null) {
+        const term = ResultsRenderer.toTerm(value);
+        if (!term) return '';
+        if (term.type === 'uri') return (compactIRI && compactIRI(term.value)) || term.value;
+        if (term.type === 'bnode') return `_:${term.value}`;
+        return String(term.value);
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML 1.0 cannot contain
+     */
+    static escapeXML(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Build an uncompressed ZIP archive from { path: text } entries
+     */
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        // DOS date 1980-01-01, time 00:00
+        const date = (0 << 9) | (1 << 5) | 1;
+
+        Object.entries(files).forEach(([path, content]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(content);
+            const crc = ResultsExporter.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local.buffer, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(entry.buffer, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end.buffer], { type: ResultsExporter.FORMATS.xlsx.mimeType });
+    }
+
+    static crc32(bytes) {
+        if (!ResultsExporter.crcTable) {
+            ResultsExporter.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ResultsExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// SELECT export formats: label, file extension, media type and writer
+ResultsExporter.FORMATS = {
+    'sparql-json': { label: 'SPARQL JSON', extension: 'srj', mimeType: 'application/sparql-results+json', write: ResultsExporter.toSPARQLJSON },
+    'sparql-xml': { label: 'SPARQL XML', extension: 'srx', mimeType: 'application/sparql-results+xml', write: ResultsExporter.toSPARQLXML },
+    tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8', write: ResultsExporter.toTSV },
+    xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: ResultsExporter.toXLSX },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8', write: ResultsExporter.toMarkdown },
+    html: { label: 'HTML table', extension: 'html', mimeType: 'text/html;charset=utf-8', write: ResultsExporter.toHTML }
+};
+
+// Export for use in other modules
+window.ResultsExporter = ResultsExporter;
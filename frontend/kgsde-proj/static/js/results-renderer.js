@@ -1,12 +1,1003 @@
 // Results Renderer for GraphDB Query Frontend
-// This will be implemented in Step 4
+//
+// Rendering is done through a registry of named views. Each view declares which
+// result types it supports and how to draw them into its own panel. Additional
+// views can be registered from any script loaded before app.js:
+//
+//   ResultsRenderer.registerView('myView', {
+//       label: 'My View',
+//       types: ['select'],
+//       render(container, results, renderer) { ... }
+//   });
 
 class ResultsRenderer {
-    constructor() {
-        // Placeholder - will be implemented in next step
-        console.log('ResultsRenderer initialized');
+    constructor(options = {}) {
+        this.tabContainer = options.tabContainer || document.getElementById('resultsTabs');
+        this.viewContainer = options.viewContainer || document.getElementById('resultsContainer');
+        this.onPageChange = options.onPageChange || (() => {});
+        this.onFetchPage = options.onFetchPage || null;
+        this.onResourceClick = options.onResourceClick || null;
+        this.compactIRI = options.compactIRI || (() => null);
+        this.onChartChange = options.onChartChange || (() => {});
+
+        // Rendering state
+        this.currentResults = null;
+        this.activeView = null;
+        this.page = 1;
+        this.pageSize = options.pageSize || 50;
+
+        // Chart settings of the active query tab
+        this.chartSettings = null;
+
+        // IRIs rendered by any view open in the resource explorer; modified
+        // clicks keep the browser's default behaviour
+        this.viewContainer.addEventListener('click', (e) => {
+            const link = e.target.closest('a.resource-link');
+            if (!link || !this.onResourceClick || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            e.preventDefault();
+            this.onResourceClick(link.dataset.iri);
+        });
+
+        console.log('ResultsRenderer initialized with views:', [...ResultsRenderer.views.keys()]);
+    }
+
+    /**
+     * Register a named view
+     *
+     * A view definition has a `label`, the result `types` it supports
+     * ('select', 'ask', 'graph', ... or '*'), an optional `supports(results)`
+     * predicate and a `render(container, results, renderer)` function.
+     * Views holding timers or listeners can release them in `dispose(renderer)`.
+     */
+    static registerView(name, view) {
+        if (!name || !view || typeof view.render !== 'function') {
+            throw new Error('A view needs a name and a render() function');
+        }
+
+        ResultsRenderer.views.set(name, {
+            label: name,
+            types: ['*'],
+            ...view,
+            name: name
+        });
+    }
+
+    /**
+     * Remove a named view
+     */
+    static unregisterView(name) {
+        ResultsRenderer.views.delete(name);
+    }
+
+    /**
+     * Set the view shown first for a result type
+     */
+    static setPreferredView(type, name) {
+        ResultsRenderer.preferredViews[type] = name;
+    }
+
+    /**
+     * Get the views able to render the given results
+     */
+    getViewsFor(results) {
+        return [...ResultsRenderer.views.values()].filter(view => {
+            const typeMatches = view.types.includes('*') || view.types.includes(results.type);
+            if (!typeMatches) return false;
+            return typeof view.supports === 'function' ? view.supports(results) : true;
+        });
+    }
+
+    /**
+     * Render results with every applicable view
+     */
+    render(results) {
+        if (!results.success) {
+            this.renderError(results.error, results.executionTime);
+            return;
+        }
+
+        this.currentResults = results;
+        this.page = results.paging ? results.paging.page : 1;
+
+        const views = this.getViewsFor(results);
+        this.buildPanels(views);
+
+        const preferred = ResultsRenderer.preferredViews[results.type];
+        const initial = views.find(view => view.name === preferred) || views[0];
+
+        // Views that are not active are rendered lazily on switch
+        this.renderedViews = new Set();
+        if (initial) {
+            this.switchView(initial.name);
+        }
+    }
+
+    /**
+     * Render an error message in place of results
+     */
+    renderError(error, executionTime) {
+        this.currentResults = {
+            success: false,
+            type: 'error',
+            error: error,
+            executionTime: executionTime
+        };
+        this.page = 1;
+
+        const views = this.getViewsFor(this.currentResults);
+        this.buildPanels(views);
+        this.renderedViews = new Set();
+
+        if (views.length > 0) {
+            this.switchView(views[0].name);
+        }
+    }
+
+    /**
+     * Create one tab button and one panel per view
+     */
+    buildPanels(views) {
+        this.disposeViews();
+        this.tabContainer.innerHTML = '';
+        this.viewContainer.innerHTML = '';
+
+        views.forEach(view => {
+            const tab = document.createElement('button');
+            tab.className = 'tab-btn';
+            tab.dataset.tab = view.name;
+            tab.textContent = view.label;
+            tab.addEventListener('click', () => this.switchView(view.name));
+            this.tabContainer.appendChild(tab);
+
+            const panel = document.createElement('div');
+            panel.className = 'results-content';
+            panel.id = `${view.name}View`;
+            panel.dataset.view = view.name;
+            this.viewContainer.appendChild(panel);
+        });
+    }
+
+    /**
+     * Let rendered views release their resources
+     */
+    disposeViews() {
+        (this.renderedViews || []).forEach(name => {
+            const view = ResultsRenderer.views.get(name);
+            if (view && typeof view.dispose === 'function') {
+                view.dispose(this);
+            }
+        });
+    }
+    
+    /**
+     * Show a view, rendering it on first activation
+     */
+    switchView(name) {
+        const view = ResultsRenderer.views.get(name);
+        const panel = this.viewContainer.querySelector(`[data-view="${name}"]`);
+        if (!view || !panel) return;
+
+        this.tabContainer.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === name);
+        });
+        this.viewContainer.querySelectorAll('.results-content').forEach(content => {
+            content.classList.toggle('active', content === panel);
+        });
+
+        this.activeView = name;
+
+        if (!this.renderedViews.has(name)) {
+            this.renderView(name);
+        }
+    }
+
+    /**
+     * (Re-)render a single view into its panel
+     */
+    renderView(name) {
+        const view = ResultsRenderer.views.get(name);
+        const panel = this.viewContainer.querySelector(`[data-view="${name}"]`);
+        if (!view || !panel || !this.currentResults) return;
+
+        panel.innerHTML = '';
+
+        try {
+            view.render(panel, this.currentResults, this);
+        } catch (error) {
+            console.error(`View "${name}" failed to render:`, error);
+            panel.textContent = `Failed to render ${view.label}: ${error.message}`;
+        }
+
+        this.renderedViews.add(name);
+    }
+
+    /**
+     * Re-render the active view with the current results
+     */
+    refresh() {
+        if (this.activeView) {
+            this.renderView(this.activeView);
+        }
+    }
+
+    /**
+     * Remove all views and results
+     */
+    clear() {
+        this.disposeViews();
+        this.currentResults = null;
+        this.activeView = null;
+        this.renderedViews = new Set();
+        this.tabContainer.innerHTML = '';
+        this.viewContainer.innerHTML = '';
+    }
+
+    // Pagination methods
+    //
+    // Results carrying `paging` hold a single page fetched from the server;
+    // other pages are requested through onFetchPage. Otherwise all rows are
+    // in memory and pages are slices of them.
+    getTotalPages() {
+        if (!this.currentResults || !this.currentResults.rows) {
+            return 1;
+        }
+
+        const paging = this.currentResults.paging;
+        if (paging) {
+            // Until the total is counted, only the next page is known to exist
+            return paging.total !== null
+                ? Math.max(1, Math.ceil(paging.total / paging.pageSize))
+                : paging.page + (paging.hasMore ? 1 : 0);
+        }
+        return Math.max(1, Math.ceil(this.getRows().length / this.pageSize));
+    }
+
+    goToPage(page) {
+        if (!this.currentResults || !this.currentResults.rows) {
+            return;
+        }
+
+        if (page < 1 || page > this.getTotalPages()) {
+            return;
+        }
+
+        if (this.currentResults.paging) {
+            if (page !== this.page && this.onFetchPage) {
+                this.onFetchPage(page);
+            }
+            return;
+        }
+
+        this.page = page;
+        this.refresh();
+        this.onPageChange(this.getPageInfo());
+    }
+
+    /**
+     * Show a page fetched from the server in place of the current one
+     */
+    showPage(results) {
+        this.disposeViews();
+        this.currentResults = results;
+        this.page = results.paging.page;
+        this.renderedViews = new Set();
+        this.refresh();
+        this.onPageChange(this.getPageInfo());
+    }
+
+    /**
+     * Change the number of rows per page; in-memory results go back to page 1
+     */
+    setPageSize(pageSize) {
+        this.pageSize = pageSize;
+        if (this.currentResults && this.currentResults.rows && !this.currentResults.paging) {
+            this.page = 1;
+            this.refresh();
+            this.onPageChange(this.getPageInfo());
+        }
+    }
+
+    getPageInfo() {
+        const paging = this.currentResults?.paging;
+        if (paging) {
+            const first = (paging.page - 1) * paging.pageSize;
+            const rows = this.currentResults.rows.length;
+            return {
+                page: paging.page,
+                pageSize: paging.pageSize,
+                totalPages: this.getTotalPages(),
+                totalRows: paging.total,
+                hasMore: paging.hasMore,
+                startRow: rows === 0 ? 0 : first + 1,
+                endRow: first + rows
+            };
+        }
+
+        const totalRows = this.getRows().length;
+        return {
+            page: this.page,
+            pageSize: this.pageSize,
+            totalPages: this.getTotalPages(),
+            totalRows: totalRows,
+            hasMore: false,
+            startRow: totalRows === 0 ? 0 : (this.page - 1) * this.pageSize + 1,
+            endRow: Math.min(this.page * this.pageSize, totalRows)
+        };
+    }
+
+    // Table state
+    //
+    // SELECT results keep their table settings in `results.table`, so they are
+    // stored with the editor tab. Sorting and filtering cover all rows: in
+    // memory here, or through a rewritten query for server-paged results.
+    getTableState(results = this.currentResults) {
+        if (!results.table) {
+            results.table = ResultsRenderer.createTableState(results.headers);
+        }
+        return results.table;
+    }
+
+    /**
+     * Apply table changes; returns false when new rows have to be fetched first
+     */
+    updateTable(changes) {
+        const results = this.currentResults;
+        const table = { ...this.getTableState(), ...changes };
+        const rowsChange = ['sort', 'filters', 'search'].some(key => key in changes);
+
+        if (results.paging && rowsChange) {
+            if (this.onFetchPage) {
+                this.onFetchPage(1, table);
+            }
+            return false;
+        }
+
+        results.table = table;
+        if (rowsChange) {
+            this.page = 1;
+
+            // Other views show the previous rows; draw them again when shown
+            this.renderedViews = new Set([this.activeView]);
+        }
+        return true;
+    }
+
+    /**
+     * Rows of the current results after filtering and sorting
+     */
+    getRows() {
+        const results = this.currentResults;
+        if (!results || !results.rows) return [];
+        if (results.paging || !results.table) return results.rows;
+
+        const { sort, filters, search } = results.table;
+        const key = JSON.stringify([sort, filters, search]);
+        if (this.rowCache && this.rowCache.results === results && this.rowCache.key === key) {
+            return this.rowCache.rows;
+        }
+
+        const matches = (value, text) => {
+            const term = ResultsRenderer.toTerm(value);
+            return !!term && String(term.value).toLowerCase().includes(text.toLowerCase());
+        };
+        const columnFilters = Object.entries(filters).filter(([, text]) => text.trim());
+        const term = search.trim();
+
+        let indices = results.rows.map((row, index) => index).filter(index => {
+            const row = results.rows[index];
+            if (!columnFilters.every(([column, text]) => matches(row[column], text.trim()))) return false;
+            return !term || results.headers.some(header => matches(row[header], term));
+        });
+
+        // Terms sort by their datatype, so numbers compare as numbers
+        if (sort && results.headers.includes(sort.column)) {
+            const termAt = (index) => ResultsRenderer.toTerm(results.rows[index][sort.column]);
+            const direction = sort.direction === 'desc' ? -1 : 1;
+            indices = indices.sort((a, b) => direction * ResultsRenderer.compareTerms(termAt(a), termAt(b)));
+        }
+
+        const rows = indices.map(index => results.rows[index]);
+        this.rowCache = { results: results, key: key, rows: rows };
+        return rows;
+    }
+
+    static createTableState(headers = []) {
+        return {
+            sort: null,
+            filters: {},
+            search: '',
+            columns: [...headers],
+            hidden: [],
+            widths: {},
+            ntriples: false
+        };
+    }
+
+    static isTableFiltered(table) {
+        return !!table && (!!table.search.trim() || Object.values(table.filters).some(text => text.trim()));
+    }
+
+    /**
+     * Visible columns in display order; headers missing from the state are appended
+     */
+    static getVisibleColumns(headers, table) {
+        const ordered = table.columns.filter(column => headers.includes(column));
+        headers.forEach(header => {
+            if (!ordered.includes(header)) ordered.push(header);
+        });
+        return ordered.filter(column => !table.hidden.includes(column));
+    }
+
+    /**
+     * Compare two binding terms in SPARQL ORDER BY fashion: unbound values,
+     * blank nodes, IRIs, then literals; numbers and dates by value
+     */
+    static compareTerms(a, b) {
+        const rank = (term) => !term ? 0 : term.type === 'bnode' ? 1 : term.type === 'uri' ? 2 : 3;
+        if (rank(a) !== rank(b) || !a) {
+            return rank(a) - rank(b);
+        }
+
+        const x = ResultsRenderer.sortKey(a);
+        const y = ResultsRenderer.sortKey(b);
+        if (typeof x === 'number' && typeof y === 'number' && x !== y) {
+            return x - y;
+        }
+        return String(a.value).localeCompare(String(b.value), undefined, { numeric: true });
+    }
+
+    /**
+     * Numeric key of a typed literal (numbers, dates, booleans), otherwise null
+     */
+    static sortKey(term) {
+        const datatype = term.datatype || '';
+        let key = NaN;
+        if (ResultsRenderer.NUMERIC_TYPES.test(datatype)) {
+            key = parseFloat(term.value);
+        } else if (ResultsRenderer.DATE_TYPES.test(datatype)) {
+            key = Date.parse(term.value);
+        } else if (datatype.endsWith('XMLSchema#boolean')) {
+            key = term.value === 'true' || term.value === '1' ? 1 : 0;
+        }
+        return isNaN(key) ? null : key;
+    }
+
+    // Shared DOM helpers for views
+    static createTable(headers) {
+        const table = document.createElement('table');
+        table.className = 'results-table';
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+
+        table.appendChild(thead);
+        table.appendChild(document.createElement('tbody'));
+        return table;
+    }
+
+    static wrapTable(table) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-container';
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    static createEmptyState(icon, title, message) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.innerHTML = `
+            <div class="empty-state-icon">${icon}</div>
+            <h3></h3>
+            <p></p>
+        `;
+        empty.querySelector('h3').textContent = title;
+        empty.querySelector('p').textContent = message;
+        return empty;
+    }
+
+    static createResourceLink(iri, text = iri) {
+        const link = document.createElement('a');
+        link.href = iri;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.className = 'resource-link';
+        link.dataset.iri = iri;
+        link.textContent = text;
+        return link;
+    }
+
+    /**
+     * Render an RDF term into a table cell
+     *
+     * IRIs open in the resource explorer and are shown in prefixed form when
+     * possible; literals carry a language or datatype badge. With `ntriples`
+     * terms are written in full N-Triples syntax instead.
+     */
+    static renderValueCell(td, value, renderer = null, ntriples = false) {
+        const term = ResultsRenderer.toTerm(value);
+        if (!term) return;
+
+        if (ntriples) {
+            td.classList.add('term-ntriples');
+            if (term.type === 'uri') {
+                td.appendChild(ResultsRenderer.createResourceLink(term.value, termToNTriples(term)));
+            } else {
+                td.textContent = termToNTriples(term);
+            }
+            return;
+        }
+
+        if (term.type === 'uri') {
+            const prefixed = renderer ? renderer.compactIRI(term.value) : null;
+            const link = ResultsRenderer.createResourceLink(term.value, prefixed || term.value);
+            if (prefixed) {
+                link.title = term.value;
+            }
+            td.appendChild(link);
+        } else if (term.type === 'bnode') {
+            const span = document.createElement('span');
+            span.className = 'term-bnode';
+            span.title = 'Blank node';
+            span.textContent = `_:${term.value}`;
+            td.appendChild(span);
+        } else {
+            td.appendChild(document.createTextNode(term.value));
+
+            // Plain strings need no badge
+            const lang = term['xml:lang'];
+            const datatype = term.datatype !== 'http://www.w3.org/2001/XMLSchema#string' ? term.datatype : null;
+            if (lang || datatype) {
+                const badge = document.createElement('span');
+                badge.className = 'badge term-badge';
+                badge.textContent = lang ? `@${lang}` : (renderer && renderer.compactIRI(datatype)) || getLocalName(datatype);
+                badge.title = lang ? `Language: ${lang}` : datatype;
+                td.appendChild(badge);
+            }
+        }
+    }
+
+    /**
+     * RDF term of a cell value; plain strings come from results stored before
+     * rows kept their terms
+     */
+    static toTerm(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'object') return value;
+
+        const text = String(value);
+        return /^https?:\/\//.test(text) ? { type: 'uri', value: text } : { type: 'literal', value: text };
     }
 }
 
+// View registry shared by all renderer instances
+ResultsRenderer.views = new Map();
+ResultsRenderer.preferredViews = {};
+
+// Literal datatypes sorted by value rather than text
+ResultsRenderer.NUMERIC_TYPES = /XMLSchema#(integer|decimal|float|double|int|long|short|byte|nonNegativeInteger|nonPositiveInteger|positiveInteger|negativeInteger|unsignedLong|unsignedInt|unsignedShort|unsignedByte)$/;
+ResultsRenderer.DATE_TYPES = /XMLSchema#(dateTime|dateTimeStamp|date)$/;
+
+// Table view - SELECT rows with pagination, single-cell displays for other types
+ResultsRenderer.registerView('table', {
+    label: 'Table',
+    types: ['*'],
+    render(container, results, renderer) {
+        switch (results.type) {
+            case 'select':
+                this.renderSelect(container, results, renderer);
+                break;
+            case 'ask':
+                this.renderSingle(container, 'ASK Result', results.result ? 'true' : 'false', td => {
+                    td.className = results.result ? 'badge-success' : 'badge-error';
+                    td.style.fontWeight = 'bold';
+                });
+                break;
+            case 'graph':
+                this.renderTriples(container, results, renderer);
+                break;
+            case 'update':
+                this.renderUpdate(container, results);
+                break;
+            case 'error':
+                this.renderSingle(container, 'Error', results.error, td => {
+                    td.style.color = 'var(--error-color)';
+                    td.style.fontFamily = 'var(--font-mono)';
+                    container.querySelector('th').style.color = 'var(--error-color)';
+                });
+                break;
+            default:
+                this.renderSingle(container, 'Raw Results', null, td => {
+                    const pre = document.createElement('pre');
+                    pre.textContent = JSON.stringify(results, null, 2);
+                    td.appendChild(pre);
+                });
+        }
+    },
+
+    renderSingle(container, title, text, decorate) {
+        const table = ResultsRenderer.createTable([title]);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        if (text !== null) {
+            td.textContent = text;
+        }
+        tr.appendChild(td);
+        table.querySelector('tbody').appendChild(tr);
+        container.appendChild(ResultsRenderer.wrapTable(table));
+        decorate(td);
+    },
+
+    renderUpdate(container, results) {
+        const operations = (results.operations || []).map(op => SPARQLParser.operationLabels[op] || op);
+        const summary = operations.length ? operations.join(', ') : 'Update';
+        if (results.outcome === 'unknown') {
+            this.renderSingle(container, 'Update Result', `${summary} sent, but GraphDB did not answer in time; it may still be running or already applied`, td => {
+                td.className = 'badge-warning';
+            });
+            return;
+        }
+        this.renderSingle(container, 'Update Result', `${summary} completed successfully`, td => {
+            td.className = 'badge-success';
+        });
+
+        if (!results.counts || results.counts.length === 0) return;
+
+        // Triple counts before and after the update
+        const table = ResultsRenderer.createTable(['Graph', 'Before', 'After', 'Change']);
+        const tbody = table.querySelector('tbody');
+        results.counts.forEach(({ graph, before, after }) => {
+            const change = after - before;
+            const tr = document.createElement('tr');
+            [graph, before, after, `${change > 0 ? '+' : ''}${change}`].forEach((value, index) => {
+                const td = document.createElement('td');
+                td.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+                if (index === 3 && change !== 0) {
+                    td.className = change > 0 ? 'update-change-added' : 'update-change-removed';
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        container.appendChild(ResultsRenderer.wrapTable(table));
+    },
+
+    renderSelect(container, results, renderer) {
+        const table = renderer.getTableState(results);
+        if (results.count === 0 && !ResultsRenderer.isTableFiltered(table)) {
+            container.appendChild(ResultsRenderer.createEmptyState(
+                '📊',
+                'No Results',
+                'Your query executed successfully but returned no results.'
+            ));
+            return;
+        }
+
+        const columns = ResultsRenderer.getVisibleColumns(results.headers, table);
+        const tableEl = ResultsRenderer.createTable(columns);
+        tableEl.classList.add('interactive-table');
+        this.renderHeader(container, tableEl, columns, results, renderer);
+
+        container.appendChild(this.renderToolbar(container, results, renderer));
+        container.appendChild(ResultsRenderer.wrapTable(tableEl));
+        this.renderRows(container, results, renderer);
+    },
+
+    /**
+     * Fill the table body and pagination for the current page
+     */
+    renderRows(container, results, renderer) {
+        const columns = ResultsRenderer.getVisibleColumns(results.headers, results.table);
+        const tbody = container.querySelector('.results-table tbody');
+        tbody.innerHTML = '';
+
+        // Server pages hold only their own rows; in-memory rows are filtered and sorted first
+        const { startRow, endRow } = renderer.getPageInfo();
+        const rows = results.paging ? results.rows : renderer.getRows().slice(startRow - 1, endRow);
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                ResultsRenderer.renderValueCell(td, row[column], renderer, results.table.ntriples);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        if (rows.length === 0) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td class="table-no-match" colspan="${columns.length}">No rows match the filters.</td>`;
+            tbody.appendChild(tr);
+        }
+
+        const pagination = this.renderPagination(renderer);
+        const previous = container.querySelector('.pagination');
+        if (previous) {
+            previous.replaceWith(pagination);
+        } else {
+            container.appendChild(pagination);
+        }
+    },
+
+    /**
+     * Re-render after a table change; server-paged results are re-rendered once fetched
+     */
+    applyTableChange(container, results, renderer, changes, rowsOnly = false) {
+        if (!renderer.updateTable(changes)) return;
+
+        if (rowsOnly) {
+            this.renderRows(container, results, renderer);
+        } else {
+            renderer.refresh();
+        }
+        renderer.onPageChange(renderer.getPageInfo());
+    },
+
+    renderToolbar(container, results, renderer) {
+        const table = results.table;
+        const toolbar = document.createElement('div');
+        toolbar.className = 'table-toolbar';
+        toolbar.innerHTML = `
+            <input type="search" class="table-search" placeholder="Search all columns">
+            <details class="table-columns">
+                <summary class="btn btn-sm btn-secondary">Columns</summary>
+                <div class="table-columns-menu"></div>
+            </details>
+            <label class="table-ntriples" title="Show IRIs, literals and blank nodes in N-Triples syntax">
+                <input type="checkbox"> N-Triples
+            </label>
+            <button class="btn btn-sm btn-secondary" data-action="reset-table">Reset table</button>
+        `;
+
+        // Server-paged results are re-queried, so text is applied on Enter rather than per key
+        const search = toolbar.querySelector('.table-search');
+        search.value = table.search;
+        search.title = results.paging ? 'Press Enter to search all rows' : 'Search all rows';
+        search.addEventListener(results.paging ? 'change' : 'input', () => {
+            this.applyTableChange(container, results, renderer, { search: search.value }, true);
+        });
+
+        const ntriples = toolbar.querySelector('.table-ntriples input');
+        ntriples.checked = !!table.ntriples;
+        ntriples.addEventListener('change', () => {
+            this.applyTableChange(container, results, renderer, { ntriples: ntriples.checked }, true);
+        });
+
+        const menu = toolbar.querySelector('.table-columns-menu');
+        const allColumns = ResultsRenderer.getVisibleColumns(results.headers, { ...table, hidden: [] });
+        allColumns.forEach(column => {
+            const label = document.createElement('label');
+            label.innerHTML = '<input type="checkbox"> <span></span>';
+            label.querySelector('span').textContent = column;
+
+            const checkbox = label.querySelector('input');
+            checkbox.checked = !table.hidden.includes(column);
+            checkbox.addEventListener('change', () => {
+                const hidden = results.table.hidden.filter(name => name !== column);
+                if (!checkbox.checked) {
+                    hidden.push(column);
+                }
+                // At least one column stays visible
+                if (hidden.length >= allColumns.length) {
+                    checkbox.checked = true;
+                    return;
+                }
+                this.applyTableChange(container, results, renderer, { hidden: hidden });
+                container.querySelector('.table-columns').open = true;
+            });
+            menu.appendChild(label);
+        });
+
+        toolbar.querySelector('[data-action="reset-table"]').addEventListener('click', () => {
+            const reset = ResultsRenderer.createTableState(results.headers);
+            const filtered = results.table.sort || ResultsRenderer.isTableFiltered(results.table);
+            this.applyTableChange(container, results, renderer, filtered ? reset : {
+                columns: reset.columns,
+                hidden: reset.hidden,
+                widths: reset.widths,
+                ntriples: reset.ntriples
+            });
+        });
+
+        return toolbar;
+    },
+
+    /**
+     * Add sorting, reordering, resizing and per-column filters to the header
+     */
+    renderHeader(container, tableEl, columns, results, renderer) {
+        const table = results.table;
+        const headerRow = tableEl.querySelector('thead tr');
+        let suppressClick = false;
+
+        headerRow.querySelectorAll('th').forEach((th, index) => {
+            const column = columns[index];
+            const direction = table.sort && table.sort.column === column ? table.sort.direction : null;
+
+            th.dataset.column = column;
+            th.draggable = true;
+            th.title = 'Click to sort, drag to reorder';
+            th.classList.toggle('sorted', !!direction);
+            th.innerHTML = `
+                <span class="th-label"></span>
+                <span class="sort-indicator">${direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : ''}</span>
+                <span class="column-resizer" title="Drag to resize"></span>
+            `;
+            th.querySelector('.th-label').textContent = column;
+
+            if (table.widths[column]) {
+                th.style.width = `${table.widths[column]}px`;
+                th.style.minWidth = `${table.widths[column]}px`;
+            }
+
+            // Clicking cycles ascending, descending and unsorted
+            th.addEventListener('click', (e) => {
+                if (suppressClick || e.target.closest('.column-resizer')) return;
+                const next = direction === null ? 'asc' : direction === 'asc' ? 'desc' : null;
+                this.applyTableChange(container, results, renderer, {
+                    sort: next ? { column: column, direction: next } : null
+                });
+            });
+
+            th.querySelector('.column-resizer').addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                th.draggable = false;
+
+                const startX = e.clientX;
+                const startWidth = th.offsetWidth;
+                const onMove = (event) => {
+                    const width = Math.max(40, startWidth + event.clientX - startX);
+                    th.style.width = `${width}px`;
+                    th.style.minWidth = `${width}px`;
+                };
+                const onUp = () => {
+                    document.removeEventListener('mousemove', onMove);
+                    document.removeEventListener('mouseup', onUp);
+                    th.draggable = true;
+
+                    // The click ending a resize must not sort
+                    suppressClick = true;
+                    setTimeout(() => { suppressClick = false; }, 0);
+                    renderer.updateTable({ widths: { ...results.table.widths, [column]: parseInt(th.style.width, 10) } });
+                };
+                document.addEventListener('mousemove', onMove);
+                document.addEventListener('mouseup', onUp);
+            });
+        });
+
+        // Drag and drop reordering
+        let dragged = null;
+        headerRow.addEventListener('dragstart', (e) => {
+            const th = e.target.closest('th');
+            if (!th) return;
+            dragged = th.dataset.column;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragged);
+        });
+        headerRow.addEventListener('dragover', (e) => {
+            if (dragged && e.target.closest('th')) {
+                e.preventDefault();
+            }
+        });
+        headerRow.addEventListener('drop', (e) => {
+            const th = e.target.closest('th');
+            if (!dragged || !th || th.dataset.column === dragged) return;
+            e.preventDefault();
+
+            const rect = th.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            const order = ResultsRenderer.getVisibleColumns(results.headers, { ...results.table, hidden: [] })
+                .filter(name => name !== dragged);
+            const target = order.indexOf(th.dataset.column);
+            order.splice(after ? target + 1 : target, 0, dragged);
+            dragged = null;
+            this.applyTableChange(container, results, renderer, { columns: order });
+        });
+
+        // Filter inputs below the column names
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'filter-row';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            const input = document.createElement('input');
+            input.type = 'search';
+            input.className = 'column-filter';
+            input.placeholder = 'Filter';
+            input.title = results.paging ? 'Press Enter to filter all rows' : 'Filter all rows';
+            input.value = table.filters[column] || '';
+            input.addEventListener(results.paging ? 'change' : 'input', () => {
+                const filters = { ...results.table.filters, [column]: input.value };
+                this.applyTableChange(container, results, renderer, { filters: filters }, true);
+            });
+            th.appendChild(input);
+            filterRow.appendChild(th);
+        });
+        tableEl.querySelector('thead').appendChild(filterRow);
+    },
+
+    renderTriples(container, results, renderer) {
+        if (results.count === 0) {
+            container.appendChild(ResultsRenderer.createEmptyState(
+                '🕸️',
+                'No Triples',
+                'Your query executed successfully but returned an empty graph.'
+            ));
+            return;
+        }
+
+        const table = ResultsRenderer.createTable(['subject', 'predicate', 'object']);
+        const tbody = table.querySelector('tbody');
+
+        results.triples.forEach(triple => {
+            const tr = document.createElement('tr');
+            [triple.subject, triple.predicate, triple.object].forEach(term => {
+                const td = document.createElement('td');
+                ResultsRenderer.renderValueCell(td, term, renderer);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        container.appendChild(ResultsRenderer.wrapTable(table));
+    },
+
+    renderPagination(renderer) {
+        const info = renderer.getPageInfo();
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+
+        // Show/hide pagination based on whether it's needed
+        if (info.totalPages <= 1) {
+            pagination.style.display = 'none';
+            return pagination;
+        }
+
+        // The page count is open-ended while a server-side total is being counted
+        const pageCount = info.totalRows === null ? `${info.totalPages}+` : info.totalPages;
+        pagination.innerHTML = `
+            <button class="btn btn-sm" data-page="prev">Previous</button>
+            <span class="page-info">Page ${info.page} of ${pageCount}</span>
+            <button class="btn btn-sm" data-page="next">Next</button>
+        `;
+
+        const prevBtn = pagination.querySelector('[data-page="prev"]');
+        const nextBtn = pagination.querySelector('[data-page="next"]');
+        prevBtn.disabled = info.page <= 1;
+        nextBtn.disabled = info.page >= info.totalPages;
+        prevBtn.addEventListener('click', () => renderer.goToPage(renderer.page - 1));
+        nextBtn.addEventListener('click', () => renderer.goToPage(renderer.page + 1));
+
+        return pagination;
+    }
+});
+
+// Raw JSON view - the unformatted response for every result type
+ResultsRenderer.registerView('raw', {
+    label: 'Raw JSON',
+    types: ['*'],
+    render(container, results) {
+        const pre = document.createElement('pre');
+        pre.className = 'json-display';
+
+        if (results.type === 'error') {
+            pre.textContent = JSON.stringify({
+                error: results.error,
+                executionTime: results.executionTime
+            }, null, 2);
+        } else {
+            pre.textContent = JSON.stringify(results.raw || results, null, 2);
+        }
+
+        container.appendChild(pre);
+    }
+});
+
 // Export for use in other modules
-window.ResultsRenderer = ResultsRenderer; 
\ No newline at end of file
+window.ResultsRenderer = ResultsRenderer;
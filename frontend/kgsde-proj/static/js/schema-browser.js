@@ -0,0 +1,438 @@
+// Schema Browser for GraphDB Query Frontend
+// Collapsible sidebar tree of the repository's classes (rdfs:subClassOf) with instance counts and properties
+
+class SchemaBrowser {
+    constructor(sparqlClient, options = {}) {
+        this.sparqlClient = sparqlClient;
+        this.panel = options.panel || document.getElementById('schemaPanel');
+        this.container = options.container || this.panel.parentElement;
+        this.storageKey = options.storageKey || 'schema-browser-open';
+        this.limit = options.limit || 2000;
+        this.compactIRI = options.compactIRI || (() => null);
+        this.onInsert = options.onInsert || (() => {});
+        this.onQuery = options.onQuery || (() => {});
+
+        this.tree = this.panel.querySelector('.schema-tree');
+        this.search = this.panel.querySelector('.schema-search');
+        this.summary = this.panel.querySelector('.schema-summary');
+
+        // Class hierarchy of the repository it was loaded from; properties are fetched per class
+        this.schema = null;
+        this.schemaKey = null;
+        this.properties = new Map();
+        this.requestId = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.panel.querySelector('[data-action="refresh"]').addEventListener('click', () => this.load(true));
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+        this.search.addEventListener('input', debounce(() => this.render(), 200));
+
+        // Names insert themselves into the editor, ▶ buttons open a starter query
+        this.tree.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-insert], [data-query]');
+            if (!target) return;
+
+            // Keep the surrounding <details> as it is
+            e.preventDefault();
+            if (target.dataset.insert) {
+                this.onInsert(this.formatIRI(target.dataset.insert));
+            } else {
+                this.openStarterQuery(target.dataset.query, target.dataset.property);
+            }
+        });
+
+        // Subclasses and properties are only rendered once a class is expanded
+        this.tree.addEventListener('toggle', (e) => {
+            const details = e.target;
+            if (details.open && details.classList.contains('schema-class') && !details.dataset.loaded) {
+                details.dataset.loaded = 'true';
+                this.renderChildren(details);
+            }
+        }, true);
+    }
+
+    // Sidebar
+    open() {
+        this.panel.classList.add('active');
+        this.container.classList.add('schema-open');
+        Storage.set(this.storageKey, true);
+        this.load();
+    }
+
+    close() {
+        this.panel.classList.remove('active');
+        this.container.classList.remove('schema-open');
+        Storage.set(this.storageKey, false);
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('active');
+    }
+
+    /**
+     * Reopen the sidebar if it was open when the page was left
+     */
+    restore() {
+        if (Storage.get(this.storageKey, false)) {
+            this.open();
+        }
+    }
+
+    /**
+     * Forget the loaded schema, e.g. after switching repositories
+     */
+    invalidate() {
+        this.schema = null;
+        this.schemaKey = null;
+        this.properties.clear();
+        this.requestId++;
+
+        if (this.isOpen()) {
+            this.load();
+        } else {
+            this.tree.innerHTML = '';
+            this.summary.textContent = '';
+        }
+    }
+
+    // Schema loading
+    getCacheKey() {
+        const { endpoint, repository } = this.sparqlClient.config;
+        return `${endpoint}|${repository}`;
+    }
+
+    async load(force = false) {
+        const key = this.getCacheKey();
+        if (!force && this.schema && this.schemaKey === key) {
+            this.render();
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        this.tree.innerHTML = '<p class="schema-message">Loading classes...</p>';
+        this.summary.textContent = '';
+
+        const [classes, subclasses] = await Promise.all([
+            this.sparqlClient.query(this.buildClassQuery()),
+            this.sparqlClient.query(this.buildSubclassQuery())
+        ]);
+
+        // A newer load or a repository switch superseded this one
+        if (requestId !== this.requestId) return;
+
+        if (!classes.success) {
+            this.tree.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'schema-message error';
+            message.textContent = `Could not load classes: ${classes.error}`;
+            this.tree.appendChild(message);
+            return;
+        }
+
+        // Without the hierarchy the classes are still listed, all at the top level
+        this.schema = SchemaBrowser.buildHierarchy(
+            SchemaBrowser.bindings(classes),
+            subclasses.success ? SchemaBrowser.bindings(subclasses) : []
+        );
+        this.schemaKey = key;
+        this.properties.clear();
+        this.render();
+    }
+
+    buildClassQuery() {
+        return `PREFIX rdfs: <${COMMON_PREFIXES.rdfs}>
+PREFIX owl: <${COMMON_PREFIXES.owl}>
+SELECT ?class (COUNT(DISTINCT ?instance) AS ?count)
+WHERE {
+    { ?instance a ?class } UNION { ?class a rdfs:Class } UNION { ?class a owl:Class }
+    FILTER(isIRI(?class))
+}
+GROUP BY ?class
+ORDER BY DESC(?count)
+LIMIT ${this.limit}`;
+    }
+
+    buildSubclassQuery() {
+        return `PREFIX rdfs: <${COMMON_PREFIXES.rdfs}>
+SELECT DISTINCT ?class ?superClass
+WHERE {
+    ?class rdfs:subClassOf ?superClass
+    FILTER(isIRI(?class) && isIRI(?superClass) && ?class != ?superClass)
+}
+LIMIT ${SchemaBrowser.MAX_SUBCLASS_LINKS}`;
+    }
+
+    buildPropertyQuery(classIRI) {
+        return `SELECT ?property (COUNT(*) AS ?count)
+WHERE {
+    ?instance a <${classIRI}> ;
+        ?property ?value .
+}
+GROUP BY ?property
+ORDER BY DESC(?count)
+LIMIT ${SchemaBrowser.MAX_PROPERTIES}`;
+    }
+
+    /**
+     * Properties used by instances of a class with their number of statements
+     */
+    loadProperties(classIRI) {
+        if (!this.properties.has(classIRI)) {
+            const request = this.sparqlClient.query(this.buildPropertyQuery(classIRI)).then(result => {
+                if (!result.success) {
+                    // Let the next expansion try again
+                    this.properties.delete(classIRI);
+                    throw new Error(result.error);
+                }
+                return SchemaBrowser.bindings(result).map(binding => ({
+                    iri: binding.property.value,
+                    count: Number(binding.count?.value) || 0
+                }));
+            });
+            this.properties.set(classIRI, request);
+        }
+        return this.properties.get(classIRI);
+    }
+
+    // Rendering
+    render() {
+        if (!this.schema) return;
+
+        this.tree.innerHTML = '';
+        const filter = this.search.value.trim().toLowerCase();
+        const { classes, roots } = this.schema;
+
+        // While filtering, matching classes are listed flat instead of in the tree
+        const nodes = (filter
+            ? [...classes.values()].filter(node => node.iri.toLowerCase().includes(filter) || this.displayName(node.iri).toLowerCase().includes(filter))
+            : [...roots]
+        ).sort(this.compareNodes.bind(this));
+
+        if (nodes.length === 0) {
+            this.tree.innerHTML = `<p class="schema-message">${filter ? 'No matching classes.' : 'No classes in this repository.'}</p>`;
+        } else {
+            nodes.slice(0, SchemaBrowser.MAX_MATCHES).forEach(node => this.tree.appendChild(this.renderClass(node)));
+        }
+
+        const shown = filter ? `${Math.min(nodes.length, SchemaBrowser.MAX_MATCHES)} of ${nodes.length} matching` : `${roots.length} top-level`;
+        this.summary.textContent = `${classes.size} class${classes.size !== 1 ? 'es' : ''} · ${shown}`;
+    }
+
+    renderClass(node) {
+        const details = document.createElement('details');
+        details.className = 'schema-class';
+        details.dataset.iri = node.iri;
+        details.innerHTML = `
+            <summary>
+                <span class="schema-name" title="Insert into the editor"></span>
+                <span class="badge schema-count" title="Instances"></span>
+                <button type="button" class="schema-action" title="Open a query listing the instances">▶</button>
+            </summary>
+            <div class="schema-children"></div>
+        `;
+
+        const name = details.querySelector('.schema-name');
+        name.textContent = this.displayName(node.iri);
+        name.title = `${node.iri}\nClick to insert into the editor`;
+        name.dataset.insert = node.iri;
+        details.querySelector('.schema-count').textContent = node.count.toLocaleString();
+        details.querySelector('.schema-action').dataset.query = node.iri;
+        details.classList.toggle('has-subclasses', node.children.size > 0);
+        return details;
+    }
+
+    /**
+     * Fill an expanded class with its properties and subclasses
+     */
+    async renderChildren(details) {
+        const node = this.schema.classes.get(details.dataset.iri);
+        const children = details.querySelector('.schema-children');
+        if (!node) return;
+        children.innerHTML = '';
+
+        const list = document.createElement('ul');
+        list.className = 'schema-properties';
+        list.innerHTML = '<li class="schema-message">Loading properties...</li>';
+        children.appendChild(list);
+
+        // A class that is its own ancestor through a cycle is not repeated below itself
+        const ancestors = new Set();
+        for (let parent = details; parent; parent = parent.parentElement.closest('.schema-class')) {
+            ancestors.add(parent.dataset.iri);
+        }
+        [...node.children]
+            .map(iri => this.schema.classes.get(iri))
+            .filter(child => !ancestors.has(child.iri))
+            .sort(this.compareNodes.bind(this))
+            .forEach(child => children.appendChild(this.renderClass(child)));
+
+        const schema = this.schema;
+        let properties;
+        try {
+            properties = await this.loadProperties(node.iri);
+        } catch (error) {
+            properties = error;
+        }
+        if (schema !== this.schema) return;
+
+        list.innerHTML = '';
+        if (properties instanceof Error) {
+            list.innerHTML = '<li class="schema-message error"></li>';
+            list.firstChild.textContent = `Could not load properties: ${properties.message}`;
+
+            // Expanding the class again retries
+            delete details.dataset.loaded;
+            return;
+        }
+        if (properties.length === 0) {
+            list.innerHTML = '<li class="schema-message">No properties.</li>';
+            return;
+        }
+
+        properties.forEach(property => {
+            const item = document.createElement('li');
+            item.className = 'schema-property';
+            item.innerHTML = `
+                <span class="schema-name"></span>
+                <span class="badge schema-count" title="Statements"></span>
+                <button type="button" class="schema-action" title="Open a query listing its values">▶</button>
+            `;
+            const name = item.querySelector('.schema-name');
+            name.textContent = this.displayName(property.iri);
+            name.title = `${property.iri}\nClick to insert into the editor`;
+            name.dataset.insert = property.iri;
+            item.querySelector('.schema-count').textContent = property.count.toLocaleString();
+            const action = item.querySelector('.schema-action');
+            action.dataset.query = node.iri;
+            action.dataset.property = property.iri;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Open a query listing the instances of a class, or the values of one of its properties
+     */
+    openStarterQuery(classIRI, propertyIRI = null) {
+        const type = this.formatIRI(classIRI);
+        let name;
+        let sparql;
+
+        if (propertyIRI) {
+            name = `${this.displayName(classIRI)} · ${this.displayName(propertyIRI)}`;
+            sparql = `SELECT ?instance ?value\nWHERE {\n    ?instance a ${type} ;\n        ${this.formatIRI(propertyIRI)} ?value .\n}\nLIMIT 100`;
+        } else {
+            name = this.displayName(classIRI);
+            sparql = `SELECT ?instance ?label\nWHERE {\n    ?instance a ${type} .\n    OPTIONAL { ?instance ${this.formatIRI(COMMON_PREFIXES.rdfs + 'label')} ?label }\n}\nLIMIT 100`;
+        }
+
+        this.onQuery(name, this.sparqlClient.addMissingPrefixes(sparql));
+    }
+
+    /**
+     * Prefixed name of an IRI where a prefix is known, the IRI in angle brackets otherwise
+     */
+    formatIRI(iri) {
+        return this.compactIRI(iri) || `<${iri}>`;
+    }
+
+    displayName(iri) {
+        return this.compactIRI(iri) || getLocalName(iri);
+    }
+
+    // Most instances first, then by name
+    compareNodes(a, b) {
+        return b.count - a.count || this.displayName(a.iri).localeCompare(this.displayName(b.iri));
+    }
+
+    static bindings(result) {
+        return result.results?.results?.bindings || [];
+    }
+
+    /**
+     * Build the class tree from instance counts and subClassOf links
+     *
+     * Links implied by others (as added by RDFS reasoning) are dropped so each
+     * class sits below its direct superclasses only.
+     */
+    static buildHierarchy(classBindings, subclassBindings) {
+        const classes = new Map();
+        const getNode = (iri) => {
+            if (!classes.has(iri)) {
+                classes.set(iri, { iri: iri, count: 0, parents: new Set(), children: new Set() });
+            }
+            return classes.get(iri);
+        };
+
+        classBindings.forEach(binding => {
+            if (binding.class) {
+                getNode(binding.class.value).count = Number(binding.count?.value) || 0;
+            }
+        });
+        subclassBindings.forEach(binding => {
+            if (binding.class && binding.superClass) {
+                getNode(binding.class.value).parents.add(binding.superClass.value);
+                getNode(binding.superClass.value);
+            }
+        });
+
+        // All superclasses of a class, following links in either form
+        const ancestors = new Map();
+        const getAncestors = (iri) => {
+            if (ancestors.has(iri)) return ancestors.get(iri);
+            const result = new Set();
+            ancestors.set(iri, result);
+            classes.get(iri).parents.forEach(parent => {
+                result.add(parent);
+                getAncestors(parent).forEach(ancestor => result.add(ancestor));
+            });
+            return result;
+        };
+        classes.forEach(node => getAncestors(node.iri));
+
+        classes.forEach(node => {
+            const direct = [...node.parents].filter(parent =>
+                ![...node.parents].some(other => other !== parent && ancestors.get(other).has(parent) && !ancestors.get(parent).has(other))
+            );
+            node.parents = new Set(direct);
+            direct.forEach(parent => classes.get(parent).children.add(node.iri));
+        });
+
+        // Classes only reachable through a cycle are shown at the top level as well
+        const roots = [...classes.values()].filter(node => node.parents.size === 0);
+        const reached = new Set();
+        const visit = (node) => {
+            if (reached.has(node.iri)) return;
+            reached.add(node.iri);
+            node.children.forEach(child => visit(classes.get(child)));
+        };
+        roots.forEach(visit);
+        classes.forEach(node => {
+            if (!reached.has(node.iri)) {
+                roots.push(node);
+                visit(node);
+            }
+        });
+
+        return { classes: classes, roots: roots };
+    }
+}
+
+// Caps on what is fetched and shown
+SchemaBrowser.MAX_SUBCLASS_LINKS = 10000;
+SchemaBrowser.MAX_PROPERTIES = 200;
+SchemaBrowser.MAX_MATCHES = 200;
+
+// Export for use in other modules
+window.SchemaBrowser = SchemaBrowser;
@@ -6,10 +6,16 @@ class SPARQLClient {
             endpoint: config.endpoint || 'http://localhost:7200',
             repository: config.repository || 'kgsde-proj',
             username: config.username || '',
-            password: config.password || '',
             timeout: config.timeout || 30000
         };
         
+        // Token of the backend session holding the GraphDB password; the
+        // password itself never leaves the settings form
+        this.sessionToken = null;
+        
+        // Prefix mappings added to queries that use them without declaring them
+        this.prefixes = {};
+        
         // Base URL for our FastAPI backend
         this.apiBase = '/api';
         console.log('SPARQLClient initialized with config:', this.config);
@@ -23,35 +29,161 @@ class SPARQLClient {
         console.log('SPARQLClient config updated:', this.config);
     }
     
+    /**
+     * Use the credentials of a backend session (null for none)
+     */
+    setSessionToken(token) {
+        this.sessionToken = token || null;
+    }
+    
+    /**
+     * Request headers for backend calls that reach GraphDB
+     */
+    getHeaders(headers = {}) {
+        return this.sessionToken ? { ...headers, 'X-Session-Token': this.sessionToken } : headers;
+    }
+    
+    /**
+     * Exchange GraphDB credentials for a session token kept by the backend
+     */
+    async createSession(username, password, endpoint = this.config.endpoint) {
+        try {
+            const response = await fetch(`${this.apiBase}/session`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ endpoint: endpoint, username: username, password: password })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return { success: true, token: data.token, expiresIn: data.expires_in };
+            
+        } catch (error) {
+            console.error('Failed to create session:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Make the backend forget the credentials of a session token
+     */
+    async endSession(token = this.sessionToken) {
+        if (!token) return { success: false };
+        
+        try {
+            const response = await fetch(`${this.apiBase}/session`, {
+                method: 'DELETE',
+                headers: { 'X-Session-Token': token }
+            });
+            const data = await response.json();
+            return { success: !!data.success };
+        } catch (error) {
+            console.error('Failed to end session:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Set the prefix mappings used by addMissingPrefixes
+     */
+    setPrefixes(prefixes) {
+        this.prefixes = { ...prefixes };
+    }
+    
+    /**
+     * Prepend PREFIX declarations for known prefixes used but not declared
+     */
+    addMissingPrefixes(sparql) {
+        const tokens = SPARQLParser.tokenize(sparql, { tolerant: true });
+        const declared = new Set();
+        const used = new Set();
+        
+        tokens.forEach((token, index) => {
+            if (token.type !== 'PNAME_NS' && token.type !== 'PNAME_LN') return;
+            
+            const prefix = token.value.substring(0, token.value.indexOf(':'));
+            const previous = tokens[index - 1];
+            if (token.type === 'PNAME_NS' && previous && previous.type === 'KEYWORD' && previous.upper === 'PREFIX') {
+                declared.add(prefix);
+            } else {
+                used.add(prefix);
+            }
+        });
+        
+        const missing = [...used].filter(prefix => !declared.has(prefix) && this.prefixes[prefix] !== undefined);
+        if (missing.length === 0) {
+            return sparql;
+        }
+        
+        console.log('Adding missing prefixes:', missing);
+        const declarations = missing.map(prefix => `PREFIX ${prefix}: <${this.prefixes[prefix]}>`);
+        return `${declarations.join('\n')}\n${sparql}`;
+    }
+    
     /**
      * Execute SPARQL query
+     *
+     * Pass `options.signal` (an AbortSignal) to make the query cancellable.
+     * Queries are also aborted after `config.timeout` milliseconds; both cases
+     * resolve with `cancelled` or `timedOut` set and stop the query in GraphDB.
+     *
+     * CONSTRUCT/DESCRIBE queries can be run with one of SPARQLClient.RDF_FORMATS;
+     * `results` is then the text serialized by GraphDB. `options.graph` names
+     * the graph of a TriG export.
      */
-    async query(sparql, format = 'json') {
+    async query(sparql, format = 'json', options = {}) {
         if (!sparql || !sparql.trim()) {
             throw new Error('SPARQL query cannot be empty');
         }
         
         const startTime = Date.now();
+        const queryId = SPARQLClient.createQueryId();
+        const controller = new AbortController();
+        let timedOut = false;
+        
+        const timeout = this.config.timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.config.timeout) : null;
+        
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener('abort', onAbort);
+            }
+        }
         
         try {
             console.log('Executing SPARQL query:', sparql);
             
             const response = await fetch(`${this.apiBase}/query`, {
                 method: 'POST',
-                headers: {
+                headers: this.getHeaders({
                     'Content-Type': 'application/json',
-                },
+                }),
                 body: JSON.stringify({
-                    sparql: sparql.trim(),
+                    sparql: this.addMissingPrefixes(sparql.trim()),
                     format: format,
                     endpoint: this.config.endpoint,
                     repository: this.config.repository,
-                    username: this.config.username || undefined,
-                    password: this.config.password || undefined
-                })
+                    timeout: this.config.timeout || undefined,
+                    query_id: queryId,
+                    graph: options.graph || undefined
+                }),
+                signal: controller.signal
             });
             
-            const data = await response.json();
+            // RDF formats come back as the serialized file, everything else as JSON
+            const data = response.ok && SPARQLClient.RDF_FORMATS[format]
+                ? { success: true, results: await response.text() }
+                : await response.json();
             const executionTime = Date.now() - startTime;
             
             if (!response.ok) {
@@ -73,8 +205,340 @@ class SPARQLClient {
             
         } catch (error) {
             const executionTime = Date.now() - startTime;
+            
+            if (controller.signal.aborted) {
+                // Make sure GraphDB stops working on the abandoned query
+                this.cancelQuery(queryId);
+                
+                const message = timedOut
+                    ? `Query timed out after ${formatTime(this.config.timeout)}`
+                    : 'Query cancelled';
+                console.warn(message);
+                
+                return {
+                    success: false,
+                    error: message,
+                    cancelled: !timedOut,
+                    timedOut: timedOut,
+                    executionTime: executionTime,
+                    query: sparql
+                };
+            }
+            
             console.error('Query execution failed:', error);
             
+            return {
+                success: false,
+                error: error.message,
+                executionTime: executionTime,
+                query: sparql
+            };
+        } finally {
+            clearTimeout(timeout);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+    
+    /**
+     * Execute one page of a SELECT query
+     *
+     * The query's own LIMIT/OFFSET are replaced by the window of the page; one
+     * extra row is requested to tell whether another page follows. The result
+     * carries `paging` with the page position and the unmodified query.
+     */
+    async queryPage(sparql, page, pageSize, options = {}) {
+        const modifiers = this.getSolutionModifiers(sparql);
+        const start = (page - 1) * pageSize;
+        const remaining = modifiers.limit !== null ? modifiers.limit - start : Infinity;
+        
+        const paging = {
+            query: sparql,
+            page: page,
+            pageSize: pageSize,
+            hasMore: false,
+            total: null
+        };
+        
+        if (remaining <= 0) {
+            return {
+                success: true,
+                results: { head: { vars: [] }, results: { bindings: [] } },
+                executionTime: 0,
+                query: sparql,
+                paging: paging
+            };
+        }
+        
+        const fetchLimit = remaining > pageSize ? pageSize + 1 : remaining;
+        const result = await this.query(
+            this.rewriteSolutionModifiers(sparql, fetchLimit, modifiers.offset + start),
+            'json',
+            options
+        );
+        
+        if (!result.success) {
+            return result;
+        }
+        
+        const bindings = result.results?.results?.bindings || [];
+        paging.hasMore = bindings.length > pageSize;
+        if (paging.hasMore) {
+            result.results.results.bindings = bindings.slice(0, pageSize);
+        }
+        
+        // Without a following page the total is known already
+        if (!paging.hasMore) {
+            paging.total = start + Math.min(bindings.length, pageSize);
+        }
+        
+        return { ...result, query: sparql, paging: paging };
+    }
+    
+    /**
+     * Count the solutions of a SELECT query, honouring its LIMIT/OFFSET
+     */
+    async countResults(sparql, options = {}) {
+        const { prologue, dataset, body } = this.splitPrologue(sparql);
+        const countQuery = [
+            prologue,
+            'SELECT (COUNT(*) AS ?count)',
+            dataset,
+            `WHERE {\n{\n${body}\n}\n}`
+        ].filter(Boolean).join('\n');
+        
+        const result = await this.query(countQuery, 'json', options);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+        
+        const binding = result.results?.results?.bindings?.[0];
+        const count = binding && binding.count ? parseInt(binding.count.value, 10) : NaN;
+        if (isNaN(count)) {
+            return { success: false, error: 'Unexpected COUNT result' };
+        }
+        return { success: true, count: count };
+    }
+    
+    /**
+     * Wrap a SELECT query so the server filters and sorts it like the results table
+     *
+     * Filters match the string form of values case-insensitively, as the table
+     * does for results held in memory. The global search matches any column.
+     */
+    buildTableQuery(sparql, headers, table) {
+        const contains = (column, text) => `CONTAINS(LCASE(STR(?${column})), ${QueryTemplate.quote(text.toLowerCase())})`;
+        const conditions = Object.entries(table.filters)
+            .filter(([column, text]) => headers.includes(column) && text.trim())
+            .map(([column, text]) => contains(column, text.trim()));
+        if (table.search.trim()) {
+            conditions.push(`(${headers.map(header => contains(header, table.search.trim())).join(' || ')})`);
+        }
+        
+        const sort = table.sort && headers.includes(table.sort.column) ? table.sort : null;
+        if (conditions.length === 0 && !sort) {
+            return sparql;
+        }
+        
+        const { prologue, dataset, body } = this.splitPrologue(sparql);
+        return [
+            prologue,
+            `SELECT ${headers.map(header => `?${header}`).join(' ')}`,
+            dataset,
+            'WHERE {',
+            '{',
+            body,
+            '}',
+            ...conditions.map(condition => `FILTER(${condition})`),
+            '}',
+            sort ? `ORDER BY ${sort.direction === 'desc' ? 'DESC' : 'ASC'}(?${sort.column})` : ''
+        ].filter(Boolean).join('\n');
+    }
+    
+    /**
+     * Find the top-level LIMIT and OFFSET of a query
+     *
+     * Returns their values (limit is null when absent), the text ranges they
+     * occupy and where new modifiers go: before a trailing VALUES block, or at the end.
+     */
+    getSolutionModifiers(sparql) {
+        const tokens = SPARQLParser.tokenize(sparql, { tolerant: true });
+        const modifiers = { limit: null, offset: 0, ranges: [], insertAt: sparql.length };
+        let depth = 0;
+        
+        tokens.forEach((token, index) => {
+            if (token.type === 'PUNCT' && token.value === '{') depth++;
+            if (token.type === 'PUNCT' && token.value === '}') depth--;
+            if (depth !== 0 || token.type !== 'KEYWORD') return;
+            
+            const next = tokens[index + 1];
+            if ((token.upper === 'LIMIT' || token.upper === 'OFFSET') && next && next.type === 'INTEGER') {
+                modifiers[token.upper === 'LIMIT' ? 'limit' : 'offset'] = parseInt(next.value, 10);
+                modifiers.ranges.push([token.start, next.end]);
+            } else if (token.upper === 'VALUES') {
+                modifiers.insertAt = Math.min(modifiers.insertAt, token.start);
+            }
+        });
+        
+        return modifiers;
+    }
+    
+    /**
+     * Replace the top-level LIMIT/OFFSET of a query
+     */
+    rewriteSolutionModifiers(sparql, limit, offset) {
+        const { ranges, insertAt } = this.getSolutionModifiers(sparql);
+        const clause = `LIMIT ${limit}${offset > 0 ? ` OFFSET ${offset}` : ''}`;
+        
+        // Work backwards so earlier positions stay valid; a newline keeps the
+        // clause out of a trailing comment
+        let text = `${sparql.substring(0, insertAt)}\n${clause}\n${sparql.substring(insertAt)}`;
+        [...ranges].reverse().forEach(([start, end]) => {
+            if (start < insertAt) {
+                text = text.substring(0, start) + text.substring(end);
+            }
+        });
+        return text;
+    }
+    
+    /**
+     * Split the PREFIX/BASE declarations and the FROM/FROM NAMED clauses from the rest of a query
+     *
+     * Dataset clauses are not allowed in a subquery, so queries that wrap the
+     * body must repeat them on the outer query instead.
+     */
+    splitPrologue(sparql) {
+        const tokens = SPARQLParser.tokenize(sparql, { tolerant: true });
+        let index = 0;
+        while (tokens[index] && tokens[index].type === 'KEYWORD') {
+            if (tokens[index].upper === 'PREFIX') {
+                index += 3;
+            } else if (tokens[index].upper === 'BASE') {
+                index += 2;
+            } else {
+                break;
+            }
+        }
+        
+        const bodyStart = tokens[index] && tokens[index].type !== 'EOF' ? tokens[index].start : sparql.length;
+        
+        // Dataset clauses sit between the projection and the WHERE clause
+        const ranges = [];
+        for (; tokens[index] && tokens[index].type !== 'EOF'; index++) {
+            const token = tokens[index];
+            if (token.upper === 'WHERE' || token.value === '{') {
+                break;
+            }
+            if (token.upper === 'FROM') {
+                const named = tokens[index + 1] && tokens[index + 1].upper === 'NAMED' ? 1 : 0;
+                const source = tokens[index + 1 + named];
+                if (source && ['IRI', 'PNAME_LN', 'PNAME_NS'].includes(source.type)) {
+                    ranges.push([token.start, source.end]);
+                    index += 1 + named;
+                }
+            }
+        }
+        
+        let body = sparql.substring(bodyStart);
+        [...ranges].reverse().forEach(([start, end]) => {
+            body = body.substring(0, start - bodyStart) + body.substring(end - bodyStart);
+        });
+        return {
+            prologue: sparql.substring(0, bodyStart).trim(),
+            dataset: ranges.map(([start, end]) => sparql.substring(start, end)).join('\n'),
+            body: body
+        };
+    }
+    
+    /**
+     * Ask the backend to abort a running query in GraphDB
+     */
+    async cancelQuery(queryId) {
+        try {
+            const response = await fetch(`${this.apiBase}/query/cancel`, {
+                method: 'POST',
+                headers: this.getHeaders({
+                    'Content-Type': 'application/json',
+                }),
+                body: JSON.stringify({
+                    query_id: queryId,
+                    endpoint: this.config.endpoint,
+                    repository: this.config.repository
+                })
+            });
+            const data = await response.json();
+            return { success: !!data.success };
+        } catch (error) {
+            console.error('Failed to cancel query:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Unique id used to track a query in GraphDB
+     */
+    static createQueryId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return `kgsde-${window.crypto.randomUUID()}`;
+        }
+        return `kgsde-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    }
+    
+    /**
+     * Execute SPARQL Update against the repository statements endpoint
+     *
+     * `graphs` names the graphs whose triple counts are reported before and
+     * after the update (IRIs or DEFAULT).
+     */
+    async update(sparql, graphs = []) {
+        if (!sparql || !sparql.trim()) {
+            throw new Error('SPARQL update cannot be empty');
+        }
+        if (!this.isUpdate(sparql)) {
+            throw new Error('Query must be a SPARQL Update');
+        }
+        
+        const startTime = Date.now();
+        
+        try {
+            console.log('Executing SPARQL update:', sparql);
+            
+            const response = await fetch(`${this.apiBase}/update`, {
+                method: 'POST',
+                headers: this.getHeaders({
+                    'Content-Type': 'application/json',
+                }),
+                body: JSON.stringify({
+                    sparql: this.addMissingPrefixes(sparql.trim()),
+                    endpoint: this.config.endpoint,
+                    repository: this.config.repository,
+                    graphs: graphs
+                })
+            });
+            
+            const data = await response.json();
+            const executionTime = Date.now() - startTime;
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            console.log('Update executed successfully in', executionTime, 'ms');
+            
+            return {
+                success: true,
+                outcome: data.outcome || 'applied',
+                before: data.before,
+                after: data.after,
+                executionTime: executionTime,
+                query: sparql
+            };
+            
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            console.error('Update execution failed:', error);
+            
             return {
                 success: false,
                 error: error.message,
@@ -88,7 +552,7 @@ class SPARQLClient {
      * Execute SELECT query
      */
     async select(sparql) {
-        if (!sparql.trim().toLowerCase().startsWith('select')) {
+        if (this.getQueryType(sparql) !== 'select') {
             throw new Error('Query must be a SELECT query');
         }
         return await this.query(sparql, 'json');
@@ -98,7 +562,7 @@ class SPARQLClient {
      * Execute CONSTRUCT query
      */
     async construct(sparql) {
-        if (!sparql.trim().toLowerCase().startsWith('construct')) {
+        if (this.getQueryType(sparql) !== 'construct') {
             throw new Error('Query must be a CONSTRUCT query');
         }
         return await this.query(sparql, 'json');
@@ -108,7 +572,7 @@ class SPARQLClient {
      * Execute ASK query
      */
     async ask(sparql) {
-        if (!sparql.trim().toLowerCase().startsWith('ask')) {
+        if (this.getQueryType(sparql) !== 'ask') {
             throw new Error('Query must be an ASK query');
         }
         return await this.query(sparql, 'json');
@@ -118,7 +582,7 @@ class SPARQLClient {
      * Execute DESCRIBE query
      */
     async describe(sparql) {
-        if (!sparql.trim().toLowerCase().startsWith('describe')) {
+        if (this.getQueryType(sparql) !== 'describe') {
             throw new Error('Query must be a DESCRIBE query');
         }
         return await this.query(sparql, 'json');
@@ -126,8 +590,11 @@ class SPARQLClient {
     
     /**
      * Test connection to GraphDB
+     *
+     * `credentials` ({username, password}) are tried instead of the session's,
+     * e.g. to check a password before it is saved.
      */
-    async testConnection() {
+    async testConnection(credentials = null) {
         const startTime = Date.now();
         
         try {
@@ -135,14 +602,14 @@ class SPARQLClient {
             
             const response = await fetch(`${this.apiBase}/test-connection`, {
                 method: 'POST',
-                headers: {
+                headers: this.getHeaders({
                     'Content-Type': 'application/json',
-                },
+                }),
                 body: JSON.stringify({
                     endpoint: this.config.endpoint,
                     repository: this.config.repository,
-                    username: this.config.username || undefined,
-                    password: this.config.password || undefined
+                    username: (credentials && credentials.username) || undefined,
+                    password: (credentials && credentials.password) || undefined
                 })
             });
             
@@ -175,13 +642,15 @@ class SPARQLClient {
     }
     
     /**
-     * Get list of available repositories
+     * Get list of available repositories (id, title, readable/writable...)
      */
-    async getRepositories() {
+    async getRepositories(endpoint = this.config.endpoint) {
         try {
             console.log('Fetching available repositories...');
             
-            const response = await fetch(`${this.apiBase}/repositories?endpoint=${encodeURIComponent(this.config.endpoint)}`);
+            const response = await fetch(`${this.apiBase}/repositories?endpoint=${encodeURIComponent(endpoint)}`, {
+                headers: this.getHeaders()
+            });
             const data = await response.json();
             
             if (!response.ok) {
@@ -208,55 +677,196 @@ class SPARQLClient {
     }
     
     /**
-     * Validate SPARQL query syntax (basic validation)
+     * Get namespace prefixes declared in the repository
      */
-    validateQuery(sparql) {
-        if (!sparql || !sparql.trim()) {
-            return { valid: false, error: 'Query cannot be empty' };
+    async getNamespaces() {
+        try {
+            console.log('Fetching repository namespaces...');
+            
+            const params = new URLSearchParams({
+                endpoint: this.config.endpoint,
+                repository: this.config.repository
+            });
+            const response = await fetch(`${this.apiBase}/namespaces?${params}`, { headers: this.getHeaders() });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to fetch namespaces');
+            }
+            
+            return {
+                success: true,
+                namespaces: data.namespaces
+            };
+            
+        } catch (error) {
+            console.error('Failed to fetch namespaces:', error);
+            return {
+                success: false,
+                error: error.message
+            };
         }
-        
-        const trimmed = sparql.trim().toLowerCase();
-        const validPrefixes = ['select', 'construct', 'ask', 'describe', 'insert', 'delete', 'with'];
-        
-        const isValid = validPrefixes.some(prefix => trimmed.startsWith(prefix));
-        
-        if (!isValid) {
-            return { 
-                valid: false, 
-                error: 'Query must start with a valid SPARQL keyword (SELECT, CONSTRUCT, ASK, DESCRIBE, INSERT, DELETE, WITH)' 
+    }
+    
+    /**
+     * Statement, named graph and namespace counts of a repository
+     */
+    async getRepositoryStats(repository = this.config.repository, endpoint = this.config.endpoint) {
+        try {
+            const params = new URLSearchParams({ endpoint: endpoint, repository: repository });
+            const response = await fetch(`${this.apiBase}/repository-stats?${params}`, { headers: this.getHeaders() });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return {
+                success: true,
+                size: data.size,
+                graphs: data.graphs,
+                namespaces: data.namespaces
+            };
+            
+        } catch (error) {
+            console.error('Failed to fetch repository statistics:', error);
+            return {
+                success: false,
+                error: error.message
             };
         }
+    }
+    
+    /**
+     * Get the shared saved-query library from the backend
+     */
+    async getSavedQueries() {
+        try {
+            const response = await fetch(`${this.apiBase}/saved-queries`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return {
+                success: true,
+                queries: Array.isArray(data.queries) ? data.queries : []
+            };
+            
+        } catch (error) {
+            console.error('Failed to fetch saved queries:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Create or replace a saved query in the shared library
+     */
+    async saveSavedQuery(savedQuery) {
+        return this.sendSavedQueries('PUT', `/saved-queries/${encodeURIComponent(savedQuery.id)}`, savedQuery);
+    }
+    
+    /**
+     * Add or replace several saved queries in the shared library
+     */
+    async importSavedQueries(savedQueries) {
+        return this.sendSavedQueries('POST', '/saved-queries/import', { queries: savedQueries });
+    }
+    
+    /**
+     * Remove a saved query from the shared library
+     */
+    async deleteSavedQuery(id) {
+        return this.sendSavedQueries('DELETE', `/saved-queries/${encodeURIComponent(id)}`);
+    }
+    
+    async sendSavedQueries(method, path, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}${path}`, {
+                method: method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.detail || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return { success: true, ...data };
+            
+        } catch (error) {
+            console.error('Saved query request failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Validate SPARQL query syntax
+     *
+     * Returns { valid, error, errors, type }; each entry of `errors` carries
+     * the message with its line, column, offset and length in the query.
+     */
+    validateQuery(sparql) {
+        if (!sparql || !sparql.trim()) {
+            return { valid: false, error: 'Query cannot be empty', errors: [] };
+        }
         
-        // Basic bracket matching
-        const openBrackets = (sparql.match(/\{/g) || []).length;
-        const closeBrackets = (sparql.match(/\}/g) || []).length;
+        // Template placeholders are checked as terms of the same length
+        const result = new SPARQLParser().parse(QueryTemplate.mask(sparql));
         
-        if (openBrackets !== closeBrackets) {
+        if (!result.valid) {
+            const [first] = result.errors;
             return { 
                 valid: false, 
-                error: 'Mismatched curly brackets in query' 
+                error: `Line ${first.line}, column ${first.column}: ${first.message}`,
+                errors: result.errors,
+                type: result.type
             };
         }
         
-        return { valid: true };
+        return { valid: true, errors: [], type: result.type };
     }
     
     /**
-     * Get query type
+     * Get query type (select, construct, ask, describe, update or unknown)
      */
     getQueryType(sparql) {
-        if (!sparql) return 'unknown';
-        
-        const trimmed = sparql.trim().toLowerCase();
-        
-        if (trimmed.startsWith('select')) return 'select';
-        if (trimmed.startsWith('construct')) return 'construct';
-        if (trimmed.startsWith('ask')) return 'ask';
-        if (trimmed.startsWith('describe')) return 'describe';
-        if (trimmed.startsWith('insert')) return 'insert';
-        if (trimmed.startsWith('delete')) return 'delete';
+        return this.getQueryForm(sparql).type;
+    }
+    
+    /**
+     * Detect the query form, skipping comments and the PREFIX/BASE prologue
+     */
+    getQueryForm(sparql) {
+        if (!sparql) return { type: 'unknown', category: null, operations: [] };
         
-        return 'unknown';
+        return SPARQLParser.detectForm(sparql);
+    }
+    
+    /**
+     * Check whether the text is a SPARQL Update request
+     */
+    isUpdate(sparql) {
+        return this.getQueryForm(sparql).category === 'update';
+    }
+    
+    /**
+     * List the graphs an update writes to (IRIs, ?variables, DEFAULT, NAMED or ALL)
+     */
+    getAffectedGraphs(sparql) {
+        return new SPARQLParser().parse(this.addMissingPrefixes(sparql)).graphs;
     }
     
     /**
@@ -272,17 +882,32 @@ class SPARQLClient {
         }
         
         const results = queryResult.results;
-        const queryType = this.getQueryType(queryResult.query);
+        const queryForm = this.getQueryForm(queryResult.query);
+        const queryType = queryForm.type;
         
         // Handle different result formats based on query type
         switch (queryType) {
-            case 'select':
-                return this.formatSelectResults(results, queryResult.executionTime);
+            case 'select': {
+                const formatted = this.formatSelectResults(results, queryResult.executionTime);
+                // Results fetched page by page carry their position
+                if (queryResult.paging) {
+                    formatted.paging = queryResult.paging;
+                }
+                return formatted;
+            }
             case 'ask':
                 return this.formatAskResults(results, queryResult.executionTime);
             case 'construct':
             case 'describe':
                 return this.formatGraphResults(results, queryResult.executionTime);
+            case 'update':
+                return {
+                    success: true,
+                    type: 'update',
+                    operations: queryForm.operations,
+                    data: results,
+                    executionTime: queryResult.executionTime
+                };
             default:
                 return {
                     success: true,
@@ -293,6 +918,45 @@ class SPARQLClient {
         }
     }
     
+    /**
+     * Format SPARQL Update results with before/after triple counts
+     */
+    formatUpdateResults(updateResult, graphs = []) {
+        if (!updateResult.success) {
+            return {
+                success: false,
+                error: updateResult.error,
+                executionTime: updateResult.executionTime
+            };
+        }
+        
+        const { before, after } = updateResult;
+        const counts = [];
+        
+        if (before && after) {
+            counts.push({ graph: 'Repository total', before: before.total, after: after.total });
+            graphs.forEach(graph => {
+                if (graph in before.graphs && graph in after.graphs) {
+                    counts.push({
+                        graph: SPARQLParser.describeGraph(graph),
+                        before: before.graphs[graph],
+                        after: after.graphs[graph]
+                    });
+                }
+            });
+        }
+        
+        return {
+            success: true,
+            type: 'update',
+            outcome: updateResult.outcome,
+            operations: this.getQueryForm(updateResult.query).operations,
+            graphs: graphs,
+            counts: counts,
+            executionTime: updateResult.executionTime
+        };
+    }
+    
     /**
      * Format SELECT query results
      */
@@ -311,11 +975,11 @@ class SPARQLClient {
         const bindings = results.results.bindings;
         const headers = results.head.vars || [];
         
+        // Rows keep the RDF terms; unbound variables are null
         const rows = bindings.map(binding => {
             const row = {};
             headers.forEach(header => {
-                const value = binding[header];
-                row[header] = value ? value.value : '';
+                row[header] = binding[header] ? this.normalizeTerm(binding[header]) : null;
             });
             return row;
         });
@@ -331,6 +995,24 @@ class SPARQLClient {
         };
     }
     
+    /**
+     * Copy a SPARQL JSON term as { type, value, datatype?, xml:lang? }
+     *
+     * The SPARQL 1.0 'typed-literal' type becomes a plain literal.
+     */
+    normalizeTerm(term) {
+        const normalized = {
+            type: term.type === 'typed-literal' ? 'literal' : term.type,
+            value: term.value
+        };
+        if (term['xml:lang']) {
+            normalized['xml:lang'] = term['xml:lang'];
+        } else if (term.datatype) {
+            normalized.datatype = term.datatype;
+        }
+        return normalized;
+    }
+    
     /**
      * Format ASK query results
      */
@@ -348,16 +1030,76 @@ class SPARQLClient {
      * Format CONSTRUCT/DESCRIBE query results
      */
     formatGraphResults(results, executionTime) {
+        const triples = this.normalizeTriples(results);
+        
         return {
             success: true,
             type: 'graph',
-            triples: results,
-            count: Array.isArray(results) ? results.length : 0,
+            triples: triples,
+            count: triples.length,
             executionTime: executionTime,
             raw: results
         };
     }
+    
+    /**
+     * Convert graph results into a flat list of { subject, predicate, object } terms
+     *
+     * Accepts RDF/JSON (GraphDB's JSON answer to CONSTRUCT/DESCRIBE) as well as
+     * SPARQL JSON results with ?s ?p ?o / ?subject ?predicate ?object bindings.
+     */
+    normalizeTriples(results) {
+        if (!results) return [];
+        
+        if (Array.isArray(results)) {
+            return results.filter(triple => triple && triple.subject && triple.predicate && triple.object);
+        }
+        
+        if (results.results && Array.isArray(results.results.bindings)) {
+            return results.results.bindings
+                .map(binding => ({
+                    subject: binding.s || binding.subject,
+                    predicate: binding.p || binding.predicate,
+                    object: binding.o || binding.object
+                }))
+                .filter(triple => triple.subject && triple.predicate && triple.object);
+        }
+        
+        const triples = [];
+        Object.entries(results).forEach(([subject, predicates]) => {
+            if (!predicates || typeof predicates !== 'object') return;
+            
+            const subjectTerm = subject.startsWith('_:')
+                ? { type: 'bnode', value: subject.substring(2) }
+                : { type: 'uri', value: subject };
+            
+            Object.entries(predicates).forEach(([predicate, objects]) => {
+                (Array.isArray(objects) ? objects : []).forEach(object => {
+                    const objectTerm = { ...object };
+                    if (objectTerm.type === 'bnode' && objectTerm.value.startsWith('_:')) {
+                        objectTerm.value = objectTerm.value.substring(2);
+                    }
+                    triples.push({
+                        subject: subjectTerm,
+                        predicate: { type: 'uri', value: predicate },
+                        object: objectTerm
+                    });
+                });
+            });
+        });
+        
+        return triples;
+    }
 }
 
+// RDF formats graph results can be exported in, as accepted by /api/query
+SPARQLClient.RDF_FORMATS = {
+    turtle: { label: 'Turtle', extension: 'ttl', mimeType: 'text/turtle' },
+    trig: { label: 'TriG', extension: 'trig', mimeType: 'application/trig' },
+    ntriples: { label: 'N-Triples', extension: 'nt', mimeType: 'application/n-triples' },
+    jsonld: { label: 'JSON-LD', extension: 'jsonld', mimeType: 'application/ld+json' },
+    rdfxml: { label: 'RDF/XML', extension: 'rdf', mimeType: 'application/rdf+xml' }
+};
+
 // Export for use in other modules
 window.SPARQLClient = SPARQLClient; 
\ No newline at end of file
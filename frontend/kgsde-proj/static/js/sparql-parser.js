@@ -0,0 +1,1398 @@
+// SPARQL Parser for GraphDB Query Frontend
+// Recursive-descent validator for the SPARQL 1.1 Query and Update grammars
+// (https://www.w3.org/TR/sparql11-query/#grammar). It does not build a full
+// syntax tree; it reports the first syntax error with its line and column and
+// collects a few facts about the query (form, declared and used prefixes).
+
+class SPARQLSyntaxError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'SPARQLSyntaxError';
+        this.line = token.line;
+        this.column = token.column;
+        this.offset = token.start;
+        this.length = Math.max(1, token.end - token.start);
+    }
+
+    toJSON() {
+        return {
+            message: this.message,
+            line: this.line,
+            column: this.column,
+            offset: this.offset,
+            length: this.length
+        };
+    }
+}
+
+// Terminals of the SPARQL grammar
+const SPARQL_PN_CHARS_BASE = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+const SPARQL_PN_CHARS_U = `${SPARQL_PN_CHARS_BASE}_`;
+const SPARQL_PN_CHARS = `${SPARQL_PN_CHARS_U}\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const SPARQL_PLX = '%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&\'()*+,;=/?#@%]';
+
+const SPARQL_TERMINALS = {
+    IRIREF: /^<([^<>"{}|^`\\\u0000- ])*>/,
+    PNAME: new RegExp(
+        `^((?:[${SPARQL_PN_CHARS_BASE}](?:[${SPARQL_PN_CHARS}.]*[${SPARQL_PN_CHARS}])?)?):` +
+        `((?:[${SPARQL_PN_CHARS_U}:0-9]|${SPARQL_PLX})(?:(?:[${SPARQL_PN_CHARS}.:]|${SPARQL_PLX})*(?:[${SPARQL_PN_CHARS}:]|${SPARQL_PLX}))?)?`
+    ),
+    BLANK_NODE_LABEL: new RegExp(`^_:[${SPARQL_PN_CHARS_U}0-9](?:[${SPARQL_PN_CHARS}.]*[${SPARQL_PN_CHARS}])?`),
+    VAR: new RegExp(`^[?$][${SPARQL_PN_CHARS_U}0-9][${SPARQL_PN_CHARS_U}0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*`),
+    LANGTAG: /^@[a-zA-Z]+(-[a-zA-Z0-9]+)*/,
+    DOUBLE: /^(\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+)/,
+    DECIMAL: /^\d*\.\d+/,
+    INTEGER: /^\d+/,
+    STRING_LONG1: /^'''(('|'')?([^'\\]|\\[tbnrf\\"']|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8}))*'''/,
+    STRING_LONG2: /^"""(("|"")?([^"\\]|\\[tbnrf\\"']|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8}))*"""/,
+    STRING1: /^'([^'\\\n\r]|\\[tbnrf\\"']|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*'/,
+    STRING2: /^"([^"\\\n\r]|\\[tbnrf\\"']|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*"/,
+    WORD: /^[A-Za-z_][A-Za-z0-9_]*/,
+    PUNCT: /^(\^\^|&&|\|\||!=|<=|>=|[{}()[\].,;*=<>!+\-/^|?])/
+};
+
+class SPARQLParser {
+    /**
+     * Split SPARQL text into tokens, skipping whitespace and comments
+     *
+     * In tolerant mode unknown characters are skipped and an unterminated
+     * string runs to the end of its line instead of throwing.
+     */
+    static tokenize(text, options = {}) {
+        const tokens = [];
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        const position = (offset) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+
+        const push = (type, value, start) => {
+            tokens.push({
+                type: type,
+                value: value,
+                upper: value.toUpperCase(),
+                start: start,
+                end: start + value.length,
+                ...position(start)
+            });
+        };
+
+        let offset = 0;
+        while (offset < text.length) {
+            const rest = text.substring(offset);
+
+            const whitespace = rest.match(/^\s+/);
+            if (whitespace) {
+                offset += whitespace[0].length;
+                continue;
+            }
+
+            if (rest[0] === '#') {
+                const newline = rest.indexOf('\n');
+                offset += newline === -1 ? rest.length : newline;
+                continue;
+            }
+
+            let match;
+            if (rest[0] === '<' && (match = rest.match(SPARQL_TERMINALS.IRIREF))) {
+                push('IRI', match[0], offset);
+            } else if (rest.startsWith('_:') && (match = rest.match(SPARQL_TERMINALS.BLANK_NODE_LABEL))) {
+                push('BNODE', match[0], offset);
+            } else if ((match = rest.match(SPARQL_TERMINALS.PNAME))) {
+                push(match[2] ? 'PNAME_LN' : 'PNAME_NS', match[0], offset);
+            } else if ((rest[0] === '?' || rest[0] === '$') && (match = rest.match(SPARQL_TERMINALS.VAR))) {
+                push('VAR', match[0], offset);
+            } else if (rest[0] === '@' && (match = rest.match(SPARQL_TERMINALS.LANGTAG))) {
+                push('LANGTAG', match[0], offset);
+            } else if ((match = rest.match(SPARQL_TERMINALS.DOUBLE))) {
+                push('DOUBLE', match[0], offset);
+            } else if ((match = rest.match(SPARQL_TERMINALS.DECIMAL))) {
+                push('DECIMAL', match[0], offset);
+            } else if ((match = rest.match(SPARQL_TERMINALS.INTEGER))) {
+                push('INTEGER', match[0], offset);
+            } else if (rest[0] === '"' || rest[0] === '\'') {
+                match = rest.match(SPARQL_TERMINALS.STRING_LONG1) || rest.match(SPARQL_TERMINALS.STRING_LONG2) ||
+                    rest.match(SPARQL_TERMINALS.STRING1) || rest.match(SPARQL_TERMINALS.STRING2);
+                if (!match) {
+                    if (options.tolerant) {
+                        push('STRING', rest.split('\n')[0], offset);
+                        offset = tokens[tokens.length - 1].end;
+                        continue;
+                    }
+                    const token = { start: offset, end: offset + 1, ...position(offset) };
+                    throw new SPARQLSyntaxError('Unterminated string literal', token);
+                }
+                push('STRING', match[0], offset);
+            } else if ((match = rest.match(SPARQL_TERMINALS.WORD))) {
+                push('KEYWORD', match[0], offset);
+            } else if (options.tolerant && !SPARQL_TERMINALS.PUNCT.test(rest)) {
+                offset++;
+                continue;
+            } else if (rest[0] === '<' && !options.tolerant && /^<[A-Za-z][\w+.-]*:[^<>\n]*>/.test(rest)) {
+                const token = { start: offset, end: offset + rest.indexOf('>') + 1, ...position(offset) };
+                throw new SPARQLSyntaxError('Invalid IRI: IRIs may not contain spaces or the characters <>"{}|^`\\', token);
+            } else if ((match = rest.match(SPARQL_TERMINALS.PUNCT))) {
+                push('PUNCT', match[0], offset);
+            } else {
+                const token = { start: offset, end: offset + 1, ...position(offset) };
+                throw new SPARQLSyntaxError(`Unexpected character '${rest[0]}'`, token);
+            }
+
+            offset = tokens[tokens.length - 1].end;
+        }
+
+        tokens.push({ type: 'EOF', value: '', upper: '', start: text.length, end: text.length, ...position(text.length) });
+        return tokens;
+    }
+
+    /**
+     * Detect the query form without requiring the text to be valid
+     *
+     * Skips comments and the PREFIX/BASE prologue. Returns { type, category,
+     * operations } where `type` is select, construct, ask, describe, update or
+     * unknown, and `operations` lists the update operations in order.
+     */
+    static detectForm(text) {
+        const tokens = SPARQLParser.tokenize(text || '', { tolerant: true });
+        const form = { type: 'unknown', category: null, operations: [] };
+
+        let depth = 0;
+        let expectOperation = true;
+
+        for (let i = 0; i < tokens.length && tokens[i].type !== 'EOF'; i++) {
+            const token = tokens[i];
+
+            if (!expectOperation || depth > 0) {
+                if (token.type !== 'PUNCT') continue;
+                if (token.value === '{') depth++;
+                if (token.value === '}') depth = Math.max(0, depth - 1);
+
+                // Update requests separate their operations with ';'
+                if (token.value === ';' && depth === 0 && form.category === 'update') {
+                    expectOperation = true;
+                }
+                continue;
+            }
+
+            if (token.type === 'KEYWORD' && (token.upper === 'BASE' || token.upper === 'PREFIX')) {
+                const skip = token.upper === 'PREFIX' ? ['PNAME_NS', 'IRI'] : ['IRI'];
+                skip.forEach(type => {
+                    if (tokens[i + 1].type === type) i++;
+                });
+                continue;
+            }
+
+            expectOperation = false;
+
+            if (form.category === null && token.type === 'KEYWORD' && SPARQLParser.queryForms.includes(token.upper)) {
+                form.type = token.upper.toLowerCase();
+                form.category = 'query';
+                break;
+            }
+
+            const operation = SPARQLParser.getUpdateOperation(token, tokens[i + 1]);
+            if (!operation) {
+                if (form.category === null) break;
+                continue;
+            }
+
+            form.type = 'update';
+            form.category = 'update';
+            form.operations.push(operation);
+        }
+
+        return form;
+    }
+
+    /**
+     * Name the update operation starting at `token`, or null
+     */
+    static getUpdateOperation(token, nextToken) {
+        if (token.type !== 'KEYWORD') return null;
+
+        const next = nextToken && nextToken.type === 'KEYWORD' ? nextToken.upper : '';
+        switch (token.upper) {
+            case 'LOAD':
+            case 'CLEAR':
+            case 'DROP':
+            case 'CREATE':
+            case 'ADD':
+            case 'MOVE':
+            case 'COPY':
+                return token.upper.toLowerCase();
+            case 'INSERT':
+                return next === 'DATA' ? 'insert-data' : 'insert';
+            case 'DELETE':
+                if (next === 'DATA') return 'delete-data';
+                if (next === 'WHERE') return 'delete-where';
+                return 'delete';
+            case 'WITH':
+                return 'modify';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse a query or update
+     *
+     * Returns { valid, errors, type, prefixes, usedPrefixes, graphs }; `errors`
+     * holds { message, line, column, offset, length } objects and `graphs` the
+     * graphs an update writes to (IRIs, ?variables, DEFAULT, NAMED or ALL).
+     */
+    parse(text) {
+        this.info = {
+            type: null,
+            prefixes: {},
+            base: null,
+            usedPrefixes: new Set(),
+            graphs: new Set()
+        };
+
+        try {
+            this.tokens = SPARQLParser.tokenize(text);
+            this.index = 0;
+            this.allowVariables = true;
+            this.allowBlankNodes = true;
+            this.withGraph = null;
+            this.parseUnit();
+
+            return {
+                valid: true,
+                errors: [],
+                ...this.getInfo()
+            };
+        } catch (error) {
+            if (!(error instanceof SPARQLSyntaxError)) throw error;
+
+            // Report errors at the end of the text on the last real token
+            if (this.tokens && error.offset >= text.length && this.tokens.length > 1) {
+                const last = this.tokens[this.tokens.length - 2];
+                error.line = last.line;
+                error.column = last.column;
+                error.offset = last.start;
+                error.length = last.end - last.start;
+            }
+
+            return {
+                valid: false,
+                errors: [error.toJSON()],
+                ...this.getInfo()
+            };
+        }
+    }
+
+    getInfo() {
+        return {
+            type: this.info.type,
+            prefixes: this.info.prefixes,
+            base: this.info.base,
+            usedPrefixes: [...this.info.usedPrefixes],
+            graphs: [...this.info.graphs]
+        };
+    }
+
+    // Token helpers
+    peek(ahead = 0) {
+        return this.tokens[Math.min(this.index + ahead, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'EOF') this.index++;
+        return token;
+    }
+
+    isPunct(value, token = this.peek()) {
+        return token.type === 'PUNCT' && token.value === value;
+    }
+
+    isKeyword(word, token = this.peek()) {
+        return token.type === 'KEYWORD' && token.upper === word;
+    }
+
+    acceptPunct(value) {
+        if (this.isPunct(value)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    acceptKeyword(word) {
+        if (this.isKeyword(word)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expectPunct(value, context = '') {
+        if (!this.isPunct(value)) {
+            this.fail(`Expected '${value}'${context}`);
+        }
+        return this.next();
+    }
+
+    expectKeyword(word, context = '') {
+        if (!this.isKeyword(word)) {
+            this.fail(`Expected ${word}${context}`);
+        }
+        return this.next();
+    }
+
+    describe(token) {
+        if (token.type === 'EOF') return 'end of query';
+        const text = token.value.length > 30 ? `${token.value.substring(0, 30)}...` : token.value;
+        return `'${text}'`;
+    }
+
+    fail(expected, token = this.peek()) {
+        throw new SPARQLSyntaxError(`${expected} but found ${this.describe(token)}`, token);
+    }
+
+    // Units
+    parseUnit() {
+        this.parsePrologue();
+
+        const token = this.peek();
+        if (SPARQLParser.queryForms.some(word => this.isKeyword(word, token))) {
+            this.parseQuery();
+        } else if (token.type === 'EOF') {
+            this.fail('Expected SELECT, CONSTRUCT, DESCRIBE, ASK or an update operation');
+        } else {
+            this.parseUpdate();
+        }
+
+        if (this.peek().type !== 'EOF') {
+            this.fail(this.info.type === 'update' ? "Expected ';' between update operations" : 'Expected end of query');
+        }
+    }
+
+    parsePrologue() {
+        for (;;) {
+            if (this.acceptKeyword('BASE')) {
+                const iri = this.peek();
+                if (iri.type !== 'IRI') this.fail('Expected an IRI after BASE');
+                this.info.base = this.next().value.slice(1, -1);
+            } else if (this.acceptKeyword('PREFIX')) {
+                const prefix = this.peek();
+                if (prefix.type !== 'PNAME_NS') this.fail("Expected a prefix name ending in ':' after PREFIX");
+                this.next();
+                const iri = this.peek();
+                if (iri.type !== 'IRI') this.fail(`Expected an IRI for prefix '${prefix.value}'`);
+                this.next();
+                this.info.prefixes[prefix.value.slice(0, -1)] = iri.value.slice(1, -1);
+            } else {
+                return;
+            }
+        }
+    }
+
+    parseQuery() {
+        const form = this.next().upper;
+        this.info.type = form.toLowerCase();
+
+        switch (form) {
+            case 'SELECT':
+                this.index--;
+                this.parseSelectClause();
+                this.parseDatasetClauses();
+                this.parseWhereClause();
+                this.parseSolutionModifier();
+                break;
+            case 'CONSTRUCT':
+                if (this.isPunct('{')) {
+                    this.parseConstructTemplate();
+                    this.parseDatasetClauses();
+                    this.parseWhereClause();
+                } else {
+                    this.parseDatasetClauses();
+                    this.expectKeyword('WHERE', ' or a construct template');
+                    this.expectPunct('{');
+                    this.parseTriplesTemplate('}');
+                    this.expectPunct('}');
+                }
+                this.parseSolutionModifier();
+                break;
+            case 'DESCRIBE':
+                if (!this.acceptPunct('*')) {
+                    if (!this.isVarOrIri()) this.fail("Expected a variable, an IRI or '*' after DESCRIBE");
+                    while (this.isVarOrIri()) this.parseVarOrIri();
+                }
+                this.parseDatasetClauses();
+                if (this.isKeyword('WHERE') || this.isPunct('{')) {
+                    this.parseWhereClause();
+                }
+                this.parseSolutionModifier();
+                break;
+            case 'ASK':
+                this.parseDatasetClauses();
+                this.parseWhereClause();
+                this.parseSolutionModifier();
+                break;
+        }
+
+        this.parseValuesClause();
+    }
+
+    parseSelectClause() {
+        this.expectKeyword('SELECT');
+        if (!this.acceptKeyword('DISTINCT')) this.acceptKeyword('REDUCED');
+
+        if (this.acceptPunct('*')) return;
+
+        let count = 0;
+        for (;;) {
+            if (this.peek().type === 'VAR') {
+                this.next();
+            } else if (this.acceptPunct('(')) {
+                this.parseExpression();
+                this.expectKeyword('AS', ' in projection expression');
+                this.expectVar();
+                this.expectPunct(')');
+            } else {
+                break;
+            }
+            count++;
+        }
+
+        if (count === 0) {
+            this.fail("Expected variables, '(expression AS ?var)' or '*' after SELECT");
+        }
+    }
+
+    parseDatasetClauses() {
+        while (this.acceptKeyword('FROM')) {
+            this.acceptKeyword('NAMED');
+            this.parseIri('Expected a graph IRI after FROM');
+        }
+    }
+
+    parseWhereClause() {
+        this.acceptKeyword('WHERE');
+        if (!this.isPunct('{')) this.fail("Expected '{' to start the WHERE clause");
+        this.parseGroupGraphPattern();
+    }
+
+    parseSolutionModifier() {
+        if (this.acceptKeyword('GROUP')) {
+            this.expectKeyword('BY', ' after GROUP');
+            if (!this.parseGroupCondition()) this.fail('Expected a grouping condition after GROUP BY');
+            while (this.parseGroupCondition()) { /* more conditions */ }
+        }
+
+        if (this.acceptKeyword('HAVING')) {
+            if (!this.isConstraintStart()) this.fail('Expected a constraint after HAVING');
+            while (this.isConstraintStart()) this.parseConstraint();
+        }
+
+        if (this.acceptKeyword('ORDER')) {
+            this.expectKeyword('BY', ' after ORDER');
+            if (!this.parseOrderCondition()) this.fail('Expected an ordering condition after ORDER BY');
+            while (this.parseOrderCondition()) { /* more conditions */ }
+        }
+
+        if (this.acceptKeyword('LIMIT')) {
+            this.expectInteger('LIMIT');
+            if (this.acceptKeyword('OFFSET')) this.expectInteger('OFFSET');
+        } else if (this.acceptKeyword('OFFSET')) {
+            this.expectInteger('OFFSET');
+            if (this.acceptKeyword('LIMIT')) this.expectInteger('LIMIT');
+        }
+    }
+
+    parseGroupCondition() {
+        const token = this.peek();
+        if (token.type === 'VAR') {
+            this.next();
+        } else if (this.isPunct('(')) {
+            this.next();
+            this.parseExpression();
+            if (this.acceptKeyword('AS')) this.expectVar();
+            this.expectPunct(')');
+        } else if (this.isBuiltInStart() || this.isIriToken(token)) {
+            this.parseConstraint();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    parseOrderCondition() {
+        if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+            this.next();
+            if (!this.isPunct('(')) this.fail('Expected a bracketed expression after ASC/DESC');
+            this.parseBrackettedExpression();
+        } else if (this.peek().type === 'VAR') {
+            this.next();
+        } else if (this.isConstraintStart()) {
+            this.parseConstraint();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    expectInteger(clause) {
+        if (this.peek().type !== 'INTEGER') this.fail(`Expected an integer after ${clause}`);
+        return this.next();
+    }
+
+    parseValuesClause() {
+        if (this.acceptKeyword('VALUES')) {
+            this.parseDataBlock();
+        }
+    }
+
+    // Update
+    parseUpdate() {
+        this.info.type = 'update';
+
+        for (;;) {
+            this.parseUpdateOperation();
+
+            if (!this.acceptPunct(';')) return;
+
+            this.parsePrologue();
+            if (this.peek().type === 'EOF') return;
+        }
+    }
+
+    parseUpdateOperation() {
+        const token = this.peek();
+        if (token.type !== 'KEYWORD') {
+            this.fail('Expected SELECT, CONSTRUCT, DESCRIBE, ASK or an update operation');
+        }
+
+        switch (token.upper) {
+            case 'LOAD':
+                this.next();
+                this.acceptKeyword('SILENT');
+                this.parseIri('Expected a document IRI after LOAD');
+                this.addGraph(this.acceptKeyword('INTO') ? this.parseGraphRef() : 'DEFAULT');
+                break;
+            case 'CLEAR':
+            case 'DROP':
+                this.next();
+                this.acceptKeyword('SILENT');
+                this.addGraph(this.parseGraphRefAll());
+                break;
+            case 'CREATE':
+                this.next();
+                this.acceptKeyword('SILENT');
+                this.addGraph(this.parseGraphRef());
+                break;
+            case 'ADD':
+            case 'MOVE':
+            case 'COPY': {
+                this.next();
+                this.acceptKeyword('SILENT');
+                const source = this.parseGraphOrDefault();
+                this.expectKeyword('TO', ` in ${token.upper}`);
+                this.addGraph(this.parseGraphOrDefault());
+                // MOVE also empties its source
+                if (token.upper === 'MOVE') this.addGraph(source);
+                break;
+            }
+            case 'INSERT':
+                if (this.isKeyword('DATA', this.peek(1))) {
+                    this.next();
+                    this.next();
+                    this.parseQuadData('INSERT DATA');
+                } else {
+                    this.parseModify();
+                }
+                break;
+            case 'DELETE':
+                if (this.isKeyword('DATA', this.peek(1))) {
+                    this.next();
+                    this.next();
+                    this.parseQuadData('DELETE DATA');
+                } else if (this.isKeyword('WHERE', this.peek(1))) {
+                    this.next();
+                    this.next();
+                    this.withoutBlankNodes(() => this.parseQuadPattern(), 'DELETE WHERE');
+                } else {
+                    this.parseModify();
+                }
+                break;
+            case 'WITH':
+                this.parseModify();
+                break;
+            default:
+                this.fail('Expected SELECT, CONSTRUCT, DESCRIBE, ASK or an update operation');
+        }
+    }
+
+    parseModify() {
+        this.withGraph = null;
+        if (this.acceptKeyword('WITH')) {
+            this.withGraph = this.resolveIri(this.parseIri('Expected a graph IRI after WITH'));
+        }
+
+        if (this.acceptKeyword('DELETE')) {
+            this.withoutBlankNodes(() => this.parseQuadPattern(), 'DELETE');
+            if (this.acceptKeyword('INSERT')) this.parseQuadPattern();
+        } else if (this.acceptKeyword('INSERT')) {
+            this.parseQuadPattern();
+        } else {
+            this.fail('Expected DELETE or INSERT');
+        }
+
+        while (this.acceptKeyword('USING')) {
+            this.acceptKeyword('NAMED');
+            this.parseIri('Expected a graph IRI after USING');
+        }
+
+        this.expectKeyword('WHERE', ' after the update template');
+        if (!this.isPunct('{')) this.fail("Expected '{' to start the WHERE clause");
+        this.parseGroupGraphPattern();
+        this.withGraph = null;
+    }
+
+    parseQuadData(operation) {
+        const previous = this.allowVariables;
+        this.allowVariables = false;
+        this.dataOperation = operation;
+
+        if (operation === 'DELETE DATA') {
+            this.withoutBlankNodes(() => this.parseQuadPattern(), operation);
+        } else {
+            this.parseQuadPattern();
+        }
+
+        this.allowVariables = previous;
+    }
+
+    withoutBlankNodes(parse, operation) {
+        const previous = this.allowBlankNodes;
+        this.allowBlankNodes = false;
+        this.blankNodeOperation = operation;
+        parse();
+        this.allowBlankNodes = previous;
+    }
+
+    parseQuadPattern() {
+        this.expectPunct('{');
+
+        for (;;) {
+            if (this.isPunct('}')) break;
+
+            if (this.acceptKeyword('GRAPH')) {
+                const graph = this.parseVarOrIri('Expected a graph name after GRAPH');
+                this.addGraph(graph.type === 'VAR' ? graph.value : this.resolveIri(graph));
+                this.expectPunct('{');
+                this.parseTriplesTemplate('}');
+                this.expectPunct('}');
+                this.acceptPunct('.');
+            } else if (this.isTriplesStart()) {
+                this.addGraph(this.withGraph || 'DEFAULT');
+                this.parseTriplesTemplate('}', true);
+            } else {
+                this.fail("Expected a triple, GRAPH or '}'");
+            }
+        }
+
+        this.expectPunct('}');
+    }
+
+    parseGraphRef() {
+        this.expectKeyword('GRAPH');
+        return this.resolveIri(this.parseIri('Expected a graph IRI after GRAPH'));
+    }
+
+    parseGraphRefAll() {
+        const keyword = ['DEFAULT', 'NAMED', 'ALL'].find(word => this.isKeyword(word));
+        if (keyword) {
+            this.next();
+            return keyword;
+        }
+        if (!this.isKeyword('GRAPH')) this.fail('Expected GRAPH <iri>, DEFAULT, NAMED or ALL');
+        return this.parseGraphRef();
+    }
+
+    parseGraphOrDefault() {
+        if (this.acceptKeyword('DEFAULT')) return 'DEFAULT';
+        this.acceptKeyword('GRAPH');
+        return this.resolveIri(this.parseIri('Expected a graph IRI or DEFAULT'));
+    }
+
+    addGraph(graph) {
+        this.info.graphs.add(graph);
+    }
+
+    /**
+     * Expand an IRI or prefixed-name token with the declared prefixes
+     */
+    resolveIri(token) {
+        if (token.type === 'IRI') {
+            const iri = token.value.slice(1, -1);
+            if (this.info.base && !/^[a-z][a-z0-9+.-]*:/i.test(iri)) {
+                try {
+                    return new URL(iri, this.info.base).href;
+                } catch (error) {
+                    return iri;
+                }
+            }
+            return iri;
+        }
+
+        const separator = token.value.indexOf(':');
+        const prefix = token.value.substring(0, separator);
+        const localName = token.value.substring(separator + 1).replace(/\\(.)/g, '$1');
+        const namespace = this.info.prefixes[prefix];
+        return namespace !== undefined ? namespace + localName : token.value;
+    }
+
+    // Graph patterns
+    parseGroupGraphPattern() {
+        this.expectPunct('{');
+
+        if (this.isKeyword('SELECT')) {
+            this.parseSubSelect();
+            this.expectPunct('}', ' after sub-select');
+            return;
+        }
+
+        let needsSeparator = false;
+        for (;;) {
+            const token = this.peek();
+
+            if (this.isPunct('}', token)) break;
+
+            if (this.isTriplesStart(token)) {
+                if (needsSeparator) this.fail("Expected '.' between triple patterns");
+                needsSeparator = !this.parseTriplesBlock();
+            } else if (this.isGraphPatternNotTriplesStart(token)) {
+                this.parseGraphPatternNotTriples();
+                this.acceptPunct('.');
+                needsSeparator = false;
+            } else if (needsSeparator) {
+                this.fail("Expected '.', ';', ',' or '}' after triple pattern");
+            } else {
+                this.fail("Expected a triple pattern, FILTER, OPTIONAL, UNION, MINUS, BIND, VALUES, GRAPH, SERVICE or '}'");
+            }
+        }
+
+        this.expectPunct('}');
+    }
+
+    parseSubSelect() {
+        this.parseSelectClause();
+        this.parseWhereClause();
+        this.parseSolutionModifier();
+        this.parseValuesClause();
+    }
+
+    /**
+     * Parse triples separated by '.'; returns true when the block ended with '.'
+     */
+    parseTriplesBlock() {
+        for (;;) {
+            this.parseTriplesSameSubject(true);
+            if (!this.acceptPunct('.')) return false;
+            if (!this.isTriplesStart()) return true;
+        }
+    }
+
+    parseTriplesTemplate(closing, allowTrailingPatterns = false) {
+        let needsSeparator = false;
+        while (this.isTriplesStart()) {
+            if (needsSeparator) this.fail("Expected '.' between triples");
+            this.parseTriplesSameSubject(false);
+            needsSeparator = !this.acceptPunct('.');
+        }
+
+        if (!this.isPunct(closing) && !(allowTrailingPatterns && this.isKeyword('GRAPH'))) {
+            this.fail(needsSeparator ? `Expected '.', ';', ',' or '${closing}' after triple` : `Expected a triple or '${closing}'`);
+        }
+    }
+
+    parseConstructTemplate() {
+        this.expectPunct('{');
+        this.parseTriplesTemplate('}');
+        this.expectPunct('}');
+    }
+
+    isGraphPatternNotTriplesStart(token = this.peek()) {
+        return this.isPunct('{', token) ||
+            ['OPTIONAL', 'MINUS', 'GRAPH', 'SERVICE', 'FILTER', 'BIND', 'VALUES'].some(word => this.isKeyword(word, token));
+    }
+
+    parseGraphPatternNotTriples() {
+        const token = this.peek();
+
+        if (this.isPunct('{', token)) {
+            this.parseGroupGraphPattern();
+            while (this.acceptKeyword('UNION')) {
+                if (!this.isPunct('{')) this.fail("Expected '{' after UNION");
+                this.parseGroupGraphPattern();
+            }
+            return;
+        }
+
+        switch (token.upper) {
+            case 'OPTIONAL':
+            case 'MINUS':
+                this.next();
+                if (!this.isPunct('{')) this.fail(`Expected '{' after ${token.upper}`);
+                this.parseGroupGraphPattern();
+                break;
+            case 'GRAPH':
+                this.next();
+                this.parseVarOrIri('Expected a variable or IRI after GRAPH');
+                this.parseGroupGraphPattern();
+                break;
+            case 'SERVICE':
+                this.next();
+                this.acceptKeyword('SILENT');
+                this.parseVarOrIri('Expected a variable or IRI after SERVICE');
+                this.parseGroupGraphPattern();
+                break;
+            case 'FILTER':
+                this.next();
+                if (!this.isConstraintStart()) this.fail("Expected '(', a built-in call or a function call after FILTER");
+                this.parseConstraint();
+                break;
+            case 'BIND':
+                this.next();
+                this.expectPunct('(', ' after BIND');
+                this.parseExpression();
+                this.expectKeyword('AS', ' in BIND');
+                this.expectVar();
+                this.expectPunct(')');
+                break;
+            case 'VALUES':
+                this.next();
+                this.parseDataBlock();
+                break;
+        }
+    }
+
+    parseDataBlock() {
+        if (this.peek().type === 'VAR') {
+            this.next();
+            this.expectPunct('{');
+            while (!this.isPunct('}')) this.parseDataBlockValue();
+            this.expectPunct('}');
+            return;
+        }
+
+        this.expectPunct('(', ' or a variable after VALUES');
+        let variables = 0;
+        while (this.peek().type === 'VAR') {
+            this.next();
+            variables++;
+        }
+        this.expectPunct(')');
+
+        this.expectPunct('{');
+        while (this.isPunct('(')) {
+            const open = this.next();
+            let values = 0;
+            while (!this.isPunct(')')) {
+                this.parseDataBlockValue();
+                values++;
+            }
+            this.next();
+            if (values !== variables) {
+                throw new SPARQLSyntaxError(`VALUES row has ${values} value${values !== 1 ? 's' : ''} but ${variables} variable${variables !== 1 ? 's' : ''}`, open);
+            }
+        }
+        this.expectPunct('}', ' or a row of values');
+    }
+
+    parseDataBlockValue() {
+        const token = this.peek();
+        if (this.acceptKeyword('UNDEF')) return;
+        if (this.isIriToken(token)) return this.parseIri();
+        if (token.type === 'STRING') return this.parseRDFLiteral();
+        if (this.isNumericStart(token)) return this.parseNumericLiteral();
+        if (this.isKeyword('TRUE', token) || this.isKeyword('FALSE', token)) return this.next();
+        this.fail('Expected an IRI, a literal or UNDEF');
+    }
+
+    // Triples
+    isTriplesStart(token = this.peek()) {
+        return ['VAR', 'IRI', 'PNAME_LN', 'PNAME_NS', 'STRING', 'INTEGER', 'DECIMAL', 'DOUBLE', 'BNODE'].includes(token.type) ||
+            this.isPunct('[', token) || this.isPunct('(', token) ||
+            this.isKeyword('TRUE', token) || this.isKeyword('FALSE', token) ||
+            ((this.isPunct('+', token) || this.isPunct('-', token)) && this.isNumberToken(this.tokens[this.tokens.indexOf(token) + 1]));
+    }
+
+    parseTriplesSameSubject(path) {
+        const token = this.peek();
+
+        if (this.isPunct('[', token) && !this.isPunct(']', this.peek(1))) {
+            this.parseBlankNodePropertyList(path);
+            if (this.isVerbStart(path)) this.parsePropertyListNotEmpty(path);
+        } else if (this.isPunct('(', token) && !this.isPunct(')', this.peek(1))) {
+            this.parseCollection(path);
+            if (this.isVerbStart(path)) this.parsePropertyListNotEmpty(path);
+        } else {
+            this.parseVarOrTerm();
+            if (!this.isVerbStart(path)) this.fail('Expected a predicate');
+            this.parsePropertyListNotEmpty(path);
+        }
+    }
+
+    isVerbStart(path, token = this.peek()) {
+        if (token.type === 'VAR' || this.isIriToken(token) || (token.type === 'KEYWORD' && token.value === 'a')) return true;
+        return path && (this.isPunct('^', token) || this.isPunct('!', token) || this.isPunct('(', token));
+    }
+
+    parsePropertyListNotEmpty(path) {
+        this.parseVerb(path);
+        this.parseObjectList(path);
+
+        while (this.acceptPunct(';')) {
+            if (this.isVerbStart(path)) {
+                this.parseVerb(path);
+                this.parseObjectList(path);
+            }
+        }
+    }
+
+    parseVerb(path) {
+        const token = this.peek();
+        if (token.type === 'VAR') {
+            if (!this.allowVariables) this.failVariable(token);
+            this.next();
+        } else if (path) {
+            this.parsePath();
+        } else if (token.type === 'KEYWORD' && token.value === 'a') {
+            this.next();
+        } else {
+            this.parseIri('Expected a predicate');
+        }
+    }
+
+    parseObjectList(path) {
+        this.parseGraphNode(path);
+        while (this.acceptPunct(',')) {
+            this.parseGraphNode(path);
+        }
+    }
+
+    parseGraphNode(path) {
+        const token = this.peek();
+        if (this.isPunct('[', token) && !this.isPunct(']', this.peek(1))) {
+            this.parseBlankNodePropertyList(path);
+        } else if (this.isPunct('(', token) && !this.isPunct(')', this.peek(1))) {
+            this.parseCollection(path);
+        } else {
+            this.parseVarOrTerm('Expected an object');
+        }
+    }
+
+    parseBlankNodePropertyList(path) {
+        const open = this.expectPunct('[');
+        if (!this.allowBlankNodes) this.failBlankNode(open);
+        this.parsePropertyListNotEmpty(path);
+        this.expectPunct(']');
+    }
+
+    parseCollection(path) {
+        this.expectPunct('(');
+        do {
+            this.parseGraphNode(path);
+        } while (!this.isPunct(')') && this.peek().type !== 'EOF');
+        this.expectPunct(')');
+    }
+
+    // Property paths
+    parsePath() {
+        this.parsePathSequence();
+        while (this.acceptPunct('|')) {
+            this.parsePathSequence();
+        }
+    }
+
+    parsePathSequence() {
+        this.parsePathEltOrInverse();
+        while (this.acceptPunct('/')) {
+            this.parsePathEltOrInverse();
+        }
+    }
+
+    parsePathEltOrInverse() {
+        this.acceptPunct('^');
+        this.parsePathPrimary();
+        if (this.isPunct('?') || this.isPunct('*') || this.isPunct('+')) {
+            this.next();
+        }
+    }
+
+    parsePathPrimary() {
+        const token = this.peek();
+        if (token.type === 'KEYWORD' && token.value === 'a') {
+            this.next();
+        } else if (this.isIriToken(token)) {
+            this.parseIri();
+        } else if (this.acceptPunct('!')) {
+            if (this.acceptPunct('(')) {
+                if (!this.isPunct(')')) {
+                    this.parsePathOneInPropertySet();
+                    while (this.acceptPunct('|')) this.parsePathOneInPropertySet();
+                }
+                this.expectPunct(')');
+            } else {
+                this.parsePathOneInPropertySet();
+            }
+        } else if (this.acceptPunct('(')) {
+            this.parsePath();
+            this.expectPunct(')');
+        } else {
+            this.fail('Expected a predicate or property path');
+        }
+    }
+
+    parsePathOneInPropertySet() {
+        this.acceptPunct('^');
+        const token = this.peek();
+        if (token.type === 'KEYWORD' && token.value === 'a') {
+            this.next();
+        } else {
+            this.parseIri('Expected an IRI in negated property set');
+        }
+    }
+
+    // Terms
+    isIriToken(token) {
+        return token.type === 'IRI' || token.type === 'PNAME_LN' || token.type === 'PNAME_NS';
+    }
+
+    isNumberToken(token) {
+        return !!token && ['INTEGER', 'DECIMAL', 'DOUBLE'].includes(token.type);
+    }
+
+    isNumericStart(token = this.peek()) {
+        return this.isNumberToken(token) ||
+            ((this.isPunct('+', token) || this.isPunct('-', token)) && this.isNumberToken(this.tokens[this.tokens.indexOf(token) + 1]));
+    }
+
+    isVarOrIri(token = this.peek()) {
+        return token.type === 'VAR' || this.isIriToken(token);
+    }
+
+    parseIri(message = 'Expected an IRI') {
+        const token = this.peek();
+        if (!this.isIriToken(token)) this.fail(message);
+
+        if (token.type !== 'IRI') {
+            const prefix = token.value.substring(0, token.value.indexOf(':'));
+            this.info.usedPrefixes.add(prefix);
+        }
+        return this.next();
+    }
+
+    parseVarOrIri(message = 'Expected a variable or IRI') {
+        const token = this.peek();
+        if (token.type === 'VAR') {
+            if (!this.allowVariables) this.failVariable(token);
+            return this.next();
+        }
+        if (!this.isIriToken(token)) this.fail(message);
+        return this.parseIri();
+    }
+
+    expectVar() {
+        if (this.peek().type !== 'VAR') this.fail('Expected a variable');
+        return this.next();
+    }
+
+    parseVarOrTerm(message = 'Expected a subject') {
+        const token = this.peek();
+
+        if (token.type === 'VAR') {
+            if (!this.allowVariables) this.failVariable(token);
+            return this.next();
+        }
+        if (this.isIriToken(token)) return this.parseIri();
+        if (token.type === 'STRING') return this.parseRDFLiteral();
+        if (this.isNumericStart(token)) return this.parseNumericLiteral();
+        if (this.isKeyword('TRUE', token) || this.isKeyword('FALSE', token)) return this.next();
+        if (token.type === 'BNODE') {
+            if (!this.allowBlankNodes) this.failBlankNode(token);
+            return this.next();
+        }
+        if (this.isPunct('[', token) && this.isPunct(']', this.peek(1))) {
+            if (!this.allowBlankNodes) this.failBlankNode(token);
+            this.next();
+            return this.next();
+        }
+        if (this.isPunct('(', token) && this.isPunct(')', this.peek(1))) {
+            this.next();
+            return this.next();
+        }
+
+        this.fail(message);
+    }
+
+    parseRDFLiteral() {
+        const token = this.next();
+        if (this.peek().type === 'LANGTAG') {
+            this.next();
+        } else if (this.acceptPunct('^^')) {
+            this.parseIri("Expected a datatype IRI after '^^'");
+        }
+        return token;
+    }
+
+    parseNumericLiteral() {
+        if (this.isPunct('+') || this.isPunct('-')) this.next();
+        return this.next();
+    }
+
+    failVariable(token) {
+        throw new SPARQLSyntaxError(`Variables are not allowed in ${this.dataOperation || 'this position'}`, token);
+    }
+
+    failBlankNode(token) {
+        throw new SPARQLSyntaxError(`Blank nodes are not allowed in ${this.blankNodeOperation || 'this position'}`, token);
+    }
+
+    // Expressions
+    isConstraintStart(token = this.peek()) {
+        return this.isPunct('(', token) || this.isBuiltInStart(token) || this.isIriToken(token);
+    }
+
+    parseConstraint() {
+        const token = this.peek();
+        if (this.isPunct('(', token)) {
+            this.parseBrackettedExpression();
+        } else if (this.isBuiltInStart(token)) {
+            this.parseBuiltInCall();
+        } else {
+            this.parseIri();
+            if (!this.isPunct('(')) this.fail("Expected '(' after function name");
+            this.parseArgList();
+        }
+    }
+
+    parseBrackettedExpression() {
+        this.expectPunct('(');
+        this.parseExpression();
+        this.expectPunct(')');
+    }
+
+    parseExpression() {
+        this.parseAndExpression();
+        while (this.acceptPunct('||')) {
+            this.parseAndExpression();
+        }
+    }
+
+    parseAndExpression() {
+        this.parseRelationalExpression();
+        while (this.acceptPunct('&&')) {
+            this.parseRelationalExpression();
+        }
+    }
+
+    parseRelationalExpression() {
+        this.parseAdditiveExpression();
+
+        const token = this.peek();
+        if (['=', '!=', '<', '>', '<=', '>='].some(op => this.isPunct(op, token))) {
+            this.next();
+            this.parseAdditiveExpression();
+        } else if (this.acceptKeyword('IN')) {
+            this.parseExpressionList();
+        } else if (this.isKeyword('NOT', token) && this.isKeyword('IN', this.peek(1))) {
+            this.next();
+            this.next();
+            this.parseExpressionList();
+        }
+    }
+
+    parseAdditiveExpression() {
+        this.parseMultiplicativeExpression();
+        while (this.isPunct('+') || this.isPunct('-')) {
+            this.next();
+            this.parseMultiplicativeExpression();
+        }
+    }
+
+    parseMultiplicativeExpression() {
+        this.parseUnaryExpression();
+        while (this.isPunct('*') || this.isPunct('/')) {
+            this.next();
+            this.parseUnaryExpression();
+        }
+    }
+
+    parseUnaryExpression() {
+        if (this.isPunct('!') || this.isPunct('+') || this.isPunct('-')) {
+            this.next();
+        }
+        this.parsePrimaryExpression();
+    }
+
+    parsePrimaryExpression() {
+        const token = this.peek();
+
+        if (this.isPunct('(', token)) return this.parseBrackettedExpression();
+        if (token.type === 'VAR') return this.next();
+        if (token.type === 'STRING') return this.parseRDFLiteral();
+        if (this.isNumberToken(token)) return this.next();
+        if (this.isKeyword('TRUE', token) || this.isKeyword('FALSE', token)) return this.next();
+        if (this.isBuiltInStart(token)) return this.parseBuiltInCall();
+        if (this.isIriToken(token)) {
+            this.parseIri();
+            if (this.isPunct('(')) this.parseArgList();
+            return token;
+        }
+
+        this.fail('Expected an expression');
+    }
+
+    parseExpressionList() {
+        this.expectPunct('(');
+        if (this.acceptPunct(')')) return;
+        this.parseExpression();
+        while (this.acceptPunct(',')) this.parseExpression();
+        this.expectPunct(')', " or ','");
+    }
+
+    parseArgList() {
+        this.expectPunct('(');
+        if (this.acceptPunct(')')) return;
+        this.acceptKeyword('DISTINCT');
+        this.parseExpression();
+        while (this.acceptPunct(',')) this.parseExpression();
+        this.expectPunct(')', " or ','");
+    }
+
+    isBuiltInStart(token = this.peek()) {
+        if (token.type !== 'KEYWORD') return false;
+        if (token.upper === 'NOT') return this.isKeyword('EXISTS', this.tokens[this.tokens.indexOf(token) + 1]);
+        return SPARQLParser.builtIns[token.upper] !== undefined ||
+            SPARQLParser.aggregates.includes(token.upper) ||
+            token.upper === 'EXISTS';
+    }
+
+    parseBuiltInCall() {
+        const token = this.next();
+        const name = token.upper;
+
+        if (name === 'NOT') {
+            this.expectKeyword('EXISTS');
+            this.parseGroupGraphPattern();
+            return;
+        }
+        if (name === 'EXISTS') {
+            this.parseGroupGraphPattern();
+            return;
+        }
+
+        if (SPARQLParser.aggregates.includes(name)) {
+            this.parseAggregate(name);
+            return;
+        }
+
+        this.expectPunct('(', ` after ${token.value}`);
+
+        if (name === 'BOUND') {
+            this.expectVar();
+            this.expectPunct(')');
+            return;
+        }
+
+        let count = 0;
+        if (!this.isPunct(')')) {
+            this.parseExpression();
+            count++;
+            while (this.acceptPunct(',')) {
+                this.parseExpression();
+                count++;
+            }
+        }
+        this.expectPunct(')', " or ','");
+
+        const [min, max] = SPARQLParser.builtIns[name];
+        if (count < min || count > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+            throw new SPARQLSyntaxError(`${token.value} expects ${expected} argument${expected === '1' ? '' : 's'} but got ${count}`, token);
+        }
+    }
+
+    parseAggregate(name) {
+        this.expectPunct('(', ` after ${name}`);
+        this.acceptKeyword('DISTINCT');
+
+        if (name === 'COUNT' && this.acceptPunct('*')) {
+            this.expectPunct(')');
+            return;
+        }
+
+        this.parseExpression();
+
+        if (name === 'GROUP_CONCAT' && this.acceptPunct(';')) {
+            this.expectKeyword('SEPARATOR');
+            this.expectPunct('=');
+            if (this.peek().type !== 'STRING') this.fail('Expected a string separator');
+            this.next();
+        }
+
+        this.expectPunct(')');
+    }
+}
+
+// Built-in functions with their [min, max] argument counts
+SPARQLParser.builtIns = {
+    STR: [1, 1], LANG: [1, 1], LANGMATCHES: [2, 2], DATATYPE: [1, 1], BOUND: [1, 1],
+    IRI: [1, 1], URI: [1, 1], BNODE: [0, 1], RAND: [0, 0], ABS: [1, 1], CEIL: [1, 1],
+    FLOOR: [1, 1], ROUND: [1, 1], CONCAT: [0, Infinity], STRLEN: [1, 1], UCASE: [1, 1],
+    LCASE: [1, 1], ENCODE_FOR_URI: [1, 1], CONTAINS: [2, 2], STRSTARTS: [2, 2],
+    STRENDS: [2, 2], STRBEFORE: [2, 2], STRAFTER: [2, 2], YEAR: [1, 1], MONTH: [1, 1],
+    DAY: [1, 1], HOURS: [1, 1], MINUTES: [1, 1], SECONDS: [1, 1], TIMEZONE: [1, 1],
+    TZ: [1, 1], NOW: [0, 0], UUID: [0, 0], STRUUID: [0, 0], MD5: [1, 1], SHA1: [1, 1],
+    SHA256: [1, 1], SHA384: [1, 1], SHA512: [1, 1], COALESCE: [0, Infinity], IF: [3, 3],
+    STRLANG: [2, 2], STRDT: [2, 2], SAMETERM: [2, 2], ISIRI: [1, 1], ISURI: [1, 1],
+    ISBLANK: [1, 1], ISLITERAL: [1, 1], ISNUMERIC: [1, 1], REGEX: [2, 3], SUBSTR: [2, 3],
+    REPLACE: [3, 4]
+};
+
+SPARQLParser.queryForms = ['SELECT', 'CONSTRUCT', 'DESCRIBE', 'ASK'];
+
+SPARQLParser.operationLabels = {
+    'load': 'LOAD',
+    'clear': 'CLEAR',
+    'drop': 'DROP',
+    'create': 'CREATE',
+    'add': 'ADD',
+    'move': 'MOVE',
+    'copy': 'COPY',
+    'insert-data': 'INSERT DATA',
+    'delete-data': 'DELETE DATA',
+    'delete-where': 'DELETE WHERE',
+    'insert': 'INSERT … WHERE',
+    'delete': 'DELETE … WHERE',
+    'modify': 'WITH … DELETE/INSERT'
+};
+
+/**
+ * Human-readable name of a graph reported in `graphs`
+ */
+SPARQLParser.describeGraph = (graph) => {
+    if (graph === 'DEFAULT') return 'Default graph';
+    if (graph === 'NAMED') return 'All named graphs';
+    if (graph === 'ALL') return 'All graphs';
+    if (graph.startsWith('?') || graph.startsWith('$')) return `Graphs bound to ${graph}`;
+    return graph;
+};
+
+SPARQLParser.aggregates = ['COUNT', 'SUM', 'MIN', 'MAX', 'AVG', 'SAMPLE', 'GROUP_CONCAT'];
+
+// Export for use in other modules
+window.SPARQLParser = SPARQLParser;
+window.SPARQLSyntaxError = SPARQLSyntaxError;
@@ -1,12 +1,25 @@
 // Utility functions for the GraphDB Query Frontend
 
+// Well-known namespace prefixes, plus the vocabularies of this project
+const COMMON_PREFIXES = {
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    owl: 'http://www.w3.org/2002/07/owl#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    air: 'http://example.com/ai-research#',
+    aie: 'http://example.com/ai-engineering#'
+};
+
 // Storage utilities
 const Storage = {
+    // Returns false when the value could not be stored (e.g. quota exceeded)
     set: (key, value) => {
         try {
             localStorage.setItem(key, JSON.stringify(value));
+            return true;
         } catch (e) {
             console.error('Failed to save to localStorage:', e);
+            return false;
         }
     },
     
@@ -33,10 +46,13 @@ const Storage = {
 const showNotification = (message, type = 'info', duration = 5000) => {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-        ${message}
-        <button class="close-btn" onclick="this.parentElement.remove()">×</button>
-    `;
+    
+    // Messages often contain user or server supplied names, so they are plain text
+    const closeButton = document.createElement('button');
+    closeButton.className = 'close-btn';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => notification.remove());
+    notification.append(document.createTextNode(message), closeButton);
     
     const statusMessages = document.getElementById('statusMessages');
     statusMessages.appendChild(notification);
@@ -90,24 +106,50 @@ const formatTime = (milliseconds) => {
     }
 };
 
-// Export utilities to CSV
-const exportToCSV = (data, filename = 'export.csv') => {
+// Quote a CSV field (RFC 4180) when it contains the delimiter, a quote, CR or LF
+const csvField = (value, delimiter = ',') => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file (RFC 4180, CRLF line breaks) as a Blob
+ *
+ * Rows can be any iterable; they are serialized in chunks so a large result
+ * set never becomes a single string. `options.value(row, header)` reads a
+ * field (default row[header]), `options.bom` prepends a UTF-8 byte order mark.
+ */
+const createCSVBlob = (headers, rows, options = {}) => {
+    const delimiter = options.delimiter || ',';
+    const chunkSize = options.chunkSize || 1000;
+    const value = options.value || ((row, header) => row[header]);
+    const line = (fields) => fields.map(field => csvField(field, delimiter)).join(delimiter) + '\r\n';
+
+    const parts = options.bom ? ['\uFEFF'] : [];
+    let chunk = [line(headers)];
+    for (const row of rows) {
+        chunk.push(line(headers.map(header => value(row, header))));
+        if (chunk.length >= chunkSize) {
+            parts.push(chunk.join(''));
+            chunk = [];
+        }
+    }
+    parts.push(chunk.join(''));
+
+    return new Blob(parts, { type: 'text/csv;charset=utf-8' });
+};
+
+// Export rows to a CSV download; headers default to the keys of the first row
+const exportToCSV = (data, filename = 'export.csv', options = {}) => {
     if (!data || data.length === 0) return;
     
-    const headers = Object.keys(data[0]);
-    const csvContent = [
-        headers.join(','),
-        ...data.map(row => 
-            headers.map(header => {
-                const value = row[header];
-                // Escape quotes and wrap in quotes if contains comma
-                const escaped = value?.toString().replace(/"/g, '""') || '';
-                return escaped.includes(',') ? `"${escaped}"` : escaped;
-            }).join(',')
-        )
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const headers = options.headers || Object.keys(data[0]);
+    downloadFile(createCSVBlob(headers, data, options), filename, 'text/csv;charset=utf-8');
+};
+
+// Save text as a file through a temporary download link
+const downloadFile = (content, filename, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: mimeType });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
     link.download = filename;
@@ -115,6 +157,46 @@ const exportToCSV = (data, filename = 'export.csv') => {
     URL.revokeObjectURL(link.href);
 };
 
+// Escape text for use in HTML markup and attributes
+const escapeHTML = (text) => {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+// Local name of an IRI (part after the last '#' or '/')
+const getLocalName = (iri) => {
+    if (!iri) return '';
+    const match = iri.match(/[^#/]+$/);
+    if (!match) return iri;
+    try {
+        return decodeURIComponent(match[0]);
+    } catch (e) {
+        return match[0];
+    }
+};
+
+// N-Triples form of an RDF term from SPARQL JSON results
+const termToNTriples = (term) => {
+    if (!term) return '';
+    if (term.type === 'uri') return `<${term.value}>`;
+    if (term.type === 'bnode') return `_:${term.value}`;
+
+    const escaped = String(term.value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+    if (term['xml:lang']) return `"${escaped}"@${term['xml:lang']}`;
+    if (term.datatype && term.datatype !== 'http://www.w3.org/2001/XMLSchema#string') {
+        return `"${escaped}"^^<${term.datatype}>`;
+    }
+    return `"${escaped}"`;
+};
+
 // Copy to clipboard
 const copyToClipboard = async (text) => {
     try {
@@ -0,0 +1,54 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load the browser scripts into a sandbox that stands in for `window`
+function loadScripts(...files) {
+    const context = vm.createContext({ console });
+    context.window = context;
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'static', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+const { SPARQLClient, SPARQLParser } = loadScripts('sparql-parser.js', 'query-template.js', 'sparql-client.js');
+const client = Object.create(SPARQLClient.prototype);
+
+const QUERY = `PREFIX ex: <http://example.org/>
+SELECT ?s ?label
+FROM <http://example.org/graph>
+FROM NAMED ex:named
+WHERE { ?s ex:label ?label }
+LIMIT 10`;
+
+test('buildTableQuery moves FROM and FROM NAMED to the outer query', () => {
+    const table = { filters: { label: 'Pump' }, search: '', sort: { column: 's', direction: 'desc' } };
+    const query = client.buildTableQuery(QUERY, ['s', 'label'], table);
+
+    const [outer, inner] = query.split('{\n{');
+    assert.match(outer, /FROM <http:\/\/example\.org\/graph>\nFROM NAMED ex:named\nWHERE $/);
+    assert.doesNotMatch(inner, /FROM/);
+    assert.match(inner, /SELECT \?s \?label\s+WHERE \{ \?s ex:label \?label \}\nLIMIT 10/);
+    assert.match(query, /ORDER BY DESC\(\?s\)$/);
+    assert.strictEqual(new SPARQLParser().parse(query).valid, true);
+});
+
+test('buildTableQuery leaves queries without a dataset unchanged apart from the wrapper', () => {
+    const table = { filters: {}, search: 'pump', sort: null };
+    const query = client.buildTableQuery('SELECT ?s WHERE { ?s ?p ?o }', ['s'], table);
+
+    assert.strictEqual(query, [
+        'SELECT ?s',
+        'WHERE {',
+        '{',
+        'SELECT ?s WHERE { ?s ?p ?o }',
+        '}',
+        'FILTER((CONTAINS(LCASE(STR(?s)), "pump")))',
+        '}'
+    ].join('\n'));
+});